@@ -34,125 +34,108 @@ const createSuccessResponse = (data, message) => ({
   timestamp: new Date().toISOString()
 });
 
-const createErrorResponse = (error) => ({
-  success: false,
-  error,
-  timestamp: new Date().toISOString()
-});
-
 export default defineMCP({
   name: "Enhanced Todo Manager",
   version: "2.0.0",
   description: "Complete todo management with error handling and validation",
+  // Over HTTP, only callers with the admin token may delete todos
+  ...(process.env.TODO_ADMIN_TOKEN && {
+    auth: {
+      type: "bearer",
+      tokens: { [process.env.TODO_ADMIN_TOKEN]: { subject: "admin", roles: ["admin"] } }
+    }
+  }),
   tools: [
     // Add a new todo with comprehensive validation
     ["addTodo", async ({ title }) => {
-      try {
-        const validTitle = validateTitle(title);
-        const newTodo = {
-          id: nextId++,
-          title: validTitle,
-          completed: false,
-          createdAt: new Date().toISOString(),
-          updatedAt: new Date().toISOString()
-        };
-        todos.push(newTodo);
-        return createSuccessResponse(newTodo, `Todo "${validTitle}" added successfully`);
-      } catch (error) {
-        return createErrorResponse(error instanceof Error ? error.message : 'Failed to add todo');
-      }
+      const validTitle = validateTitle(title);
+      const newTodo = {
+        id: nextId++,
+        title: validTitle,
+        completed: false,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      };
+      todos.push(newTodo);
+      return createSuccessResponse(newTodo, `Todo "${validTitle}" added successfully`);
     }],
 
     // Get all todos with optional filtering
     ["getTodos", async ({ status = 'all' } = {}) => {
-      try {
-        let filteredTodos = todos;
-
-        if (status === 'completed') {
-          filteredTodos = todos.filter(todo => todo.completed);
-        } else if (status === 'pending') {
-          filteredTodos = todos.filter(todo => !todo.completed);
-        } else if (status !== 'all') {
-          throw new Error('Status must be "all", "completed", or "pending"');
-        }
-
-        return createSuccessResponse({
-          todos: filteredTodos,
-          total: filteredTodos.length,
-          completed: filteredTodos.filter(t => t.completed).length,
-          pending: filteredTodos.filter(t => !t.completed).length
-        }, `Retrieved ${filteredTodos.length} todos`);
-      } catch (error) {
-        return createErrorResponse(error instanceof Error ? error.message : 'Failed to get todos');
+      let filteredTodos = todos;
+
+      if (status === 'completed') {
+        filteredTodos = todos.filter(todo => todo.completed);
+      } else if (status === 'pending') {
+        filteredTodos = todos.filter(todo => !todo.completed);
+      } else if (status !== 'all') {
+        throw new Error('Status must be "all", "completed", or "pending"');
       }
+
+      return createSuccessResponse({
+        todos: filteredTodos,
+        total: filteredTodos.length,
+        completed: filteredTodos.filter(t => t.completed).length,
+        pending: filteredTodos.filter(t => !t.completed).length
+      }, `Retrieved ${filteredTodos.length} todos`);
     }],
 
     // Get a specific todo by ID
     ["getTodoById", async ({ id }) => {
-      try {
-        const validId = validateId(id);
-        const todo = todos.find(t => t.id === validId);
+      const validId = validateId(id);
+      const todo = todos.find(t => t.id === validId);
 
-        if (!todo) {
-          throw new Error(`Todo with ID ${validId} not found`);
-        }
-
-        return createSuccessResponse(todo, `Retrieved todo "${todo.title}"`);
-      } catch (error) {
-        return createErrorResponse(error instanceof Error ? error.message : 'Failed to get todo');
+      if (!todo) {
+        throw new Error(`Todo with ID ${validId} not found`);
       }
+
+      return createSuccessResponse(todo, `Retrieved todo "${todo.title}"`);
     }],
 
     // Update todo title
     ["updateTodo", async ({ id, title }) => {
-      try {
-        const validId = validateId(id);
-        const validTitle = validateTitle(title);
+      const validId = validateId(id);
+      const validTitle = validateTitle(title);
 
-        const todoIndex = todos.findIndex(t => t.id === validId);
-        if (todoIndex === -1) {
-          throw new Error(`Todo with ID ${validId} not found`);
-        }
+      const todoIndex = todos.findIndex(t => t.id === validId);
+      if (todoIndex === -1) {
+        throw new Error(`Todo with ID ${validId} not found`);
+      }
 
-        const oldTitle = todos[todoIndex].title;
-        todos[todoIndex].title = validTitle;
-        todos[todoIndex].updatedAt = new Date().toISOString();
+      const oldTitle = todos[todoIndex].title;
+      todos[todoIndex].title = validTitle;
+      todos[todoIndex].updatedAt = new Date().toISOString();
 
-        return createSuccessResponse(
-          todos[todoIndex],
-          `Todo updated from "${oldTitle}" to "${validTitle}"`
-        );
-      } catch (error) {
-        return createErrorResponse(error instanceof Error ? error.message : 'Failed to update todo');
-      }
+      return createSuccessResponse(
+        todos[todoIndex],
+        `Todo updated from "${oldTitle}" to "${validTitle}"`
+      );
     }],
 
     // Toggle todo completion status
     ["toggleTodo", async ({ id }) => {
-      try {
-        const validId = validateId(id);
-        const todoIndex = todos.findIndex(t => t.id === validId);
+      const validId = validateId(id);
+      const todoIndex = todos.findIndex(t => t.id === validId);
 
-        if (todoIndex === -1) {
-          throw new Error(`Todo with ID ${validId} not found`);
-        }
+      if (todoIndex === -1) {
+        throw new Error(`Todo with ID ${validId} not found`);
+      }
 
-        todos[todoIndex].completed = !todos[todoIndex].completed;
-        todos[todoIndex].updatedAt = new Date().toISOString();
+      todos[todoIndex].completed = !todos[todoIndex].completed;
+      todos[todoIndex].updatedAt = new Date().toISOString();
 
-        const status = todos[todoIndex].completed ? 'completed' : 'pending';
-        return createSuccessResponse(
-          todos[todoIndex],
-          `Todo "${todos[todoIndex].title}" marked as ${status}`
-        );
-      } catch (error) {
-        return createErrorResponse(error instanceof Error ? error.message : 'Failed to toggle todo');
-      }
+      const status = todos[todoIndex].completed ? 'completed' : 'pending';
+      return createSuccessResponse(
+        todos[todoIndex],
+        `Todo "${todos[todoIndex].title}" marked as ${status}`
+      );
     }],
 
     // Delete a specific todo
-    ["deleteTodo", async ({ id }) => {
-      try {
+    {
+      name: "deleteTodo",
+      roles: ["admin"],
+      handler: async ({ id }) => {
         const validId = validateId(id);
         const todoIndex = todos.findIndex(t => t.id === validId);
 
@@ -165,14 +148,14 @@ export default defineMCP({
           { deletedTodo, remainingCount: todos.length },
           `Todo "${deletedTodo.title}" deleted successfully`
         );
-      } catch (error) {
-        return createErrorResponse(error instanceof Error ? error.message : 'Failed to delete todo');
       }
-    }],
+    },
 
     // Clear all completed todos
-    ["clearCompleted", async () => {
-      try {
+    {
+      name: "clearCompleted",
+      roles: ["admin"],
+      handler: async () => {
         const completedCount = todos.filter(t => t.completed).length;
 
         if (completedCount === 0) {
@@ -187,68 +170,58 @@ export default defineMCP({
           { clearedCount: completedCount, remainingCount: todos.length },
           `Cleared ${completedCount} completed todos`
         );
-      } catch (error) {
-        return createErrorResponse('Failed to clear completed todos');
       }
-    }],
+    },
 
     // Clear all todos with confirmation
     ["clearAllTodos", async ({ confirm = false } = {}) => {
-      try {
-        if (!confirm) {
-          return createErrorResponse('Please set confirm=true to clear all todos. This action cannot be undone.');
-        }
+      if (!confirm) {
+        throw new Error('Please set confirm=true to clear all todos. This action cannot be undone.');
+      }
 
-        const totalCount = todos.length;
-        todos = [];
-        nextId = 1;
+      const totalCount = todos.length;
+      todos = [];
+      nextId = 1;
 
-        return createSuccessResponse(
-          { clearedCount: totalCount },
-          `All ${totalCount} todos cleared successfully`
-        );
-      } catch (error) {
-        return createErrorResponse('Failed to clear all todos');
-      }
+      return createSuccessResponse(
+        { clearedCount: totalCount },
+        `All ${totalCount} todos cleared successfully`
+      );
     }],
 
     // Get todo statistics
     ["getTodoStats", async () => {
-      try {
-        const total = todos.length;
-        const completed = todos.filter(t => t.completed).length;
-        const pending = total - completed;
-        const completionRate = total > 0 ? Math.round((completed / total) * 100) : 0;
-
-        const oldestTodo = todos.length > 0 ?
-          todos.reduce((oldest, current) =>
-            new Date(current.createdAt) < new Date(oldest.createdAt) ? current : oldest
-          ) : null;
-
-        const newestTodo = todos.length > 0 ?
-          todos.reduce((newest, current) =>
-            new Date(current.createdAt) > new Date(newest.createdAt) ? current : newest
-          ) : null;
-
-        return createSuccessResponse({
-          total,
-          completed,
-          pending,
-          completionRate: `${completionRate}%`,
-          oldestTodo: oldestTodo ? {
-            id: oldestTodo.id,
-            title: oldestTodo.title,
-            createdAt: oldestTodo.createdAt
-          } : null,
-          newestTodo: newestTodo ? {
-            id: newestTodo.id,
-            title: newestTodo.title,
-            createdAt: newestTodo.createdAt
-          } : null
-        }, 'Todo statistics retrieved successfully');
-      } catch (error) {
-        return createErrorResponse('Failed to get todo statistics');
-      }
+      const total = todos.length;
+      const completed = todos.filter(t => t.completed).length;
+      const pending = total - completed;
+      const completionRate = total > 0 ? Math.round((completed / total) * 100) : 0;
+
+      const oldestTodo = todos.length > 0 ?
+        todos.reduce((oldest, current) =>
+          new Date(current.createdAt) < new Date(oldest.createdAt) ? current : oldest
+        ) : null;
+
+      const newestTodo = todos.length > 0 ?
+        todos.reduce((newest, current) =>
+          new Date(current.createdAt) > new Date(newest.createdAt) ? current : newest
+        ) : null;
+
+      return createSuccessResponse({
+        total,
+        completed,
+        pending,
+        completionRate: `${completionRate}%`,
+        oldestTodo: oldestTodo ? {
+          id: oldestTodo.id,
+          title: oldestTodo.title,
+          createdAt: oldestTodo.createdAt
+        } : null,
+        newestTodo: newestTodo ? {
+          id: newestTodo.id,
+          title: newestTodo.title,
+          createdAt: newestTodo.createdAt
+        } : null
+      }, 'Todo statistics retrieved successfully');
     }]
   ]
 });
\ No newline at end of file
@@ -1,213 +1,132 @@
 #!/usr/bin/env node
 
-import { existsSync, writeFileSync } from 'fs';
-import { resolve } from 'path';
-import { defineMCP } from './defineMCP.js';
+import { parseArgs } from 'util';
+import { handleCallCommand } from './commands/call.js';
+import { handleDevCommand } from './commands/dev.js';
+import { handleInitCommand } from './commands/init.js';
+import { handleListCommand } from './commands/list.js';
+import { handleValidateCommand } from './commands/validate.js';
 import { MCPConnectServer } from './server/mcpServer.js';
+import { loadConfig } from './utils/configLoader.js';
+import { ConfigWatcher } from './utils/configWatcher.js';
+import { logger } from './utils/logger.js';
+
+function parseServeArgs(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    options: {
+      http: { type: 'boolean' },
+      port: { type: 'string' },
+      host: { type: 'string' },
+      watch: { type: 'boolean' },
+      cwd: { type: 'string' },
+    },
+    allowPositionals: true,
+  });
 
-async function handleInitCommand() {
-  const configPath = resolve(process.cwd(), 'mcp.config.js');
+  const transportOptions = {};
 
-  if (existsSync(configPath)) {
-    console.error('❌ mcp.config.js already exists in current directory');
-    console.error('Remove it first or run mcp-connect in a different directory');
-    process.exit(1);
+  if (values.http || values.port !== undefined || values.host !== undefined) {
+    transportOptions.type = 'http';
   }
 
-  const sampleConfig = `import { defineMCP } from "@myatkyawthu/mcp-connect";
-
-export default defineMCP({
-  name: "My MCP App",
-  version: "1.0.0",
-  description: "My awesome MCP server",
-  tools: [
-    // Simple tuple format: [name, handler]
-    ["hello", async ({ name = "World" }) => \`Hello \${name}!\`],
-    
-    // Object format with schema validation
-    {
-      name: "echo",
-      description: "Echo back the input",
-      schema: {
-        type: "object",
-        properties: {
-          message: { type: "string", description: "Message to echo" }
-        },
-        required: ["message"]
-      },
-      handler: async ({ message }) => \`Echo: \${message}\`
-    }
-  ]
-});
-`;
-
-  try {
-    writeFileSync(configPath, sampleConfig, 'utf8');
-    console.error('✅ Created mcp.config.js');
-    console.error('');
-    console.error('Next steps:');
-    console.error('1. Edit mcp.config.js to add your tools');
-    console.error('2. Run: mcp-connect');
-    console.error('3. Connect your AI agent via STDIO transport');
-    console.error('');
-    console.error('Example Claude Desktop config:');
-    console.error(`{
-  "mcpServers": {
-    "my-app": {
-      "command": "mcp-connect",
-      "args": ["${configPath}"]
+  if (values.port !== undefined) {
+    const port = Number(values.port);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+      throw new Error(`Invalid --port value: ${values.port}`);
     }
+    transportOptions.port = port;
   }
-}`);
-  } catch (error) {
-    console.error('❌ Failed to create config file:', error.message);
-    process.exit(1);
+
+  if (values.host !== undefined) {
+    transportOptions.host = values.host;
   }
+
+  return {
+    configArg: positionals[0],
+    cwd: values.cwd,
+    transportOptions,
+    watch: values.watch === true,
+  };
 }
 
 async function main() {
   try {
-    if (process.argv[2] === 'init') {
-      await handleInitCommand();
+    const commands = {
+      call: handleCallCommand,
+      dev: handleDevCommand,
+      init: handleInitCommand,
+      list: handleListCommand,
+      inspect: handleListCommand,
+      validate: handleValidateCommand,
+    };
+
+    if (commands[process.argv[2]]) {
+      const exitCode = await commands[process.argv[2]](process.argv.slice(3));
+      // Let piped stdout flush before exiting
+      process.stdout.write('', () => process.exit(exitCode));
       return;
     }
 
-    console.error('Starting MCP-Connect CLI...');
-
-    const configArg = process.argv[2];
-    let configPath = null;
-
-    if (configArg) {
-      const fullPath = resolve(configArg);
-      if (existsSync(fullPath)) {
-        configPath = fullPath;
-      } else {
-        console.error(`Config file not found: ${configArg}`);
-        process.exit(1);
-      }
-    } else {
-      const configPaths = ['mcp.config.js', 'mcp.config.mjs', 'mcp.config.ts'];
-
-      for (const path of configPaths) {
-        const fullPath = resolve(process.cwd(), path);
-        if (existsSync(fullPath)) {
-          configPath = fullPath;
-          break;
-        }
-      }
-    }
-
-    if (!configPath) {
-      console.error('No MCP config file found. Create mcp.config.js in your project root.');
-      console.error('');
-      console.error('Would you like to create a sample config? Run:');
-      console.error('  mcp-connect init');
-      console.error('');
-      console.error('Or create mcp.config.js manually:');
-      console.error(`
-import { defineMCP } from "@myatkyawthu/mcp-connect";
-
-export default defineMCP({
-  name: "My App",
-  version: "1.0.0",
-  tools: [
-    ["hello", async ({ name }) => \`Hello \${name}!\`]
-  ]
-});
-      `);
+    let configArg;
+    let cwd;
+    let transportOptions;
+    let watch;
+    try {
+      ({ configArg, cwd, transportOptions, watch } = parseServeArgs(process.argv.slice(2)));
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      console.error(
+        'Usage: mcp-connect [config] [--cwd <dir>] [--http] [--port <port>] [--host <host>] [--watch]'
+      );
       process.exit(1);
     }
 
-    console.error(`Loading config from: ${configPath}`);
+    // Server output goes through the logger, so MCP_LOG_FORMAT=json keeps stderr to JSON lines
+    logger.info('Starting MCP-Connect CLI...');
 
-    let configModule;
+    let loaded;
     try {
-      if (configPath.endsWith('.ts')) {
-        console.error('TypeScript config detected. For Node.js compatibility:');
-        console.error('1. Rename mcp.config.ts to mcp.config.js and convert to JavaScript');
-        console.error('2. Or install tsx: npm install tsx');
-        console.error('3. Then run with: npx tsx src/cli.js');
-        console.error('');
-        console.error('JavaScript example:');
-        console.error(`
-// mcp.config.js
-import { defineMCP } from "mcp-connect";
-
-export default defineMCP({
-  name: "My App",
-  version: "1.0.0",
-  tools: [
-    ["hello", async ({ name }) => \`Hello \${name}!\`]
-  ]
-});
-        `);
-        process.exit(1);
-      }
-
-      const fileUrl = configPath.startsWith('/')
-        ? `file://${configPath}`
-        : `file:///${configPath.replace(/\\/g, '/')}`;
-
-      configModule = await import(fileUrl);
+      loaded = await loadConfig(configArg, { cwd });
     } catch (error) {
-      console.error('Failed to load config file:');
-      if (error instanceof Error) {
-        console.error('Error:', error.message);
-
-        if (
-          error.message.includes('Cannot resolve') ||
-          error.message.includes('MODULE_NOT_FOUND')
-        ) {
-          console.error("Make sure 'mcp-connect' is installed: npm install mcp-connect");
-        } else if (error.message.includes('SyntaxError')) {
-          console.error('Config file has syntax errors. Check your JavaScript syntax.');
-        } else if (error.message.includes('ERR_MODULE_NOT_FOUND')) {
-          console.error('Module import error. Check your import paths in the config file.');
-        }
-      }
+      logger.error(`❌ ${error.message}`);
       process.exit(1);
     }
 
-    const config = configModule.default;
+    logger.info(`Loaded config from: ${loaded.configPath}`);
 
-    if (!config) {
-      console.error('Config file must export a default configuration');
-      console.error('Make sure your config has: export default defineMCP({...})');
-      process.exit(1);
-    }
+    const server = new MCPConnectServer(loaded.config);
+    await server.start(transportOptions);
 
-    let validatedConfig;
-    try {
-      validatedConfig = typeof config === 'function' ? config : defineMCP(config);
-    } catch (error) {
-      console.error('Configuration validation failed:', error);
-      process.exit(1);
+    let watcher = null;
+    if (watch) {
+      watcher = new ConfigWatcher(loaded.configPath, server);
+      watcher.start();
     }
 
-    const server = new MCPConnectServer(validatedConfig);
-    await server.start();
-
     process.on('SIGINT', async () => {
-      console.error('Shutting down...');
+      server.logger.info('Shutting down...');
       try {
+        watcher?.close();
         await server.stop();
       } catch (error) {
-        console.error('Error during shutdown:', error);
+        server.logger.error('Error during shutdown', error);
       }
       process.exit(0);
     });
 
     process.on('SIGTERM', async () => {
-      console.error('Shutting down...');
+      server.logger.info('Shutting down...');
       try {
+        watcher?.close();
         await server.stop();
       } catch (error) {
-        console.error('Error during shutdown:', error);
+        server.logger.error('Error during shutdown', error);
       }
       process.exit(0);
     });
   } catch (error) {
-    console.error('Failed to start MCP server:', error);
+    logger.error('Failed to start MCP server', error);
     process.exit(1);
   }
 }
@@ -0,0 +1,166 @@
+import { readFileSync } from 'fs';
+import { parseArgs } from 'util';
+import { MCPConnectServer } from '../server/mcpServer.js';
+import { loadConfig } from '../utils/configLoader.js';
+import { logger } from '../utils/logger.js';
+
+const USAGE =
+  'Usage: mcp-connect call <tool> [--args <json> | --args-file <path>] [--config <path>] [--cwd <dir>] [--json] [--verbose]';
+
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+export function parseToolArguments(input, source) {
+  if (input === undefined || input.trim() === '') {
+    return {};
+  }
+
+  let args;
+  try {
+    args = JSON.parse(input);
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${source}: ${error.message}`);
+  }
+
+  if (!args || typeof args !== 'object' || Array.isArray(args)) {
+    throw new Error(`Tool arguments from ${source} must be a JSON object`);
+  }
+
+  return args;
+}
+
+async function readToolArguments(values) {
+  if (values.args !== undefined && values['args-file'] !== undefined) {
+    throw new Error('Use either --args or --args-file, not both');
+  }
+
+  if (values.args !== undefined) {
+    return parseToolArguments(values.args, '--args');
+  }
+
+  if (values['args-file'] !== undefined) {
+    const file = values['args-file'];
+    const input = file === '-' ? await readStdin() : readFileSync(file, 'utf8');
+    return parseToolArguments(input, file === '-' ? 'stdin' : file);
+  }
+
+  if (!process.stdin.isTTY) {
+    return parseToolArguments(await readStdin(), 'stdin');
+  }
+
+  return {};
+}
+
+function formatContentBlock(block) {
+  if (block.type === 'text') {
+    return block.text;
+  }
+
+  if (block.type === 'image' || block.type === 'audio') {
+    const bytes = Buffer.from(block.data, 'base64').length;
+    return `[${block.type}: ${block.mimeType}, ${bytes} bytes]`;
+  }
+
+  if (block.type === 'resource') {
+    const { uri, mimeType, text } = block.resource;
+    if (typeof text === 'string') {
+      return `[resource: ${uri}]\n${text}`;
+    }
+    return `[resource: ${uri}, ${mimeType || 'binary'}]`;
+  }
+
+  if (block.type === 'resource_link') {
+    return `[link: ${block.name}] ${block.uri}`;
+  }
+
+  return JSON.stringify(block, null, 2);
+}
+
+export function formatToolResultText(result) {
+  return (result.content || []).map(formatContentBlock).join('\n\n');
+}
+
+export function formatProgress({ progress, total, message }) {
+  const totalText = total !== undefined ? `/${total}` : '';
+  const messageText = message ? ` ${message}` : '';
+  return `… ${progress}${totalText}${messageText}`;
+}
+
+export async function handleCallCommand(argv) {
+  let values;
+  let positionals;
+  try {
+    ({ values, positionals } = parseArgs({
+      args: argv,
+      options: {
+        args: { type: 'string', short: 'a' },
+        'args-file': { type: 'string' },
+        config: { type: 'string', short: 'c' },
+        cwd: { type: 'string' },
+        json: { type: 'boolean' },
+        verbose: { type: 'boolean' },
+      },
+      allowPositionals: true,
+    }));
+
+    if (positionals.length !== 1) {
+      throw new Error(positionals.length === 0 ? 'Missing tool name' : 'Too many arguments');
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    console.error(USAGE);
+    return 1;
+  }
+
+  // The result is printed below, so server logs are only shown on request
+  const quiet = !values.verbose && !logger.debugMode && !process.env.MCP_LOG_LEVEL;
+  if (quiet) {
+    logger.logLevel = 'silent';
+  }
+
+  const [toolName] = positionals;
+
+  let config;
+  let args;
+  try {
+    ({ config } = await loadConfig(values.config, { cwd: values.cwd }));
+    args = await readToolArguments(values);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return 1;
+  }
+
+  const server = new MCPConnectServer(config);
+  if (quiet) {
+    server.logger.logLevel = 'silent';
+  }
+
+  const extra = {
+    _meta: { progressToken: 'cli' },
+    sendNotification: async ({ params }) => console.error(formatProgress(params)),
+  };
+
+  let result;
+  try {
+    result = await server.callTool(toolName, args, extra);
+  } catch (error) {
+    result = { isError: true, content: [{ type: 'text', text: error.message }] };
+  } finally {
+    await server.stop();
+  }
+
+  if (values.json) {
+    console.log(JSON.stringify(result, null, 2));
+  } else if (result.isError) {
+    console.error(`❌ ${formatToolResultText(result)}`);
+  } else {
+    console.log(formatToolResultText(result));
+  }
+
+  return result.isError ? 1 : 0;
+}
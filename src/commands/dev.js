@@ -0,0 +1,353 @@
+import { appendFileSync, existsSync, readFileSync } from 'fs';
+import { homedir } from 'os';
+import { resolve } from 'path';
+import readline from 'readline';
+import { parseArgs } from 'util';
+import { MCPConnectServer } from '../server/mcpServer.js';
+import { loadConfig } from '../utils/configLoader.js';
+import { ConfigWatcher } from '../utils/configWatcher.js';
+import { logger } from '../utils/logger.js';
+import { formatProgress, formatToolResultText, parseToolArguments } from './call.js';
+import { getToolArguments } from './list.js';
+
+const PROMPT = 'mcp> ';
+const HISTORY_FILE = resolve(homedir(), '.mcp_connect_history');
+const MAX_HISTORY = 500;
+const COMMANDS = ['.help', '.tools', '.history', '.rerun', '.exit'];
+const USAGE = 'Usage: mcp-connect dev [--config <path>] [--cwd <dir>] [--no-watch]';
+
+const HELP = `Type a tool name to call it. You will be asked for each argument in its schema.
+Pass arguments inline as JSON to skip the questions: createTodo {"title":"x"}
+
+  .tools          List tools
+  .history        List previous calls
+  .rerun [n]      Run call n again (default: the last call)
+  .help           Show this help
+  .exit           Quit (or press Ctrl+D)`;
+
+export function coerceArgument(value, schema = {}) {
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+
+  if ((types.includes('number') || types.includes('integer')) && value.trim() !== '') {
+    const number = Number(value);
+    if (!Number.isNaN(number)) return number;
+  }
+
+  if (types.includes('boolean')) {
+    if (/^(true|yes|y)$/i.test(value)) return true;
+    if (/^(false|no|n)$/i.test(value)) return false;
+  }
+
+  if (types.includes('string') || Array.isArray(schema.enum)) {
+    return value;
+  }
+
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
+
+function describeArgument(arg, schema) {
+  const hints = [Array.isArray(schema.enum) ? schema.enum.join('|') : arg.type];
+  hints.push(arg.required ? 'required' : 'optional');
+
+  const description = arg.description ? ` - ${arg.description}` : '';
+  return `  ${arg.name} (${hints.join(', ')})${description}: `;
+}
+
+export class DevRepl {
+  constructor(server, options = {}) {
+    this.server = server;
+    this.input = options.input || process.stdin;
+    this.output = options.output || process.stdout;
+    this.historyFile = options.historyFile || null;
+    this.calls = [];
+    this.lines = [];
+    this.waiting = null;
+    this.closed = false;
+    this.exited = false;
+    this.rl = null;
+  }
+
+  async start() {
+    this.rl = readline.createInterface({
+      input: this.input,
+      output: this.output,
+      terminal: this.output.isTTY === true,
+      completer: (line) => this.complete(line),
+      history: this.loadHistory(),
+      historySize: MAX_HISTORY,
+    });
+
+    this.rl.on('line', (line) => {
+      if (this.waiting) {
+        const resolveLine = this.waiting;
+        this.waiting = null;
+        resolveLine(line);
+      } else {
+        this.lines.push(line);
+      }
+    });
+
+    this.rl.on('close', () => {
+      this.closed = true;
+      if (this.waiting) {
+        this.waiting(null);
+        this.waiting = null;
+      }
+    });
+
+    this.rl.on('SIGINT', () => this.rl.close());
+
+    const { name, version } = this.server.config;
+    this.print(`${name} v${version} - ${this.server.listTools().length} tools`);
+    this.print('Type .help for commands, Tab to complete tool names.');
+
+    while (!this.exited) {
+      const line = await this.ask(PROMPT);
+      if (line === null) break;
+      await this.handleLine(line.trim());
+    }
+
+    this.rl.close();
+  }
+
+  print(text = '') {
+    this.output.write(`${text}\n`);
+  }
+
+  ask(query) {
+    if (this.lines.length > 0) {
+      return Promise.resolve(this.lines.shift());
+    }
+
+    if (this.closed) {
+      return Promise.resolve(null);
+    }
+
+    this.rl.setPrompt(query);
+    this.rl.prompt();
+    return new Promise((resolveLine) => {
+      this.waiting = resolveLine;
+    });
+  }
+
+  complete(line) {
+    const word = line.trimStart();
+    if (word.includes(' ')) {
+      return [[], line];
+    }
+
+    const candidates = word.startsWith('.')
+      ? COMMANDS
+      : this.server.listTools().map((tool) => tool.name);
+    const hits = candidates.filter((candidate) => candidate.startsWith(word));
+
+    return [hits.length > 0 ? hits : candidates, word];
+  }
+
+  loadHistory() {
+    if (!this.historyFile || !existsSync(this.historyFile)) {
+      return [];
+    }
+
+    try {
+      return readFileSync(this.historyFile, 'utf8')
+        .split('\n')
+        .filter(Boolean)
+        .reverse()
+        .slice(0, MAX_HISTORY);
+    } catch {
+      return [];
+    }
+  }
+
+  saveHistory(line) {
+    if (!this.historyFile) return;
+
+    try {
+      appendFileSync(this.historyFile, `${line}\n`, 'utf8');
+    } catch (error) {
+      logger.debug(`Cannot write REPL history to ${this.historyFile}`, error);
+    }
+  }
+
+  async handleLine(line) {
+    if (!line) return;
+
+    this.saveHistory(line);
+
+    if (line.startsWith('.')) {
+      await this.handleCommand(line);
+      return;
+    }
+
+    const [name] = line.split(/\s+/, 1);
+    const rest = line.slice(name.length).trim();
+    const tool = this.server.config.tools.find((t) => t.name === name);
+
+    if (!tool) {
+      this.print(`Unknown tool "${name}". Type .tools to list tools.`);
+      return;
+    }
+
+    let args;
+    try {
+      args = rest ? parseToolArguments(rest, 'input') : await this.promptArguments(tool);
+    } catch (error) {
+      this.print(`✖ ${error.message}`);
+      return;
+    }
+
+    if (args !== null) {
+      await this.runCall(name, args);
+    }
+  }
+
+  async handleCommand(line) {
+    const [command, value] = line.split(/\s+/);
+
+    if (command === '.help') {
+      this.print(HELP);
+    } else if (command === '.tools') {
+      for (const tool of this.server.listTools()) {
+        this.print(`  ${tool.name} - ${tool.description}`);
+      }
+    } else if (command === '.history') {
+      this.printHistory();
+    } else if (command === '.rerun') {
+      const index = value === undefined ? this.calls.length : Number(value);
+      const call = this.calls[index - 1];
+      if (!call) {
+        this.print(`No call #${value ?? index} in history`);
+        return;
+      }
+      await this.runCall(call.name, call.args);
+    } else if (command === '.exit') {
+      this.exited = true;
+    } else {
+      this.print(`Unknown command "${command}". Type .help for commands.`);
+    }
+  }
+
+  async promptArguments(tool) {
+    const args = getToolArguments(tool.inputSchema);
+
+    if (args.length === 0) {
+      if (tool.inputSchema?.additionalProperties === false) return {};
+
+      const answer = await this.ask('  arguments (JSON, empty for none): ');
+      return answer === null ? null : parseToolArguments(answer, 'arguments');
+    }
+
+    const values = {};
+    for (const arg of args) {
+      const schema = tool.inputSchema.properties[arg.name] || {};
+      const answer = await this.ask(describeArgument(arg, schema));
+
+      if (answer === null) return null;
+      if (answer === '') continue;
+
+      values[arg.name] = coerceArgument(answer, schema);
+    }
+
+    return values;
+  }
+
+  async runCall(name, args) {
+    const logs = [];
+    const extra = {
+      _meta: { progressToken: 'dev' },
+      sendNotification: async ({ params }) => this.print(`  ${formatProgress(params)}`),
+      confirm: async ({ message }) => {
+        this.print(message);
+        const answer = await this.ask('Approve? [y/N] ');
+        return /^y(es)?$/i.test(answer?.trim() || '');
+      },
+    };
+
+    this.server.logger.output = (...parts) => logs.push(parts.join(' '));
+    const startTime = Date.now();
+
+    let result;
+    try {
+      result = await this.server.callTool(name, args, extra);
+    } catch (error) {
+      result = { isError: true, content: [{ type: 'text', text: error.message }] };
+    } finally {
+      this.server.logger.output = null;
+    }
+
+    const duration = Date.now() - startTime;
+    this.calls.push({ name, args, duration, isError: result.isError === true });
+
+    this.print(`${result.isError ? '✖' : '✔'} ${name} (${duration}ms)`);
+    this.print(formatToolResultText(result));
+
+    if (logs.length > 0) {
+      this.print('  logs:');
+      for (const entry of logs) {
+        this.print(`  │ ${entry}`);
+      }
+    }
+  }
+
+  printHistory() {
+    if (this.calls.length === 0) {
+      this.print('No calls yet');
+      return;
+    }
+
+    this.calls.forEach((call, index) => {
+      const status = call.isError ? '✖' : '✔';
+      this.print(
+        `  ${index + 1}  ${status} ${call.name} ${JSON.stringify(call.args)} (${call.duration}ms)`
+      );
+    });
+  }
+}
+
+export async function handleDevCommand(argv) {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args: argv,
+      options: {
+        config: { type: 'string', short: 'c' },
+        cwd: { type: 'string' },
+        'no-watch': { type: 'boolean' },
+      },
+    }));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    console.error(USAGE);
+    return 1;
+  }
+
+  let loaded;
+  try {
+    loaded = await loadConfig(values.config, { cwd: values.cwd });
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return 1;
+  }
+
+  const server = new MCPConnectServer(loaded.config);
+
+  let watcher = null;
+  if (!values['no-watch']) {
+    watcher = new ConfigWatcher(loaded.configPath, server);
+    watcher.start();
+  }
+
+  const repl = new DevRepl(server, {
+    historyFile: process.stdin.isTTY ? HISTORY_FILE : null,
+  });
+  await repl.start();
+
+  watcher?.close();
+  await server.stop();
+  return 0;
+}
@@ -0,0 +1,234 @@
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { dirname, relative, resolve } from 'path';
+import { parseArgs } from 'util';
+import { getOpenAPIOperations, loadOpenAPISpec } from '../fromOpenAPI.js';
+
+const MAX_TOOLS = 50;
+const USAGE = `Usage: mcp-connect init [--from-openapi <spec>] [--base-url <url>]
+       [--tag <tag>]... [--exclude-tag <tag>]... [--path <pattern>]... [--exclude-path <pattern>]...`;
+
+const SAMPLE_CONFIG = `import { defineMCP } from "@myatkyawthu/mcp-connect";
+
+export default defineMCP({
+  name: "My MCP App",
+  version: "1.0.0",
+  description: "My awesome MCP server",
+  tools: [
+    // Simple tuple format: [name, handler]
+    ["hello", async ({ name = "World" }) => \`Hello \${name}!\`],
+
+    // Object format with schema validation
+    {
+      name: "echo",
+      description: "Echo back the input",
+      schema: {
+        type: "object",
+        properties: {
+          message: { type: "string", description: "Message to echo" }
+        },
+        required: ["message"]
+      },
+      handler: async ({ message }) => \`Echo: \${message}\`
+    }
+  ]
+});
+`;
+
+// The config uses import and top-level await, which need a .mjs file unless the
+// nearest package.json sets "type": "module"
+function isModulePackage(dir) {
+  for (let current = dir; ; current = dirname(current)) {
+    const packagePath = resolve(current, 'package.json');
+    if (existsSync(packagePath)) {
+      try {
+        return JSON.parse(readFileSync(packagePath, 'utf8')).type === 'module';
+      } catch {
+        return false;
+      }
+    }
+
+    if (dirname(current) === current) return false;
+  }
+}
+
+function getAuthHeaderHint(spec) {
+  const schemes = Object.values(spec.components?.securitySchemes || {});
+
+  for (const scheme of schemes) {
+    if (scheme.type === 'http' && scheme.scheme?.toLowerCase() === 'bearer') {
+      return 'Authorization: `Bearer ${process.env.API_TOKEN}`';
+    }
+    if (scheme.type === 'http' && scheme.scheme?.toLowerCase() === 'basic') {
+      return 'Authorization: `Basic ${process.env.API_CREDENTIALS}`';
+    }
+    if (scheme.type === 'apiKey' && scheme.in === 'header') {
+      return `${JSON.stringify(scheme.name)}: process.env.API_KEY`;
+    }
+  }
+
+  return 'Authorization: `Bearer ${process.env.API_TOKEN}`';
+}
+
+function formatFilter(tags, paths) {
+  const parts = [];
+  if (tags?.length > 0) parts.push(`tags: ${JSON.stringify(tags)}`);
+  if (paths?.length > 0) parts.push(`paths: ${JSON.stringify(paths)}`);
+  return parts.length > 0 ? `{ ${parts.join(', ')} }` : null;
+}
+
+function createOpenAPIConfig(spec, operations, options) {
+  const source = /^https?:\/\//.test(options.specPath)
+    ? JSON.stringify(options.specPath)
+    : `new URL(${JSON.stringify(options.specPath)}, import.meta.url)`;
+
+  const fromOptions = [];
+  if (options.baseUrl) {
+    fromOptions.push(`baseUrl: ${JSON.stringify(options.baseUrl)}`);
+  }
+  fromOptions.push(`headers: {\n  // ${getAuthHeaderHint(spec)}\n}`);
+
+  const include = formatFilter(options.tags, options.paths);
+  if (include) fromOptions.push(`include: ${include}`);
+
+  const exclude = formatFilter(options.excludeTags, options.excludePaths);
+  if (exclude) fromOptions.push(`exclude: ${exclude}`);
+
+  let optionsSource = fromOptions.join(',\n');
+  if (!options.baseUrl && !/^https?:\/\//.test(spec.servers?.[0]?.url || '')) {
+    optionsSource = `// baseUrl: "https://api.example.com",\n${optionsSource}`;
+  }
+
+  const toolList = operations.map(
+    (operation) => `//   ${operation.name} (${operation.method.toUpperCase()} ${operation.path})`
+  );
+  const description = spec.info?.description
+    ? `\n  description: ${JSON.stringify(spec.info.description.split('\n')[0])},`
+    : '';
+
+  return `import { defineMCP, fromOpenAPI } from "@myatkyawthu/mcp-connect";
+
+// Generated from ${options.specPath}
+// Tools:
+${toolList.join('\n')}
+export default defineMCP({
+  name: ${JSON.stringify(spec.info?.title || 'OpenAPI MCP Server')},
+  version: ${JSON.stringify(spec.info?.version || '1.0.0')},${description}
+  tools: await fromOpenAPI(${source}, {
+${optionsSource.replace(/^/gm, '    ')}
+  })
+});
+`;
+}
+
+async function buildOpenAPIConfig(values, configDir) {
+  const isUrl = /^https?:\/\//.test(values['from-openapi']);
+  const specLocation = isUrl ? values['from-openapi'] : resolve(values['from-openapi']);
+  const spec = await loadOpenAPISpec(specLocation);
+
+  const filters = {
+    tags: values.tag,
+    paths: values.path,
+    excludeTags: values['exclude-tag'],
+    excludePaths: values['exclude-path'],
+  };
+  const operations = getOpenAPIOperations(spec, {
+    include: { tags: filters.tags, paths: filters.paths },
+    exclude: { tags: filters.excludeTags, paths: filters.excludePaths },
+  });
+
+  if (operations.length === 0) {
+    throw new Error(`No operations in ${values['from-openapi']} match the given filters`);
+  }
+
+  let specPath = specLocation;
+  if (!isUrl) {
+    specPath = relative(configDir, specLocation).replace(/\\/g, '/');
+    if (!specPath.startsWith('.')) specPath = `./${specPath}`;
+  }
+
+  return {
+    operations,
+    source: createOpenAPIConfig(spec, operations, {
+      ...filters,
+      specPath,
+      baseUrl: values['base-url'],
+    }),
+  };
+}
+
+export async function handleInitCommand(argv) {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args: argv,
+      options: {
+        'from-openapi': { type: 'string' },
+        'base-url': { type: 'string' },
+        tag: { type: 'string', multiple: true },
+        'exclude-tag': { type: 'string', multiple: true },
+        path: { type: 'string', multiple: true },
+        'exclude-path': { type: 'string', multiple: true },
+      },
+    }));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    console.error(USAGE);
+    return 1;
+  }
+
+  const existing = ['mcp.config.js', 'mcp.config.mjs'].find((file) =>
+    existsSync(resolve(process.cwd(), file))
+  );
+  if (existing) {
+    console.error(`❌ ${existing} already exists in current directory`);
+    console.error('Remove it first or run mcp-connect in a different directory');
+    return 1;
+  }
+
+  const configFile = isModulePackage(process.cwd()) ? 'mcp.config.js' : 'mcp.config.mjs';
+  const configPath = resolve(process.cwd(), configFile);
+
+  let source = SAMPLE_CONFIG;
+  if (values['from-openapi']) {
+    let generated;
+    try {
+      generated = await buildOpenAPIConfig(values, process.cwd());
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      return 1;
+    }
+
+    source = generated.source;
+    console.error(`Found ${generated.operations.length} operations`);
+    if (generated.operations.length > MAX_TOOLS) {
+      console.error(
+        `⚠️  More than ${MAX_TOOLS} tools - narrow them down with --tag or --path (or --exclude-tag/--exclude-path)`
+      );
+    }
+  }
+
+  try {
+    writeFileSync(configPath, source, 'utf8');
+    console.error(`✅ Created ${configFile}`);
+    console.error('');
+    console.error('Next steps:');
+    console.error(`1. Edit ${configFile} to add your tools`);
+    console.error('2. Run: mcp-connect');
+    console.error('3. Connect your AI agent via STDIO transport');
+    console.error('');
+    console.error('Example Claude Desktop config:');
+    console.error(`{
+  "mcpServers": {
+    "my-app": {
+      "command": "mcp-connect",
+      "args": ["${configPath}"]
+    }
+  }
+}`);
+  } catch (error) {
+    console.error('❌ Failed to create config file:', error.message);
+    return 1;
+  }
+
+  return 0;
+}
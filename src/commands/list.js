@@ -0,0 +1,172 @@
+import { parseArgs } from 'util';
+import { toToolDescriptor } from '../types/mcp.js';
+import { loadConfig } from '../utils/configLoader.js';
+import { logger } from '../utils/logger.js';
+
+const FORMATS = ['table', 'json', 'markdown'];
+const MAX_DESCRIPTION_WIDTH = 60;
+const USAGE = `Usage: mcp-connect list [--format ${FORMATS.join('|')}] [--config <path>] [--cwd <dir>]`;
+
+function describeType(schema = {}) {
+  if (Array.isArray(schema.type)) return schema.type.join(' | ');
+  if (schema.type) return schema.type;
+  if (Array.isArray(schema.enum)) return 'enum';
+  return 'any';
+}
+
+export function getToolArguments(inputSchema = {}) {
+  const required = new Set(inputSchema.required || []);
+
+  return Object.entries(inputSchema.properties || {}).map(([name, schema]) => ({
+    name,
+    type: describeType(schema),
+    required: required.has(name),
+    description: schema.description || '',
+  }));
+}
+
+function summarizeArguments(inputSchema) {
+  const args = getToolArguments(inputSchema);
+
+  if (args.length === 0) {
+    return inputSchema?.additionalProperties === false ? '-' : '(any)';
+  }
+
+  return args.map((arg) => `${arg.name}${arg.required ? '*' : ''}: ${arg.type}`).join(', ');
+}
+
+function truncate(value, width) {
+  return value.length > width ? `${value.slice(0, width - 1)}…` : value;
+}
+
+export function formatCatalogTable(catalog) {
+  const rows = catalog.tools.map((tool) => [
+    tool.name,
+    truncate(tool.description || '', MAX_DESCRIPTION_WIDTH),
+    summarizeArguments(tool.inputSchema),
+  ]);
+  const header = ['NAME', 'DESCRIPTION', 'ARGUMENTS'];
+  const widths = header.map((title, column) =>
+    Math.max(title.length, ...rows.map((row) => row[column].length))
+  );
+  const formatRow = (row) =>
+    row
+      .map((cell, column) => cell.padEnd(widths[column]))
+      .join('  ')
+      .trimEnd();
+
+  const lines = [`${catalog.name} v${catalog.version} - ${catalog.tools.length} tools`, ''];
+  lines.push(formatRow(header));
+  for (const row of rows) {
+    lines.push(formatRow(row));
+  }
+
+  if (rows.some((row) => row[2].includes('*'))) {
+    lines.push('', '* required');
+  }
+
+  return lines.join('\n');
+}
+
+function escapeMarkdownCell(value) {
+  return String(value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+export function formatCatalogMarkdown(catalog) {
+  const lines = [`# ${catalog.name} v${catalog.version}`, ''];
+
+  if (catalog.description) {
+    lines.push(catalog.description, '');
+  }
+
+  lines.push('## Tools', '');
+
+  for (const tool of catalog.tools) {
+    lines.push(`### \`${tool.name}\``, '');
+
+    if (tool.description) {
+      lines.push(tool.description, '');
+    }
+
+    const args = getToolArguments(tool.inputSchema);
+    if (args.length > 0) {
+      lines.push('| Argument | Type | Required | Description |');
+      lines.push('| --- | --- | --- | --- |');
+      for (const arg of args) {
+        lines.push(
+          `| \`${arg.name}\` | ${escapeMarkdownCell(arg.type)} | ${arg.required ? 'yes' : 'no'} | ${escapeMarkdownCell(arg.description)} |`
+        );
+      }
+      lines.push('');
+    } else if (tool.inputSchema?.additionalProperties === false) {
+      lines.push('Takes no arguments.', '');
+    } else {
+      lines.push('Accepts any arguments.', '');
+    }
+
+    lines.push('<details><summary>Input schema</summary>', '');
+    lines.push('```json', JSON.stringify(tool.inputSchema, null, 2), '```', '');
+    lines.push('</details>', '');
+  }
+
+  return lines.join('\n').trimEnd();
+}
+
+export function getToolCatalog(config) {
+  return {
+    name: config.name,
+    version: config.version,
+    description: config.description,
+    tools: config.tools.map(toToolDescriptor),
+  };
+}
+
+export async function handleListCommand(argv) {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args: argv,
+      options: {
+        format: { type: 'string', short: 'f', default: 'table' },
+        json: { type: 'boolean' },
+        config: { type: 'string', short: 'c' },
+        cwd: { type: 'string' },
+      },
+    }));
+
+    if (values.json) {
+      values.format = 'json';
+    }
+
+    if (!FORMATS.includes(values.format)) {
+      throw new Error(`Unknown format "${values.format}" - use one of: ${FORMATS.join(', ')}`);
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    console.error(USAGE);
+    return 1;
+  }
+
+  if (!logger.debugMode && !process.env.MCP_LOG_LEVEL) {
+    logger.logLevel = 'warn';
+  }
+
+  let catalog;
+  try {
+    const { config } = await loadConfig(values.config, { cwd: values.cwd });
+    catalog = getToolCatalog(config);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return 1;
+  }
+
+  if (values.format === 'json') {
+    console.log(JSON.stringify(catalog, null, 2));
+  } else if (values.format === 'markdown') {
+    console.log(formatCatalogMarkdown(catalog));
+  } else {
+    console.log(formatCatalogTable(catalog));
+  }
+
+  return 0;
+}
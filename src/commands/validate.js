@@ -0,0 +1,180 @@
+import { readFileSync } from 'fs';
+import { relative, resolve } from 'path';
+import { parseArgs } from 'util';
+import { getValidationResult } from '../defineMCP.js';
+import { loadConfig } from '../utils/configLoader.js';
+import { formatValidationErrors } from '../utils/configValidation.js';
+import { logger } from '../utils/logger.js';
+
+const FORMATS = ['text', 'json', 'sarif'];
+const USAGE = `Usage: mcp-connect validate [config] [--cwd <dir>] [--format ${FORMATS.join('|')}] [--strict]`;
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+const packageInfo = JSON.parse(
+  readFileSync(new URL('../../package.json', import.meta.url), 'utf8')
+);
+
+function findValidationResult(error) {
+  for (let current = error; current; current = current.cause) {
+    if (current.validationResult) return current.validationResult;
+  }
+  return null;
+}
+
+export async function validateConfigFile(configPath, options = {}) {
+  try {
+    const loaded = await loadConfig(configPath, options);
+    const result = getValidationResult(loaded.config) || {
+      isValid: true,
+      errors: [],
+      warnings: [],
+    };
+    return { configPath: loaded.configPath, ...result };
+  } catch (error) {
+    const result = findValidationResult(error);
+    const fullPath = configPath ? resolve(options.cwd || process.cwd(), configPath) : null;
+    if (result) {
+      return { configPath: fullPath, ...result };
+    }
+
+    return {
+      configPath: fullPath,
+      isValid: false,
+      errors: [{ field: '(file)', message: error.message }],
+      warnings: [],
+    };
+  }
+}
+
+function findLine(source, issue) {
+  if (!source || typeof issue.value !== 'string' || issue.value === '') {
+    return 1;
+  }
+
+  const index = source.split('\n').findIndex((line) => line.includes(issue.value));
+  return index === -1 ? 1 : index + 1;
+}
+
+export function toSarif(report) {
+  const uri = report.configPath
+    ? relative(process.cwd(), report.configPath).replace(/\\/g, '/')
+    : 'mcp.config.js';
+
+  let source = null;
+  try {
+    source = report.configPath ? readFileSync(report.configPath, 'utf8') : null;
+  } catch {
+    source = null;
+  }
+
+  const toResult = (level) => (issue) => ({
+    ruleId: `config-${level}`,
+    level,
+    message: {
+      text: issue.suggestion
+        ? `${issue.field}: ${issue.message} (${issue.suggestion})`
+        : `${issue.field}: ${issue.message}`,
+    },
+    locations: [
+      {
+        physicalLocation: {
+          artifactLocation: { uri },
+          region: { startLine: findLine(source, issue) },
+        },
+        logicalLocations: [{ fullyQualifiedName: issue.field }],
+      },
+    ],
+  });
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: 'mcp-connect',
+            version: packageInfo.version,
+            informationUri: 'https://github.com/myat-kyaw-thu/MCP_Integration_Package-NPM',
+            rules: [
+              {
+                id: 'config-error',
+                shortDescription: { text: 'Invalid MCP configuration' },
+              },
+              {
+                id: 'config-warning',
+                shortDescription: { text: 'Questionable MCP configuration' },
+              },
+            ],
+          },
+        },
+        results: [
+          ...report.errors.map(toResult('error')),
+          ...report.warnings.map(toResult('warning')),
+        ],
+      },
+    ],
+  };
+}
+
+export function formatValidationText(report, strict = false) {
+  const name = report.configPath ? relative(process.cwd(), report.configPath) : 'Config';
+  const failed = !report.isValid || (strict && report.warnings.length > 0);
+  const counts = `${report.errors.length} error(s), ${report.warnings.length} warning(s)`;
+
+  const lines = [failed ? `❌ ${name} failed validation: ${counts}` : `✅ ${name} is valid`];
+  const details = formatValidationErrors(report);
+  if (details) {
+    lines.push('', details);
+  }
+
+  return lines.join('\n');
+}
+
+export async function handleValidateCommand(argv) {
+  let values;
+  let positionals;
+  try {
+    ({ values, positionals } = parseArgs({
+      args: argv,
+      options: {
+        format: { type: 'string', short: 'f', default: 'text' },
+        json: { type: 'boolean' },
+        strict: { type: 'boolean' },
+        config: { type: 'string', short: 'c' },
+        cwd: { type: 'string' },
+      },
+      allowPositionals: true,
+    }));
+
+    if (values.json) {
+      values.format = 'json';
+    }
+
+    if (!FORMATS.includes(values.format)) {
+      throw new Error(`Unknown format "${values.format}" - use one of: ${FORMATS.join(', ')}`);
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    console.error(USAGE);
+    return 1;
+  }
+
+  // Problems are part of the report, so keep defineMCP from logging them as well
+  if (!logger.debugMode && !process.env.MCP_LOG_LEVEL) {
+    logger.logLevel = 'silent';
+  }
+
+  const report = await validateConfigFile(values.config || positionals[0], { cwd: values.cwd });
+  const failed = !report.isValid || (values.strict === true && report.warnings.length > 0);
+
+  if (values.format === 'json') {
+    console.log(JSON.stringify({ ...report, strict: values.strict === true, failed }, null, 2));
+  } else if (values.format === 'sarif') {
+    console.log(JSON.stringify(toSarif(report), null, 2));
+  } else {
+    console.log(formatValidationText(report, values.strict === true));
+  }
+
+  return failed ? 1 : 0;
+}
@@ -1,13 +1,38 @@
+import { createPermissiveSchema } from './types/mcp.js';
 import { formatValidationErrors, validateConfig } from './utils/configValidation.js';
 import { logger } from './utils/logger.js';
+import { isStandardSchema, toJSONSchema } from './utils/standardSchema.js';
+
+// A global symbol, so configs defined by another copy of the package are recognised too
+const VALIDATION_RESULT = Symbol.for('mcp-connect.validationResult');
+
+function getOutputSchemas(outputSchema) {
+  if (isStandardSchema(outputSchema)) {
+    return { outputSchema: toJSONSchema(outputSchema, 'output'), resultSchema: outputSchema };
+  }
+  return { outputSchema };
+}
+
+function getAnnotations(annotations, destructive) {
+  if (destructive) {
+    return { readOnlyHint: false, destructiveHint: true, ...annotations };
+  }
+  return annotations;
+}
 
 export function defineMCP(config) {
+  if (config && typeof config === 'object' && config[VALIDATION_RESULT]) {
+    return config;
+  }
+
   const validationResult = validateConfig(config);
 
   if (!validationResult.isValid) {
     const errorMessage = formatValidationErrors(validationResult);
     logger.error('Configuration validation failed', errorMessage);
-    throw new Error(`Invalid MCP configuration:\n${errorMessage}`);
+    const error = new Error(`Invalid MCP configuration:\n${errorMessage}`);
+    error.validationResult = validationResult;
+    throw error;
   }
 
   if (validationResult.warnings.length > 0) {
@@ -25,32 +50,93 @@ export function defineMCP(config) {
       return {
         name: name.trim(),
         description: `Tool: ${name}`,
-        inputSchema: {
-          type: 'object',
-          properties: {},
-          additionalProperties: true,
-        },
+        inputSchema: createPermissiveSchema(),
         handler,
       };
     } else {
-      const { name, handler, description, schema } = tool;
+      const {
+        name,
+        handler,
+        description,
+        schema,
+        outputSchema,
+        errorsAsResults,
+        timeout,
+        maxConcurrent,
+        rateLimit,
+        maxResponseBytes,
+        roles,
+        annotations,
+        destructive,
+        requiresConfirmation,
+      } = tool;
+      const toolAnnotations = getAnnotations(annotations, destructive);
+      const standardSchema = isStandardSchema(schema);
+      const inputSchema = standardSchema ? toJSONSchema(schema) : schema;
       return {
         name: name.trim(),
         description: description || `Tool: ${name}`,
-        inputSchema: schema || {
-          type: 'object',
-          properties: {},
-          additionalProperties: true,
-        },
+        inputSchema: inputSchema || createPermissiveSchema(),
+        ...(standardSchema && { argumentsSchema: schema }),
+        ...(outputSchema && getOutputSchemas(outputSchema)),
+        ...(toolAnnotations && { annotations: toolAnnotations }),
+        requiresConfirmation: requiresConfirmation ?? destructive === true,
         handler,
+        errorsAsResults,
+        timeout,
+        maxConcurrent,
+        rateLimit,
+        maxResponseBytes,
+        roles,
       };
     }
   });
 
-  return {
+  const mcpResources = (config.resources || []).map((resource) => {
+    const { uri, uriTemplate, name, description, mimeType, read } = resource;
+    return {
+      ...(uriTemplate ? { uriTemplate } : { uri }),
+      name: name || uri || uriTemplate,
+      description,
+      mimeType,
+      read,
+    };
+  });
+
+  const mcpPrompts = (config.prompts || []).map((prompt) => {
+    const { name, description, handler } = prompt;
+    return {
+      name: name.trim(),
+      description,
+      arguments: prompt.arguments || [],
+      handler,
+    };
+  });
+
+  const definedConfig = {
     name: config.name,
     version: config.version,
     description: config.description,
+    errorsAsResults: config.errorsAsResults,
+    timeout: config.timeout,
+    maxConcurrent: config.maxConcurrent,
+    rateLimit: config.rateLimit,
+    maxResponseBytes: config.maxResponseBytes,
+    auth: config.auth,
+    confirm: config.confirm,
+    audit: config.audit,
+    logger: config.logger,
+    transport: typeof config.transport === 'string' ? { type: config.transport } : config.transport,
     tools: mcpTools,
+    resources: mcpResources,
+    prompts: mcpPrompts,
+    middleware: config.middleware || [],
   };
+
+  Object.defineProperty(definedConfig, VALIDATION_RESULT, { value: validationResult });
+  return definedConfig;
+}
+
+export function getValidationResult(config) {
+  return config?.[VALIDATION_RESULT] ?? null;
 }
@@ -0,0 +1,363 @@
+import { readFile } from 'fs/promises';
+import { createRequire } from 'module';
+import { resolve } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import {
+  appendQueryParam,
+  createResponseError,
+  createUniqueNames,
+  parseResponseBody,
+  resolveHeaders,
+  toToolName,
+} from './utils/http.js';
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+const PARAMETER_LOCATIONS = ['path', 'query', 'header'];
+
+function loadYamlParser() {
+  for (const base of [
+    pathToFileURL(resolve(process.cwd(), 'package.json')).href,
+    import.meta.url,
+  ]) {
+    try {
+      return createRequire(base)('yaml');
+    } catch {
+      // Try the next location
+    }
+  }
+  return null;
+}
+
+function parseSpec(source, location) {
+  const trimmed = source.trimStart();
+  if (trimmed.startsWith('{')) {
+    try {
+      return JSON.parse(source);
+    } catch (error) {
+      throw new Error(`Invalid JSON in OpenAPI document ${location}: ${error.message}`);
+    }
+  }
+
+  const yaml = loadYamlParser();
+  if (!yaml) {
+    throw new Error(
+      `Cannot parse ${location}\nYAML OpenAPI documents need the "yaml" package: npm install yaml`
+    );
+  }
+
+  try {
+    return yaml.parse(source);
+  } catch (error) {
+    throw new Error(`Invalid YAML in OpenAPI document ${location}: ${error.message}`);
+  }
+}
+
+export async function loadOpenAPISpec(source) {
+  if (source && typeof source === 'object' && !(source instanceof URL)) {
+    return source;
+  }
+
+  const location = String(source);
+  let text;
+  if (/^https?:\/\//.test(location)) {
+    const response = await fetch(location);
+    if (!response.ok) {
+      throw new Error(`Cannot fetch OpenAPI document ${location}: ${response.status}`);
+    }
+    text = await response.text();
+  } else {
+    const filePath = location.startsWith('file:') ? fileURLToPath(location) : resolve(location);
+    try {
+      text = await readFile(filePath, 'utf8');
+    } catch (error) {
+      throw new Error(`Cannot read OpenAPI document ${filePath}: ${error.message}`, {
+        cause: error,
+      });
+    }
+  }
+
+  const spec = parseSpec(text, location);
+  if (!spec || typeof spec !== 'object' || typeof spec.openapi !== 'string') {
+    throw new Error(`${location} is not an OpenAPI 3 document (missing "openapi" version)`);
+  }
+  return spec;
+}
+
+function resolvePointer(spec, ref) {
+  if (!ref.startsWith('#/')) {
+    throw new Error(`Only local $refs are supported, got "${ref}"`);
+  }
+
+  return ref
+    .slice(2)
+    .split('/')
+    .map((part) => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((node, key) => {
+      if (node === undefined || node === null || !(key in node)) {
+        throw new Error(`Cannot resolve $ref "${ref}"`);
+      }
+      return node[key];
+    }, spec);
+}
+
+// Inlines local $refs. A $ref that points back at one of its parents becomes `{}`
+// so recursive schemas still produce a finite JSON Schema.
+function dereference(spec, value, seen = []) {
+  if (Array.isArray(value)) {
+    return value.map((item) => dereference(spec, item, seen));
+  }
+
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+
+  if (typeof value.$ref === 'string') {
+    if (seen.includes(value.$ref)) return {};
+    return dereference(spec, resolvePointer(spec, value.$ref), [...seen, value.$ref]);
+  }
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [key, dereference(spec, item, seen)])
+  );
+}
+
+// OpenAPI 3.0 schemas mark nullable values with `nullable: true` instead of a `null` type
+function normalizeSchema(schema) {
+  if (Array.isArray(schema)) {
+    return schema.map(normalizeSchema);
+  }
+
+  if (!schema || typeof schema !== 'object') {
+    return schema;
+  }
+
+  const { nullable, ...rest } = schema;
+  const result = Object.fromEntries(
+    Object.entries(rest).map(([key, value]) => [key, normalizeSchema(value)])
+  );
+
+  if (nullable === true && typeof result.type === 'string') {
+    result.type = [result.type, 'null'];
+  }
+
+  return result;
+}
+
+function matchesPattern(pattern, value) {
+  const source = pattern.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${source.join('.*')}$`).test(value);
+}
+
+function matchesFilter(filter, operation) {
+  return (
+    (filter.tags || []).some((tag) => operation.tags.includes(tag)) ||
+    (filter.paths || []).some((pattern) => matchesPattern(pattern, operation.path)) ||
+    (filter.operations || []).includes(operation.operationId)
+  );
+}
+
+function isIncluded(operation, include, exclude) {
+  const hasInclude = include && Object.values(include).some((list) => list?.length > 0);
+  if (hasInclude && !matchesFilter(include, operation)) return false;
+  return !(exclude && matchesFilter(exclude, operation));
+}
+
+function getRequestBodyContent(requestBody) {
+  const content = requestBody?.content || {};
+  const mediaType =
+    Object.keys(content).find((type) => /^application\/(.+\+)?json/.test(type)) ||
+    (content['application/x-www-form-urlencoded'] && 'application/x-www-form-urlencoded') ||
+    Object.keys(content)[0];
+
+  return mediaType ? { mediaType, schema: content[mediaType].schema || {} } : null;
+}
+
+// The request body is the "body" argument, or "requestBody" when a parameter is already named "body"
+function getBodyArgument(name, parameters) {
+  const parameterNames = new Set([...parameters.values()].map((parameter) => parameter.name));
+  const bodyArgument = ['body', 'requestBody'].find((candidate) => !parameterNames.has(candidate));
+  if (!bodyArgument) {
+    throw new Error(
+      `Operation "${name}" has parameters named "body" and "requestBody", leaving no argument for its request body`
+    );
+  }
+  return bodyArgument;
+}
+
+function buildInputSchema(operation) {
+  const properties = {};
+  const required = [];
+
+  for (const parameter of operation.parameters) {
+    properties[parameter.name] = {
+      ...normalizeSchema(parameter.schema || { type: 'string' }),
+      ...(parameter.description && { description: parameter.description }),
+    };
+    if (parameter.required || parameter.in === 'path') {
+      required.push(parameter.name);
+    }
+  }
+
+  if (operation.body) {
+    properties[operation.bodyArgument] = {
+      ...normalizeSchema(operation.body.schema),
+      ...(operation.requestBody.description && {
+        description: operation.requestBody.description,
+      }),
+    };
+    if (operation.requestBody.required) {
+      required.push(operation.bodyArgument);
+    }
+  }
+
+  return {
+    type: 'object',
+    properties,
+    ...(required.length > 0 && { required }),
+  };
+}
+
+export function getOpenAPIOperations(spec, options = {}) {
+  const operations = [];
+  const uniqueName = createUniqueNames();
+
+  for (const [path, pathItem] of Object.entries(spec.paths || {})) {
+    const item = dereference(spec, pathItem);
+
+    for (const method of HTTP_METHODS) {
+      if (!item[method]) continue;
+
+      const definition = item[method];
+      const operation = {
+        operationId: definition.operationId,
+        method,
+        path,
+        tags: definition.tags || [],
+        summary: definition.summary,
+        description: definition.description,
+      };
+
+      if (!isIncluded(operation, options.include, options.exclude)) continue;
+
+      // Operation parameters override path-level ones with the same name and location
+      const parameters = new Map();
+      for (const parameter of [...(item.parameters || []), ...(definition.parameters || [])]) {
+        if (PARAMETER_LOCATIONS.includes(parameter.in)) {
+          parameters.set(`${parameter.in}:${parameter.name}`, parameter);
+        }
+      }
+
+      const name = uniqueName(toToolName(definition.operationId || `${method}${path}`, 'op'));
+      const body = getRequestBodyContent(definition.requestBody);
+
+      operations.push({
+        ...operation,
+        name,
+        parameters: [...parameters.values()],
+        requestBody: definition.requestBody,
+        body,
+        ...(body && { bodyArgument: getBodyArgument(name, parameters) }),
+      });
+    }
+  }
+
+  return operations;
+}
+
+function describeOperation(operation) {
+  const summary = [operation.summary, operation.description].filter(Boolean).join('\n\n');
+  return summary || `${operation.method.toUpperCase()} ${operation.path}`;
+}
+
+function getBaseUrl(spec, options) {
+  if (options.baseUrl) return options.baseUrl;
+
+  const server = spec.servers?.[0];
+  if (!server?.url) return null;
+
+  const url = Object.entries(server.variables || {}).reduce(
+    (current, [name, variable]) => current.replace(`{${name}}`, variable.default),
+    server.url
+  );
+  return /^https?:\/\//.test(url) ? url : null;
+}
+
+function buildUrl(baseUrl, operation, args) {
+  const path = operation.path.replace(/\{([^}]+)\}/g, (match, name) =>
+    encodeURIComponent(String(args[name]))
+  );
+  const url = new URL(`${baseUrl.replace(/\/$/, '')}${path}`);
+
+  for (const parameter of operation.parameters) {
+    const value = args[parameter.name];
+    if (parameter.in === 'query' && value !== undefined) {
+      appendQueryParam(url.searchParams, parameter.name, value);
+    }
+  }
+
+  return url;
+}
+
+function encodeBody(body, mediaType) {
+  if (mediaType === 'application/x-www-form-urlencoded') {
+    return new URLSearchParams(body).toString();
+  }
+  if (/json/.test(mediaType)) {
+    return JSON.stringify(body);
+  }
+  return typeof body === 'string' ? body : JSON.stringify(body);
+}
+
+function createHandler(operation, baseUrl, options) {
+  return async (args, context) => {
+    if (!baseUrl) {
+      throw new Error(
+        'No base URL: pass { baseUrl } to fromOpenAPI or add an absolute "servers" URL to the spec'
+      );
+    }
+
+    const headers = await resolveHeaders(options.headers, context);
+
+    for (const parameter of operation.parameters) {
+      if (parameter.in === 'header' && args[parameter.name] !== undefined) {
+        headers[parameter.name] = String(args[parameter.name]);
+      }
+    }
+
+    let body;
+    if (operation.body && args[operation.bodyArgument] !== undefined) {
+      headers['content-type'] = operation.body.mediaType;
+      body = encodeBody(args[operation.bodyArgument], operation.body.mediaType);
+    }
+
+    const method = operation.method.toUpperCase();
+    const response = await fetch(buildUrl(baseUrl, operation, args), {
+      method,
+      headers,
+      body,
+      signal: context?.signal,
+    });
+    const result = parseResponseBody(
+      await response.text(),
+      response.headers.get('content-type') || ''
+    );
+
+    if (!response.ok) {
+      throw createResponseError(method, operation.path, response.status, result);
+    }
+
+    return result;
+  };
+}
+
+export async function fromOpenAPI(source, options = {}) {
+  const spec = await loadOpenAPISpec(source);
+  const baseUrl = getBaseUrl(spec, options);
+
+  return getOpenAPIOperations(spec, options).map((operation) => ({
+    name: operation.name,
+    description: describeOperation(operation),
+    schema: buildInputSchema(operation),
+    handler: createHandler(operation, baseUrl, options),
+  }));
+}
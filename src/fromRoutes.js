@@ -0,0 +1,241 @@
+import { logger } from './utils/logger.js';
+import {
+  appendQueryParam,
+  createResponseError,
+  createUniqueNames,
+  parseResponseBody,
+  resolveHeaders,
+  toToolName,
+} from './utils/http.js';
+import { injectRequest } from './utils/injectRequest.js';
+
+const MCP_ROUTE = Symbol.for('mcp-connect.route');
+const SKIPPED_METHODS = ['head', 'options'];
+const BODY_METHODS = ['post', 'put', 'patch'];
+const PATH_PARAM = /[:*](\w+)(?:\([^)]*\))?(\?)?/g;
+
+// Marks an Express route as a tool: app.get('/todos/:id', mcpRoute({ description }), handler)
+export function mcpRoute(meta = {}) {
+  const middleware = (req, res, next) => next();
+  middleware[MCP_ROUTE] = meta;
+  return middleware;
+}
+
+function getPathParams(path) {
+  return [...path.matchAll(PATH_PARAM)].map(([, name, optional]) => ({
+    name,
+    required: !optional && !new RegExp(`\\{[^}]*[:*]${name}[^}]*\\}`).test(path),
+  }));
+}
+
+function buildDefaultSchema(route) {
+  const params = getPathParams(route.path);
+  const properties = Object.fromEntries(params.map((param) => [param.name, { type: 'string' }]));
+  const required = params.filter((param) => param.required).map((param) => param.name);
+
+  if (BODY_METHODS.includes(route.method)) {
+    properties.body = { type: 'object', description: 'Request body' };
+  }
+
+  return {
+    type: 'object',
+    properties,
+    ...(required.length > 0 && { required }),
+    additionalProperties: true,
+  };
+}
+
+// Path parameters fill the route path, `body` becomes the JSON request body and
+// every other argument is sent in the query string
+function buildRequest(route, args) {
+  const params = getPathParams(route.path).map((param) => param.name);
+
+  const path = route.path
+    .replace(/\{([^}]*)\}/g, (group, inner) =>
+      [...inner.matchAll(PATH_PARAM)].every(([, name]) => args[name] !== undefined) ? inner : ''
+    )
+    .replace(PATH_PARAM, (match, name) =>
+      args[name] === undefined ? '' : encodeURIComponent(String(args[name]))
+    );
+
+  const searchParams = new URLSearchParams();
+  for (const [name, value] of Object.entries(args)) {
+    if (name !== 'body' && !params.includes(name) && value !== undefined) {
+      appendQueryParam(searchParams, name, value);
+    }
+  }
+
+  const query = searchParams.toString();
+  return {
+    url: query ? `${path}?${query}` : path,
+    body: args.body === undefined ? undefined : JSON.stringify(args.body),
+  };
+}
+
+function createTools(routes, options, send) {
+  const uniqueName = createUniqueNames();
+
+  return routes
+    .filter((route) => route.meta || options.all)
+    .map((route) => {
+      const meta = route.meta === true ? {} : route.meta || {};
+      const method = route.method.toUpperCase();
+
+      const name = uniqueName(
+        meta.name || toToolName(`${route.method}${route.path.replace(/[:*?]/g, '')}`, 'route')
+      );
+
+      return {
+        name,
+        description: meta.description || route.description || `${method} ${route.path}`,
+        schema: meta.schema || route.schema || buildDefaultSchema(route),
+        handler: async (args, context) => {
+          const { url, body } = buildRequest(route, args || {});
+          const headers = await resolveHeaders(options.headers, context);
+          if (body !== undefined) {
+            headers['content-type'] = 'application/json';
+          }
+
+          const response = await send({ method, url, headers, body, signal: context?.signal });
+          const result = parseResponseBody(response.body, response.contentType);
+
+          if (response.statusCode >= 400) {
+            throw createResponseError(method, route.path, response.statusCode, result);
+          }
+          return result;
+        },
+      };
+    });
+}
+
+function getExpressStack(target) {
+  if (Array.isArray(target.stack)) return target.stack;
+  if (target._router) return target._router.stack;
+
+  try {
+    // Express 5 apps; the getter throws on Express 4
+    return target.router?.stack || [];
+  } catch {
+    return [];
+  }
+}
+
+// Express 4 keeps the mount path of a nested router only as a regular expression
+function getMountPath(layer) {
+  if (!layer.regexp) return null;
+  if (layer.regexp.fast_slash) return '';
+
+  let keyIndex = 0;
+  const path = layer.regexp.source
+    .replace(/^\^/, '')
+    .replace(/\\\/\?\(\?=\\\/\|\$\)$/, '')
+    .replace(/\(\?:\(\[\^\\\/\]\+\?\)\)/g, () => `:${layer.keys[keyIndex++].name}`)
+    .replace(/\\(.)/g, '$1');
+
+  return /[()[\]*+?|^$]/.test(path) ? null : path;
+}
+
+function collectExpressRoutes(stack, prefix = '') {
+  const routes = [];
+
+  for (const layer of stack) {
+    if (layer.route && typeof layer.route.path === 'string') {
+      const meta = layer.route.stack.find((item) => item.handle?.[MCP_ROUTE])?.handle[MCP_ROUTE];
+      const methods = Object.keys(layer.route.methods).filter(
+        (method) => layer.route.methods[method] && method !== '_all'
+      );
+
+      for (const method of methods) {
+        if (SKIPPED_METHODS.includes(method)) continue;
+        routes.push({ method, path: `${prefix}${layer.route.path}`, meta });
+      }
+    } else if (Array.isArray(layer.handle?.stack)) {
+      const mountPath = getMountPath(layer);
+      if (mountPath === null) {
+        if (layer.handle.stack.length > 0) {
+          logger.warn(
+            'Skipping a nested router whose mount path cannot be read (Express 5 does not keep it). Add its routes with fromExpress(router, { app, prefix })'
+          );
+        }
+        continue;
+      }
+      routes.push(...collectExpressRoutes(layer.handle.stack, `${prefix}${mountPath}`));
+    }
+  }
+
+  return routes;
+}
+
+export function fromExpress(target, options = {}) {
+  const app = options.app || target;
+  const routes = collectExpressRoutes(getExpressStack(target), options.prefix || '');
+
+  return createTools(routes, options, async (request) => {
+    const response = await injectRequest(app, request);
+    return { ...response, contentType: String(response.headers['content-type'] || '') };
+  });
+}
+
+function collectFastifySchema(routeSchema) {
+  if (!routeSchema) return null;
+
+  const { params, querystring, body } = routeSchema;
+  if (!params && !querystring && !body) return null;
+
+  const properties = { ...params?.properties, ...querystring?.properties };
+  const required = [...(params?.required || []), ...(querystring?.required || [])];
+  if (body) {
+    properties.body = body;
+    required.push('body');
+  }
+
+  return {
+    type: 'object',
+    properties,
+    ...(required.length > 0 && { required }),
+  };
+}
+
+// Fastify has no API to list routes, so they are collected with an onRoute hook.
+// Call this before adding routes to the root instance; routes in plugins are
+// registered later and are always seen. Resolves once the app is ready.
+export async function fromFastify(app, options = {}) {
+  const routes = [];
+
+  const onRoute = (route) => {
+    const methods = Array.isArray(route.method) ? route.method : [route.method];
+    for (const method of methods) {
+      if (SKIPPED_METHODS.includes(method.toLowerCase())) continue;
+      routes.push({
+        method: method.toLowerCase(),
+        path: route.url,
+        meta: route.config?.mcp,
+        description: route.schema?.description || route.schema?.summary,
+        schema: collectFastifySchema(route.schema),
+      });
+    }
+  };
+
+  try {
+    app.addHook('onRoute', onRoute);
+  } catch (error) {
+    throw new Error('Call fromFastify(app) before app.ready() or app.listen()', { cause: error });
+  }
+
+  await app.ready();
+
+  return createTools(routes, options, async (request) => {
+    const response = await app.inject({
+      method: request.method,
+      url: request.url,
+      headers: request.headers,
+      payload: request.body,
+      signal: request.signal,
+    });
+    return {
+      statusCode: response.statusCode,
+      body: response.body,
+      contentType: String(response.headers['content-type'] || ''),
+    };
+  });
+}
@@ -0,0 +1,514 @@
+import type { Server } from '@modelcontextprotocol/sdk/server/index.js';
+
+export interface JSONSchema {
+  type?:
+    'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array' | 'null' | readonly string[];
+  description?: string;
+  properties?: { readonly [key: string]: JSONSchema };
+  required?: readonly string[];
+  additionalProperties?: boolean | JSONSchema;
+  items?: JSONSchema;
+  enum?: readonly unknown[];
+  const?: unknown;
+  default?: unknown;
+  minimum?: number;
+  maximum?: number;
+  exclusiveMinimum?: number;
+  exclusiveMaximum?: number;
+  minLength?: number;
+  maxLength?: number;
+  minItems?: number;
+  maxItems?: number;
+  uniqueItems?: boolean;
+  pattern?: string;
+  [keyword: string]: unknown;
+}
+
+type Simplify<T> = { [K in keyof T]: T[K] } & {};
+
+type RequiredKeys<S> = S extends { required: readonly (infer K)[] } ? K : never;
+
+type ObjectFromSchema<P, R> = Simplify<
+  { -readonly [K in keyof P as K extends R ? K : never]: FromSchema<P[K]> } & {
+    -readonly [K in keyof P as K extends R ? never : K]?: FromSchema<P[K]>;
+  }
+>;
+
+/** The argument type described by a JSON Schema written `as const` or inline in a tool. */
+export type FromSchema<S> = S extends { const: infer C }
+  ? C
+  : S extends { enum: readonly (infer E)[] }
+    ? E
+    : S extends { type: 'string' }
+      ? string
+      : S extends { type: 'number' | 'integer' }
+        ? number
+        : S extends { type: 'boolean' }
+          ? boolean
+          : S extends { type: 'null' }
+            ? null
+            : S extends { type: 'array'; items: infer I }
+              ? FromSchema<I>[]
+              : S extends { type: 'array' }
+                ? unknown[]
+                : S extends { properties: infer P }
+                  ? ObjectFromSchema<P, RequiredKeys<S>>
+                  : S extends { type: 'object' }
+                    ? Record<string, unknown>
+                    : unknown;
+
+export type ContentBlock =
+  | { type: 'text'; text: string }
+  | { type: 'image'; data: string; mimeType: string }
+  | { type: 'audio'; data: string; mimeType: string }
+  | {
+      type: 'resource';
+      resource:
+        | { uri: string; mimeType?: string; text: string }
+        | { uri: string; mimeType?: string; blob: string };
+    }
+  | { type: 'resource_link'; uri: string; name: string; description?: string; mimeType?: string };
+
+export type ToolResult =
+  string | number | boolean | object | null | undefined | ContentBlock | ContentBlock[];
+
+export interface Identity {
+  subject?: string;
+  roles: string[];
+  /** The auth method that accepted the request: bearer, apiKey or jwt */
+  scheme?: string;
+  /** The verified JWT claims */
+  claims?: Record<string, unknown>;
+}
+
+type AuthResult = Partial<Identity> | null | undefined | false;
+
+export type AuthConfig =
+  | {
+      type: 'bearer';
+      /** Accepted tokens, or an object mapping each token to the caller it identifies */
+      tokens: string[] | Record<string, { subject?: string; roles?: string[] }>;
+    }
+  | {
+      type: 'apiKey';
+      /** Defaults to `x-api-key` */
+      header?: string;
+      keys: string[] | Record<string, { subject?: string; roles?: string[] }>;
+    }
+  | {
+      type: 'jwt';
+      /** A JWKS file path or URL, or the parsed key set */
+      jwks: string | URL | { keys: JsonWebKey[] };
+      issuer?: string;
+      audience?: string;
+      /** Claim holding the caller's roles, as an array or space-separated string. Defaults to `roles` */
+      rolesClaim?: string;
+      algorithms?: string[];
+      /** Seconds of clock skew allowed when checking `exp` and `nbf`. Defaults to 60 */
+      clockTolerance?: number;
+    }
+  | {
+      /** Return the caller, or nothing to try the next method. Throw to reject the request */
+      authenticate(request: {
+        headers: Record<string, string | string[] | undefined>;
+      }): AuthResult | Promise<AuthResult>;
+    };
+
+export interface HandlerContext {
+  /** Aborted when the call times out, the client cancels it or the server shuts down. */
+  signal: AbortSignal;
+  /** The JSON-RPC id of the request, when called by a client. */
+  requestId?: string | number;
+  /** Sends a progress notification when the client asked for progress. */
+  progress(current: number, total?: number, message?: string): Promise<void>;
+  /** The authenticated caller, for calls over HTTP with `auth` configured. */
+  auth?: Identity;
+}
+
+export interface ToolContext extends HandlerContext {
+  toolName: string;
+}
+
+export type ToolHandler<Args = Record<string, unknown>> = (
+  args: Args,
+  context: ToolContext
+) => ToolResult | Promise<ToolResult>;
+
+export interface Limits {
+  /** Milliseconds before a call is aborted. */
+  timeout?: number;
+  /** Calls that may run at the same time. */
+  maxConcurrent?: number;
+  /** Calls allowed per minute. */
+  rateLimit?: number;
+  /** Larger text results are truncated; larger structured results fail the call. */
+  maxResponseBytes?: number;
+}
+
+/** A validator such as Zod, Valibot or ArkType, see https://standardschema.dev */
+export interface StandardSchemaV1<Input = unknown, Output = Input> {
+  readonly '~standard': {
+    readonly version: 1;
+    readonly vendor: string;
+    readonly validate: (
+      value: unknown
+    ) => StandardSchemaResult<Output> | Promise<StandardSchemaResult<Output>>;
+    readonly types?: { readonly input: Input; readonly output: Output };
+  };
+}
+
+export type StandardSchemaResult<Output> =
+  | { readonly value: Output; readonly issues?: undefined }
+  | {
+      readonly issues: ReadonlyArray<{
+        readonly message: string;
+        readonly path?: ReadonlyArray<PropertyKey | { readonly key: PropertyKey }>;
+      }>;
+    };
+
+type ToolArguments<S> = unknown extends S
+  ? Record<string, any>
+  : [S] extends [StandardSchemaV1<any, infer Output>]
+    ? Output
+    : JSONSchema extends S
+      ? Record<string, any>
+      : FromSchema<S>;
+
+export interface ToolDefinition<S = JSONSchema> extends Limits {
+  name: string;
+  description?: string;
+  /** JSON Schema for the arguments, or a Standard Schema validator such as a Zod object */
+  schema?: S & (JSONSchema | StandardSchemaV1);
+  /** Schema for the object the handler returns, sent back as `structuredContent` */
+  outputSchema?: JSONSchema | StandardSchemaV1;
+  handler: ToolHandler<ToolArguments<S>>;
+  errorsAsResults?: boolean;
+  /** Callers over HTTP need one of these roles */
+  roles?: string[];
+  /** Hints advertised in tools/list so clients can warn users */
+  annotations?: ToolAnnotations;
+  /** Sets `destructiveHint` and asks the user to approve each call */
+  destructive?: boolean;
+  /** Asks the user to approve each call. Defaults to `destructive` */
+  requiresConfirmation?: boolean;
+}
+
+export type ToolTuple = readonly [name: string, handler: ToolHandler<Record<string, any>>];
+
+export interface ToolAnnotations {
+  title?: string;
+  readOnlyHint?: boolean;
+  destructiveHint?: boolean;
+  idempotentHint?: boolean;
+  openWorldHint?: boolean;
+}
+
+export interface ConfirmationRequest {
+  toolName: string;
+  description?: string;
+  args: Record<string, any>;
+  auth?: Identity;
+  /** A ready-made question describing the call */
+  message: string;
+}
+
+export interface AuditOptions {
+  file?: string;
+  /** Size at which the file is rotated to `<file>.1`. Defaults to 10MB */
+  maxBytes?: number;
+  /** Rotated files to keep. Defaults to 5 */
+  maxFiles?: number;
+  /** Argument names to redact on top of passwords, tokens and keys, or a function returning the arguments to log */
+  redact?: string[] | ((args: Record<string, any>) => Record<string, any>);
+}
+
+export type LogLevel = 'debug' | 'info' | 'warn' | 'error' | 'silent';
+
+export interface LogRecord {
+  timestamp: string;
+  level: Exclude<LogLevel, 'silent'>;
+  message: string;
+  toolName?: string;
+  requestId?: string;
+  duration?: number;
+  /** Plain JSON data; errors are serialized with their name, message, stack and cause */
+  data?: unknown;
+  [key: string]: unknown;
+}
+
+/**
+ * A function receiving each record, a winston-style logger (`log`), a pino-style logger
+ * (`debug`/`info`/`warn`/`error`) or a writable stream receiving formatted lines
+ */
+export type LogSink =
+  | ((record: LogRecord, line: string) => void)
+  | { log(record: LogRecord): unknown }
+  | { [Level in 'debug' | 'info' | 'warn' | 'error']: (fields: object, message: string) => unknown }
+  | { write(line: string): unknown };
+
+export interface LoggerOptions {
+  /** Defaults to `MCP_LOG_LEVEL`, or `debug` when `MCP_DEBUG` is set */
+  level?: LogLevel;
+  /** Defaults to `MCP_LOG_FORMAT`, or `text` */
+  format?: 'text' | 'json';
+  /** Replaces the default STDERR output */
+  sinks?: LogSink[];
+  debug?: boolean;
+  performance?: boolean;
+}
+
+export class MCPLogger {
+  constructor(options?: LoggerOptions);
+  logLevel: LogLevel;
+  format: 'text' | 'json';
+  debugMode: boolean;
+  performanceTracking: boolean;
+  /** Replaces `console.error` for the default STDERR output */
+  output: ((...parts: unknown[]) => void) | null;
+  /** Returns a function that removes the sink */
+  addSink(sink: LogSink): () => void;
+  removeSink(sink: LogSink): void;
+  debug(message: string, data?: unknown, meta?: Record<string, unknown>): void;
+  info(message: string, data?: unknown, meta?: Record<string, unknown>): void;
+  warn(message: string, data?: unknown, meta?: Record<string, unknown>): void;
+  error(message: string, error?: unknown, meta?: Record<string, unknown>): void;
+}
+
+/** The logger used by servers without a `logger` option, and by the CLI */
+export const logger: MCPLogger;
+
+export interface ResourceDefinition {
+  uri?: string;
+  uriTemplate?: string;
+  name?: string;
+  description?: string;
+  mimeType?: string;
+  read(
+    request: { uri: string; params: Record<string, string> },
+    context: HandlerContext
+  ): unknown | Promise<unknown>;
+}
+
+export interface PromptArgument {
+  name: string;
+  description?: string;
+  required?: boolean;
+}
+
+export interface PromptMessage {
+  role?: 'user' | 'assistant';
+  content: string | ContentBlock;
+}
+
+export type PromptResult =
+  string | PromptMessage[] | { description?: string; messages: PromptMessage[] };
+
+export interface PromptDefinition {
+  name: string;
+  description?: string;
+  arguments?: PromptArgument[];
+  handler(
+    args: Record<string, string>,
+    context: HandlerContext
+  ): PromptResult | Promise<PromptResult>;
+}
+
+export type TransportConfig =
+  | 'stdio'
+  | 'http'
+  | { type: 'stdio' }
+  | {
+      type: 'http';
+      port?: number;
+      host?: string;
+      path?: string;
+      /** Hostnames accepted in Host and Origin headers besides localhost */
+      allowedHosts?: string[];
+    };
+
+export interface MiddlewareContext {
+  toolName: string;
+  tool: MCPTool;
+  /** Validated arguments; replace them to change what the handler receives */
+  args: Record<string, any>;
+  requestId: string;
+  auth?: Identity;
+  /** Returned to the client as the result's `_meta` */
+  meta: Record<string, unknown>;
+}
+
+export interface ToolMiddleware {
+  name?: string;
+  /** Return a value to skip the handler and use it as the result */
+  before?(context: MiddlewareContext): unknown;
+  /** Return a value to replace the result */
+  after?(context: MiddlewareContext, result: unknown): unknown;
+  /** Return a value to recover with it as the result, or throw to replace the error */
+  onError?(context: MiddlewareContext, error: Error): unknown;
+}
+
+export interface MCPConfig<Schemas extends readonly unknown[] = JSONSchema[]> extends Limits {
+  name: string;
+  version: string;
+  description?: string;
+  errorsAsResults?: boolean;
+  transport?: TransportConfig;
+  /** Authentication for the HTTP transport; methods in an array are tried in order */
+  auth?: AuthConfig | AuthConfig[];
+  /** Approves calls to tools that need confirmation when the client does not support elicitation */
+  confirm?(request: ConfirmationRequest): boolean | Promise<boolean>;
+  /** Appends a JSON line per tool call to this file. `MCP_AUDIT_FILE` overrides the file */
+  audit?: string | AuditOptions;
+  /** A logger for this server, or options for one. Defaults to the shared `logger` */
+  logger?: MCPLogger | LoggerOptions;
+  tools: { [K in keyof Schemas]: ToolDefinition<Schemas[K]> | ToolTuple };
+  resources?: ResourceDefinition[];
+  prompts?: PromptDefinition[];
+  middleware?: ToolMiddleware[];
+}
+
+export interface MCPTool extends Limits {
+  name: string;
+  description: string;
+  inputSchema: JSONSchema;
+  /** The Standard Schema validator the tool was defined with, if any */
+  argumentsSchema?: StandardSchemaV1;
+  outputSchema?: JSONSchema;
+  /** The Standard Schema validator the output was defined with, if any */
+  resultSchema?: StandardSchemaV1;
+  handler: ToolHandler<any>;
+  errorsAsResults?: boolean;
+  roles?: string[];
+  annotations?: ToolAnnotations;
+  requiresConfirmation?: boolean;
+}
+
+export interface DefinedMCPConfig extends Limits {
+  name: string;
+  version: string;
+  description?: string;
+  errorsAsResults?: boolean;
+  transport?: Exclude<TransportConfig, string>;
+  auth?: AuthConfig | AuthConfig[];
+  confirm?(request: ConfirmationRequest): boolean | Promise<boolean>;
+  audit?: string | AuditOptions;
+  logger?: MCPLogger | LoggerOptions;
+  tools: MCPTool[];
+  resources: ResourceDefinition[];
+  prompts: Array<PromptDefinition & { arguments: PromptArgument[] }>;
+  middleware: ToolMiddleware[];
+}
+
+export function defineMCP<const Schemas extends readonly unknown[]>(
+  config: MCPConfig<Schemas>
+): DefinedMCPConfig;
+
+export interface OpenAPIFilter {
+  tags?: string[];
+  /** Path patterns, `*` matches any characters, e.g. `/admin/*` */
+  paths?: string[];
+  operations?: string[];
+}
+
+export interface FromOpenAPIOptions {
+  /** Defaults to the first absolute URL in the document's `servers` */
+  baseUrl?: string;
+  headers?:
+    | Record<string, string>
+    | ((context: ToolContext) => Record<string, string> | Promise<Record<string, string>>);
+  include?: OpenAPIFilter;
+  exclude?: OpenAPIFilter;
+}
+
+/** Turns the operations of an OpenAPI 3 document (object, file path, file URL or http(s) URL) into tools */
+export function fromOpenAPI(
+  spec: string | URL | Record<string, unknown>,
+  options?: FromOpenAPIOptions
+): Promise<Array<ToolDefinition<JSONSchema> & { handler: ToolHandler<Record<string, any>> }>>;
+
+export interface RouteToolMeta {
+  name?: string;
+  description?: string;
+  schema?: JSONSchema;
+}
+
+export interface FromRoutesOptions {
+  headers?: FromOpenAPIOptions['headers'];
+  /** Also include routes that are not marked as tools */
+  all?: boolean;
+}
+
+export interface FromExpressOptions extends FromRoutesOptions {
+  /** The app that handles the calls, when passing a router mounted on it */
+  app?: unknown;
+  /** The path the router is mounted at */
+  prefix?: string;
+}
+
+type RouteTool = ToolDefinition<JSONSchema> & { handler: ToolHandler<Record<string, any>> };
+
+/** Express middleware marking a route as a tool */
+export function mcpRoute(
+  meta?: RouteToolMeta
+): (req: unknown, res: unknown, next: () => void) => void;
+
+/** Turns the routes of an Express app or router into tools that call it in-process */
+export function fromExpress(target: unknown, options?: FromExpressOptions): RouteTool[];
+
+/** Turns Fastify routes with `config.mcp` into tools. Call before adding routes; resolves once the app is ready */
+export function fromFastify(app: unknown, options?: FromRoutesOptions): Promise<RouteTool[]>;
+
+export interface StartOptions {
+  type?: 'stdio' | 'http';
+  port?: number;
+  host?: string;
+  path?: string;
+  allowedHosts?: string[];
+}
+
+export interface CallToolResult {
+  content: ContentBlock[];
+  structuredContent?: Record<string, unknown>;
+  isError?: boolean;
+  _meta?: Record<string, unknown>;
+}
+
+export class MCPConnectServer {
+  constructor(config: DefinedMCPConfig);
+  config: DefinedMCPConfig;
+  server: Server;
+  logger: MCPLogger;
+  middleware: ToolMiddleware[];
+  use(middleware: ToolMiddleware): this;
+  start(options?: StartOptions): Promise<void>;
+  stop(): Promise<void>;
+  updateTools(tools: MCPTool[]): Promise<void>;
+  listTools(): Array<{
+    name: string;
+    description: string;
+    inputSchema: JSONSchema;
+    outputSchema?: JSONSchema;
+    annotations?: ToolAnnotations;
+  }>;
+  callTool(name: string, args?: Record<string, unknown>): Promise<CallToolResult>;
+}
+
+export function text(value: unknown): ContentBlock & { type: 'text' };
+export function image(
+  data: Uint8Array | ArrayBuffer | string,
+  mimeType?: string
+): ContentBlock & { type: 'image' };
+export function audio(
+  data: Uint8Array | ArrayBuffer | string,
+  mimeType?: string
+): ContentBlock & { type: 'audio' };
+export function resource(
+  uri: string,
+  data: unknown,
+  mimeType?: string
+): ContentBlock & { type: 'resource' };
+
+export function isValidMCPConfig(config: unknown): config is DefinedMCPConfig;
+export function isValidMCPTool(tool: unknown): tool is MCPTool;
+export function isValidToolDefinition(toolDef: unknown): toolDef is ToolDefinition | ToolTuple;
+export function isValidMiddleware(middleware: unknown): middleware is ToolMiddleware;
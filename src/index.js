@@ -1,3 +1,12 @@
 export { defineMCP } from './defineMCP.js';
+export { fromOpenAPI } from './fromOpenAPI.js';
+export { fromExpress, fromFastify, mcpRoute } from './fromRoutes.js';
 export { MCPConnectServer } from './server/mcpServer.js';
-export { isValidMCPConfig, isValidMCPTool, isValidToolDefinition } from './types/mcp.js';
+export { audio, image, resource, text } from './utils/content.js';
+export { logger, MCPLogger } from './utils/logger.js';
+export {
+  isValidMCPConfig,
+  isValidMCPTool,
+  isValidMiddleware,
+  isValidToolDefinition,
+} from './types/mcp.js';
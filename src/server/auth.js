@@ -0,0 +1,235 @@
+import {
+  constants,
+  createHash,
+  createHmac,
+  createPublicKey,
+  timingSafeEqual,
+  verify,
+} from 'crypto';
+import { readFile } from 'fs/promises';
+
+const DEFAULT_API_KEY_HEADER = 'x-api-key';
+const DEFAULT_ROLES_CLAIM = 'roles';
+const CLOCK_TOLERANCE_SECONDS = 60;
+
+const JWT_ALGORITHMS = {
+  RS256: { hash: 'sha256' },
+  RS384: { hash: 'sha384' },
+  RS512: { hash: 'sha512' },
+  PS256: { hash: 'sha256', pss: true },
+  PS384: { hash: 'sha384', pss: true },
+  PS512: { hash: 'sha512', pss: true },
+  ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+  ES384: { hash: 'sha384', dsaEncoding: 'ieee-p1363' },
+  ES512: { hash: 'sha512', dsaEncoding: 'ieee-p1363' },
+  EdDSA: { hash: null },
+  HS256: { hash: 'sha256', hmac: true },
+  HS384: { hash: 'sha384', hmac: true },
+  HS512: { hash: 'sha512', hmac: true },
+};
+
+export const AUTH_TYPES = ['bearer', 'apiKey', 'jwt'];
+
+function toRoles(value) {
+  if (Array.isArray(value)) return value.map(String);
+  if (typeof value === 'string') return value.split(/\s+/).filter(Boolean);
+  return [];
+}
+
+// Compares digests, so the time taken does not depend on where the secrets differ
+function secretsEqual(a, b) {
+  const digest = (value) => createHash('sha256').update(value).digest();
+  return timingSafeEqual(digest(a), digest(b));
+}
+
+function findSecret(secrets, presented, scheme) {
+  const entries = Array.isArray(secrets)
+    ? secrets.map((secret) => [secret, {}])
+    : Object.entries(secrets);
+
+  // Every entry is compared, so the time taken does not reveal which one matched
+  let identity = null;
+  for (const [secret, info] of entries) {
+    if (secretsEqual(secret, presented) && !identity) {
+      identity = { subject: info.subject || scheme, roles: toRoles(info.roles), scheme };
+    }
+  }
+  return identity;
+}
+
+function getBearerToken(headers) {
+  const match = /^Bearer\s+(\S+)\s*$/i.exec(headers.authorization || '');
+  return match ? match[1] : null;
+}
+
+async function readJwks(jwks) {
+  if (typeof jwks !== 'string' && !(jwks instanceof URL)) {
+    return jwks;
+  }
+
+  try {
+    return JSON.parse(await readFile(jwks, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot load JWKS from ${jwks}: ${error.message}`, { cause: error });
+  }
+}
+
+function verifySignature(algorithm, jwk, data, signature) {
+  if (algorithm.hmac) {
+    if (jwk.kty !== 'oct') return false;
+    const expected = createHmac(algorithm.hash, Buffer.from(jwk.k, 'base64url'))
+      .update(data)
+      .digest();
+    return secretsEqual(expected, signature);
+  }
+
+  if (jwk.kty === 'oct') return false;
+
+  const key = {
+    key: createPublicKey({ key: jwk, format: 'jwk' }),
+    ...(algorithm.pss && {
+      padding: constants.RSA_PKCS1_PSS_PADDING,
+      saltLength: constants.RSA_PSS_SALTLEN_DIGEST,
+    }),
+    ...(algorithm.dsaEncoding && { dsaEncoding: algorithm.dsaEncoding }),
+  };
+  return verify(algorithm.hash, Buffer.from(data), key, signature);
+}
+
+function decodeSegment(segment) {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch {
+    throw new Error('Malformed token');
+  }
+}
+
+export async function verifyJwt(token, options) {
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    throw new Error('Malformed token');
+  }
+
+  const [encodedHeader, encodedPayload, encodedSignature] = parts;
+  const header = decodeSegment(encodedHeader);
+  const claims = decodeSegment(encodedPayload);
+
+  const algorithm = JWT_ALGORITHMS[header.alg];
+  const allowed = options.algorithms || Object.keys(JWT_ALGORITHMS);
+  if (!algorithm || !allowed.includes(header.alg)) {
+    throw new Error(`Unsupported token algorithm: ${header.alg}`);
+  }
+
+  const { keys = [] } = await readJwks(options.jwks);
+  const candidates = keys.filter(
+    (key) =>
+      (header.kid === undefined || key.kid === header.kid) &&
+      (key.alg === undefined || key.alg === header.alg) &&
+      (key.use === undefined || key.use === 'sig')
+  );
+
+  const data = `${encodedHeader}.${encodedPayload}`;
+  const signature = Buffer.from(encodedSignature, 'base64url');
+  if (!candidates.some((jwk) => verifySignature(algorithm, jwk, data, signature))) {
+    throw new Error('Invalid token signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const tolerance = options.clockTolerance ?? CLOCK_TOLERANCE_SECONDS;
+  if (typeof claims.exp === 'number' && now - tolerance >= claims.exp) {
+    throw new Error('Token has expired');
+  }
+  if (typeof claims.nbf === 'number' && now + tolerance < claims.nbf) {
+    throw new Error('Token is not valid yet');
+  }
+  if (options.issuer && claims.iss !== options.issuer) {
+    throw new Error('Token issuer is not accepted');
+  }
+  if (options.audience) {
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!audiences.includes(options.audience)) {
+      throw new Error('Token audience is not accepted');
+    }
+  }
+
+  return claims;
+}
+
+function createStrategy(auth) {
+  if (typeof auth.authenticate === 'function') {
+    return (request) => auth.authenticate(request);
+  }
+
+  if (auth.type === 'bearer') {
+    return (request) => {
+      const token = getBearerToken(request.headers);
+      if (!token) return null;
+
+      const identity = findSecret(auth.tokens, token, 'bearer');
+      if (!identity) throw new Error('Invalid bearer token');
+      return identity;
+    };
+  }
+
+  if (auth.type === 'apiKey') {
+    const header = (auth.header || DEFAULT_API_KEY_HEADER).toLowerCase();
+    return (request) => {
+      const key = request.headers[header];
+      if (typeof key !== 'string' || !key) return null;
+
+      const identity = findSecret(auth.keys, key, 'apiKey');
+      if (!identity) throw new Error('Invalid API key');
+      return identity;
+    };
+  }
+
+  if (auth.type === 'jwt') {
+    let jwks = null;
+
+    return async (request) => {
+      const token = getBearerToken(request.headers);
+      if (!token) return null;
+
+      jwks ??= readJwks(auth.jwks).catch((error) => {
+        jwks = null;
+        throw error;
+      });
+      const claims = await verifyJwt(token, { ...auth, jwks: await jwks });
+      return {
+        subject: claims.sub,
+        roles: toRoles(claims[auth.rolesClaim || DEFAULT_ROLES_CLAIM]),
+        scheme: 'jwt',
+        claims,
+      };
+    };
+  }
+
+  throw new Error(`Unknown auth type "${auth.type}". Use one of: ${AUTH_TYPES.join(', ')}`);
+}
+
+// Returns a function resolving the caller's identity from request headers. It throws
+// when no configured method accepts them
+export function createAuthenticator(auth) {
+  const strategies = (Array.isArray(auth) ? auth : [auth]).map(createStrategy);
+
+  return async (request) => {
+    let reason = 'Authentication required';
+
+    for (const strategy of strategies) {
+      try {
+        const identity = await strategy(request);
+        if (identity) {
+          return { ...identity, roles: toRoles(identity.roles) };
+        }
+      } catch (error) {
+        reason = error.message;
+      }
+    }
+
+    throw new Error(reason);
+  };
+}
+
+export function hasRequiredRole(identity, roles) {
+  return !roles || roles.some((role) => identity?.roles?.includes(role));
+}
@@ -0,0 +1,75 @@
+import { createReadStream, createWriteStream, openSync } from 'fs';
+import { createInterface } from 'readline/promises';
+import { ElicitResultSchema } from '@modelcontextprotocol/sdk/types.js';
+
+const CONFIRMATION_TIMEOUT = 5 * 60 * 1000;
+
+let terminalQueue = Promise.resolve();
+
+function formatRequest({ toolName, description, args }) {
+  const lines = [`Allow the tool "${toolName}" to run?`];
+  if (description) lines.push(description);
+  if (args && Object.keys(args).length > 0) {
+    lines.push(`Arguments: ${JSON.stringify(args)}`);
+  }
+  return lines.join('\n');
+}
+
+async function elicitConfirmation(message, extra) {
+  const result = await extra.sendRequest(
+    {
+      method: 'elicitation/create',
+      params: { mode: 'form', message, requestedSchema: { type: 'object', properties: {} } },
+    },
+    ElicitResultSchema,
+    { signal: extra.signal, timeout: CONFIRMATION_TIMEOUT }
+  );
+  return result.action === 'accept';
+}
+
+// STDIN and STDOUT carry the protocol, so the prompt goes to the controlling terminal
+function openTerminal() {
+  if (process.platform === 'win32') return null;
+
+  try {
+    return openSync('/dev/tty', 'r+');
+  } catch {
+    return null;
+  }
+}
+
+async function promptTerminal(message, signal) {
+  const fd = openTerminal();
+  if (fd === null) return null;
+
+  const input = createReadStream(null, { fd });
+  const output = createWriteStream(null, { fd, autoClose: false });
+  const rl = createInterface({ input, output });
+
+  try {
+    const answer = await rl.question(`\n${message}\nApprove? [y/N] `, { signal });
+    return /^y(es)?$/i.test(answer.trim());
+  } finally {
+    rl.close();
+    input.destroy();
+  }
+}
+
+// Asks through MCP elicitation when the client supports it, otherwise through the
+// config's confirm callback or the terminal. Resolves to false when declined and
+// to null when there is no way to ask.
+export async function requestConfirmation(request, { extra, confirm }) {
+  const message = formatRequest(request);
+
+  if (extra?.clientCapabilities?.elicitation?.form && extra.sendRequest) {
+    return elicitConfirmation(message, extra);
+  }
+
+  if (confirm) {
+    return (await confirm({ ...request, message })) === true;
+  }
+
+  const prompt = terminalQueue.then(() => promptTerminal(message, extra?.signal));
+  terminalQueue = prompt.catch(() => {});
+  return prompt;
+}
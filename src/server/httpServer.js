@@ -0,0 +1,270 @@
+import { randomUUID, webcrypto } from 'crypto';
+import { createServer } from 'http';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import { logger as defaultLogger } from '../utils/logger.js';
+
+// The SDK's Streamable HTTP transport uses the global Web Crypto API, which Node 18
+// does not expose without --experimental-global-webcrypto
+globalThis.crypto ??= webcrypto;
+
+export const DEFAULT_HTTP_HOST = '127.0.0.1';
+export const DEFAULT_HTTP_PORT = 3333;
+export const DEFAULT_HTTP_PATH = '/mcp';
+
+const SSE_PATH = '/sse';
+const SSE_MESSAGES_PATH = '/messages';
+const MAX_BODY_SIZE = 4 * 1024 * 1024;
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+function getHostname(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+}
+
+function isLoopbackHost(host) {
+  return LOOPBACK_HOSTS.includes(getHostname(`http://${host.includes(':') ? `[${host}]` : host}`));
+}
+
+function sendJsonRpcError(res, statusCode, message, headers = {}) {
+  if (res.headersSent) return;
+  res.writeHead(statusCode, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify({ jsonrpc: '2.0', error: { code: -32000, message }, id: null }));
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+      try {
+        const raw = Buffer.concat(chunks).toString('utf8');
+        resolve(raw ? JSON.parse(raw) : undefined);
+      } catch {
+        reject(new Error('Invalid JSON in request body'));
+      }
+    });
+
+    req.on('error', reject);
+  });
+}
+
+export class MCPHttpServer {
+  constructor(createMcpServer, options = {}) {
+    this.createMcpServer = createMcpServer;
+    this.host = options.host || DEFAULT_HTTP_HOST;
+    this.port = options.port ?? DEFAULT_HTTP_PORT;
+    this.path = options.path || DEFAULT_HTTP_PATH;
+    this.authenticate = options.authenticate || null;
+    this.logger = options.logger || defaultLogger;
+    this.allowedHosts = null;
+    this.sessions = new Map();
+    this.httpServer = null;
+
+    // Host checks are on for loopback binds, or wherever allowedHosts is set
+    if (options.allowedHosts || isLoopbackHost(this.host)) {
+      const allowedHosts = (options.allowedHosts || []).map((host) => host.toLowerCase());
+      this.allowedHosts = [...LOOPBACK_HOSTS, ...allowedHosts];
+    }
+  }
+
+  get url() {
+    return `http://${this.host}:${this.port}${this.path}`;
+  }
+
+  async listen() {
+    this.httpServer = createServer((req, res) => {
+      this.handleRequest(req, res).catch((error) => {
+        this.logger.error('HTTP request handling failed', error);
+        sendJsonRpcError(res, 500, 'Internal server error');
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.httpServer.once('error', reject);
+      this.httpServer.listen(this.port, this.host, () => {
+        this.httpServer.off('error', reject);
+        resolve();
+      });
+    });
+
+    this.port = this.httpServer.address().port;
+    this.httpServer.on('error', (error) => {
+      this.logger.error('HTTP server error', error);
+    });
+  }
+
+  async handleRequest(req, res) {
+    const { pathname, searchParams } = new URL(req.url, `http://${this.host}`);
+    const isMcpPath = [this.path, SSE_PATH, SSE_MESSAGES_PATH].includes(pathname);
+
+    if (isMcpPath && !this.isAllowedHost(req)) {
+      sendJsonRpcError(res, 403, 'Forbidden: host or origin not allowed');
+      return;
+    }
+
+    if (isMcpPath && this.authenticate && !(await this.authenticateRequest(req, res))) {
+      return;
+    }
+
+    if (pathname === this.path) {
+      await this.handleStreamableRequest(req, res);
+    } else if (pathname === SSE_PATH && req.method === 'GET') {
+      await this.handleSseConnect(res);
+    } else if (pathname === SSE_MESSAGES_PATH && req.method === 'POST') {
+      await this.handleSseMessage(req, res, searchParams.get('sessionId'));
+    } else {
+      sendJsonRpcError(res, 404, `Not found: ${req.method} ${pathname}`);
+    }
+  }
+
+  // After DNS rebinding a web page reaches the server under its own hostname, which
+  // browsers send in Host and Origin
+  isAllowedHost(req) {
+    if (!this.allowedHosts) return true;
+
+    const { host, origin } = req.headers;
+    if (!this.allowedHosts.includes(getHostname(`http://${host}`))) {
+      this.logger.debug(`HTTP request rejected: host ${host} is not allowed`);
+      return false;
+    }
+    if (origin !== undefined && !this.allowedHosts.includes(getHostname(origin))) {
+      this.logger.debug(`HTTP request rejected: origin ${origin} is not allowed`);
+      return false;
+    }
+    return true;
+  }
+
+  // The SDK transports pass req.auth to request handlers as extra.authInfo
+  async authenticateRequest(req, res) {
+    try {
+      const identity = await this.authenticate({ headers: req.headers });
+      req.auth = {
+        token: '',
+        clientId: identity.subject,
+        scopes: identity.roles,
+        extra: { identity },
+      };
+      return true;
+    } catch (error) {
+      this.logger.debug(`HTTP request rejected: ${error.message}`);
+      sendJsonRpcError(res, 401, `Unauthorized: ${error.message}`, {
+        'WWW-Authenticate': 'Bearer',
+      });
+      return false;
+    }
+  }
+
+  async handleStreamableRequest(req, res) {
+    const sessionId = req.headers['mcp-session-id'];
+    const session = sessionId ? this.sessions.get(sessionId) : undefined;
+
+    if (req.method !== 'POST') {
+      if (!session || !(session.transport instanceof StreamableHTTPServerTransport)) {
+        sendJsonRpcError(res, 400, 'Invalid or missing session ID');
+        return;
+      }
+      await session.transport.handleRequest(req, res);
+      return;
+    }
+
+    let body;
+    try {
+      body = await readJsonBody(req);
+    } catch (error) {
+      sendJsonRpcError(res, 400, error.message);
+      return;
+    }
+
+    if (session) {
+      if (!(session.transport instanceof StreamableHTTPServerTransport)) {
+        sendJsonRpcError(res, 400, 'Invalid or missing session ID');
+        return;
+      }
+      await session.transport.handleRequest(req, res, body);
+      return;
+    }
+
+    if (sessionId || !isInitializeRequest(body)) {
+      sendJsonRpcError(res, 400, 'Invalid or missing session ID');
+      return;
+    }
+
+    const server = this.createMcpServer();
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: (id) => {
+        this.sessions.set(id, { transport, server });
+        this.logger.debug(`HTTP session opened: ${id}`);
+      },
+    });
+
+    transport.onclose = () => {
+      if (transport.sessionId && this.sessions.delete(transport.sessionId)) {
+        this.logger.debug(`HTTP session closed: ${transport.sessionId}`);
+      }
+    };
+
+    await server.connect(transport);
+    await transport.handleRequest(req, res, body);
+  }
+
+  async handleSseConnect(res) {
+    const transport = new SSEServerTransport(SSE_MESSAGES_PATH, res);
+    const server = this.createMcpServer();
+
+    this.sessions.set(transport.sessionId, { transport, server });
+    this.logger.debug(`SSE session opened: ${transport.sessionId}`);
+
+    res.on('close', () => {
+      if (this.sessions.delete(transport.sessionId)) {
+        this.logger.debug(`SSE session closed: ${transport.sessionId}`);
+      }
+    });
+
+    await server.connect(transport);
+  }
+
+  async handleSseMessage(req, res, sessionId) {
+    const session = sessionId ? this.sessions.get(sessionId) : undefined;
+
+    if (!session || !(session.transport instanceof SSEServerTransport)) {
+      sendJsonRpcError(res, 400, 'Invalid or missing session ID');
+      return;
+    }
+
+    await session.transport.handlePostMessage(req, res);
+  }
+
+  async close() {
+    const sessions = Array.from(this.sessions.values());
+    this.sessions.clear();
+
+    await Promise.allSettled(sessions.map(({ server }) => server.close()));
+
+    if (this.httpServer) {
+      const httpServer = this.httpServer;
+      this.httpServer = null;
+
+      await new Promise((resolve) => {
+        httpServer.close(() => resolve());
+        httpServer.closeAllConnections?.();
+      });
+    }
+  }
+}
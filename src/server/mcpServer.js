@@ -1,270 +1,958 @@
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
-import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
-import { logger } from '../utils/logger.js';
-import { sanitizeErrorMessage, validateToolArguments } from '../utils/validation.js';
+import {
+  CallToolRequestSchema,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ListToolsRequestSchema,
+  ReadResourceRequestSchema,
+} from '@modelcontextprotocol/sdk/types.js';
+import { randomUUID } from 'crypto';
+import { isValidMiddleware, toToolDescriptor } from '../types/mcp.js';
+import { createAuditLog } from '../utils/auditLog.js';
+import { isContentArray, isContentBlock } from '../utils/content.js';
+import { createLogger } from '../utils/logger.js';
+import { matchUriTemplate } from '../utils/uriTemplate.js';
+import { createAuthenticator, hasRequiredRole } from './auth.js';
+import { requestConfirmation } from './confirmation.js';
+import { MCPHttpServer } from './httpServer.js';
+import {
+  sanitizeErrorMessage,
+  validateStandardArguments,
+  validateToolArguments,
+  validateToolOutput,
+} from '../utils/validation.js';
 
 const DEFAULT_TOOL_TIMEOUT = 30000;
+const DEFAULT_RATE_LIMIT = 100;
+const DEFAULT_MAX_RESPONSE_BYTES = 1024 * 1024;
+const SHUTDOWN_DRAIN_TIMEOUT = 5000;
+
+const FATAL_EVENTS = {
+  uncaughtException: 'Uncaught exception',
+  unhandledRejection: 'Unhandled rejection',
+};
+
+// One set of process listeners serves every running server, so a signal stops (and
+// drains) all of them before the process exits
+const liveServers = new Set();
+let exiting = false;
+
+async function shutdownAll(reason, error) {
+  if (exiting) return;
+  exiting = true;
+
+  const results = await Promise.allSettled(
+    [...liveServers].map((server) => server.shutdown(reason, error))
+  );
+  process.exit(results.some((result) => result.status === 'rejected') ? 1 : 0);
+}
+
+const processListeners = {
+  SIGINT: () => shutdownAll('SIGINT'),
+  SIGTERM: () => shutdownAll('SIGTERM'),
+  uncaughtException: (error) => shutdownAll('uncaughtException', error),
+  unhandledRejection: (reason) => shutdownAll('unhandledRejection', reason),
+};
+
+function watchProcess(server) {
+  if (liveServers.size === 0) {
+    for (const [event, listener] of Object.entries(processListeners)) {
+      process.on(event, listener);
+    }
+  }
+  liveServers.add(server);
+}
+
+function unwatchProcess(server) {
+  if (!liveServers.delete(server) || liveServers.size > 0) return;
+
+  for (const [event, listener] of Object.entries(processListeners)) {
+    process.off(event, listener);
+  }
+}
+
+function rejectOnAbort(signal) {
+  return new Promise((_, reject) => {
+    signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+  });
+}
+
+function getIdentity(extra) {
+  return extra?.authInfo?.extra?.identity;
+}
+
+function toResourceContents(uri, mimeType, result) {
+  if (Array.isArray(result)) {
+    return result.map((item) => ({ uri, mimeType, ...item }));
+  }
+
+  if (result instanceof Uint8Array) {
+    return [
+      {
+        uri,
+        mimeType: mimeType || 'application/octet-stream',
+        blob: Buffer.from(result).toString('base64'),
+      },
+    ];
+  }
+
+  if (typeof result === 'string') {
+    return [{ uri, mimeType: mimeType || 'text/plain', text: result }];
+  }
+
+  return [
+    {
+      uri,
+      mimeType: mimeType || 'application/json',
+      text: JSON.stringify(result ?? null, null, 2),
+    },
+  ];
+}
+
+function toPromptResult(result, description) {
+  if (typeof result === 'string') {
+    return {
+      description,
+      messages: [{ role: 'user', content: { type: 'text', text: result } }],
+    };
+  }
+
+  const messages = Array.isArray(result) ? result : result?.messages;
+  if (!Array.isArray(messages)) {
+    throw new Error('Prompt handler must return a string, an array of messages or { messages }');
+  }
+
+  return {
+    description: (!Array.isArray(result) && result.description) || description,
+    messages: messages.map((message) => ({
+      role: message.role || 'user',
+      content:
+        typeof message.content === 'string'
+          ? { type: 'text', text: message.content }
+          : message.content,
+    })),
+  };
+}
 
 export class MCPConnectServer {
   constructor(config) {
     this.config = config;
     this.isShuttingDown = false;
     this.requestCounts = new Map();
-    this.maxRequestsPerMinute = 100;
+    this.maxRequestsPerMinute = config.rateLimit ?? DEFAULT_RATE_LIMIT;
+    this.maxConcurrent = config.maxConcurrent ?? Infinity;
+    this.toolTimeout = config.timeout ?? DEFAULT_TOOL_TIMEOUT;
+    this.maxResponseBytes = config.maxResponseBytes ?? DEFAULT_MAX_RESPONSE_BYTES;
+    this.activeCalls = new Map();
+    this.activeCallCount = 0;
+    this.inFlight = new Map();
+    this.middleware = [];
+    this.logger = createLogger(config.logger);
+    this.auditLog = createAuditLog(config.audit, process.env, this.logger);
+    this.httpServer = null;
+
+    for (const middleware of config.middleware || []) {
+      this.use(middleware);
+    }
+
+    this.server = this.createServer();
+    this.setupGracefulShutdown();
+  }
 
-    this.server = new Server(
+  createServer() {
+    const server = new Server(
       {
-        name: config.name,
-        version: config.version,
-        description: config.description,
+        name: this.config.name,
+        version: this.config.version,
+        description: this.config.description,
       },
       {
-        capabilities: {
-          tools: {},
-        },
+        capabilities: this.getCapabilities(),
       }
     );
 
-    this.setupHandlers();
-    this.setupGracefulShutdown();
+    this.setupHandlers(server);
+    return server;
+  }
+
+  getCapabilities() {
+    const capabilities = { tools: { listChanged: true } };
+
+    if (this.config.resources?.length > 0) {
+      capabilities.resources = {};
+    }
+
+    if (this.config.prompts?.length > 0) {
+      capabilities.prompts = {};
+    }
+
+    return capabilities;
+  }
+
+  use(middleware) {
+    if (!isValidMiddleware(middleware)) {
+      throw new Error('Middleware must be an object with a before, after or onError function');
+    }
+
+    this.middleware.push(middleware);
+    return this;
   }
 
   setupGracefulShutdown() {
-    const shutdown = async (signal) => {
-      if (this.isShuttingDown) return;
-      this.isShuttingDown = true;
+    watchProcess(this);
+  }
 
-      logger.serverShutdown(signal);
-      try {
-        await new Promise((resolve) => setTimeout(resolve, 1000));
-        process.exit(0);
-      } catch (error) {
-        logger.error('Error during shutdown', error);
-        process.exit(1);
-      }
+  async shutdown(reason, error) {
+    if (FATAL_EVENTS[reason]) {
+      this.logger.error(FATAL_EVENTS[reason], error);
+    }
+    if (this.isShuttingDown) return;
+
+    this.logger.serverShutdown(reason);
+    try {
+      await this.stop();
+    } catch (stopError) {
+      this.logger.error('Error during shutdown', stopError);
+      throw stopError;
+    }
+  }
+
+  async withTimeout(promise, timeoutMs, operation, controller) {
+    let timer;
+    const timeoutPromise = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`${operation} timed out after ${timeoutMs}ms`);
+        controller?.abort(error);
+        reject(error);
+      }, timeoutMs);
+    });
+
+    return Promise.race([promise, timeoutPromise]).finally(() => clearTimeout(timer));
+  }
+
+  async runHandler(requestId, operation, timeoutMs, extra, run) {
+    const controller = new AbortController();
+    const onCancel = () => controller.abort(new Error(`${operation} cancelled by client`));
+
+    if (extra?.signal?.aborted) {
+      onCancel();
+    } else {
+      extra?.signal?.addEventListener('abort', onCancel, { once: true });
+    }
+
+    const context = {
+      signal: controller.signal,
+      requestId: extra?.requestId,
+      auth: getIdentity(extra),
+      progress: (progress, total, message) =>
+        this.sendProgress(extra, controller.signal, progress, total, message),
     };
+    const promise = Promise.resolve().then(() => run(context));
+    this.inFlight.set(requestId, { controller, promise, operation });
 
-    process.on('SIGINT', () => shutdown('SIGINT'));
-    process.on('SIGTERM', () => shutdown('SIGTERM'));
-    process.on('uncaughtException', (error) => {
-      logger.error('Uncaught exception', error);
-      shutdown('uncaughtException');
+    try {
+      return await this.withTimeout(
+        Promise.race([promise, rejectOnAbort(controller.signal)]),
+        timeoutMs,
+        operation,
+        controller
+      );
+    } finally {
+      extra?.signal?.removeEventListener('abort', onCancel);
+      this.inFlight.delete(requestId);
+    }
+  }
+
+  async sendProgress(extra, signal, progress, total, message) {
+    const progressToken = extra?._meta?.progressToken;
+    if (progressToken === undefined || signal.aborted) return;
+
+    if (typeof progress !== 'number' || !Number.isFinite(progress)) {
+      this.logger.warn(`Ignoring progress update with non-numeric value: ${progress}`);
+      return;
+    }
+
+    try {
+      await extra.sendNotification({
+        method: 'notifications/progress',
+        params: { progressToken, progress, total, message },
+      });
+    } catch (error) {
+      this.logger.debug('Failed to send progress notification', error);
+    }
+  }
+
+  setupHandlers(server = this.server) {
+    server.setRequestHandler(ListToolsRequestSchema, async () => {
+      return { tools: this.listTools() };
     });
-    process.on('unhandledRejection', (reason) => {
-      logger.error('Unhandled rejection', reason);
-      shutdown('unhandledRejection');
+
+    server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+      const { name, arguments: args } = request.params;
+      return this.callTool(name, args, {
+        ...extra,
+        clientCapabilities: server.getClientCapabilities(),
+      });
     });
+
+    if (this.config.resources?.length > 0) {
+      this.setupResourceHandlers(server);
+    }
+
+    if (this.config.prompts?.length > 0) {
+      this.setupPromptHandlers(server);
+    }
   }
 
-  async withTimeout(promise, timeoutMs, operation) {
-    const timeoutPromise = new Promise((_, reject) => {
-      setTimeout(() => {
-        reject(new Error(`${operation} timed out after ${timeoutMs}ms`));
-      }, timeoutMs);
+  listTools() {
+    return this.config.tools.map(toToolDescriptor);
+  }
+
+  async callTool(name, args, extra = {}) {
+    const requestId = randomUUID();
+    if (!this.auditLog) {
+      return this.runToolCall(requestId, name, args, extra);
+    }
+
+    const startTime = Date.now();
+    try {
+      const result = await this.runToolCall(requestId, name, args, extra);
+      this.auditToolCall({ requestId, name, args, extra, startTime, result });
+      return result;
+    } catch (error) {
+      this.auditToolCall({ requestId, name, args, extra, startTime, error });
+      throw error;
+    }
+  }
+
+  auditToolCall({ requestId, name, args, extra, startTime, result, error }) {
+    const identity = getIdentity(extra);
+    const failed = Boolean(error || result?.isError);
+
+    this.auditLog.write({
+      timestamp: new Date(startTime).toISOString(),
+      requestId,
+      ...(extra?.requestId !== undefined && { jsonRpcId: extra.requestId }),
+      tool: name,
+      args: args ?? {},
+      caller: identity
+        ? { subject: identity.subject, roles: identity.roles, scheme: identity.scheme }
+        : null,
+      ...(extra?.sessionId && { sessionId: extra.sessionId }),
+      durationMs: Date.now() - startTime,
+      outcome: failed ? 'error' : 'success',
+      ...(failed && {
+        error: error ? sanitizeErrorMessage(error) : result.content?.[0]?.text,
+      }),
+      resultBytes: result ? Buffer.byteLength(JSON.stringify(result)) : 0,
     });
+  }
+
+  async runToolCall(requestId, name, args, extra) {
+    if (this.isShuttingDown) {
+      throw new Error('Server is shutting down');
+    }
+
+    if (!this.consumeRateLimit(null, this.maxRequestsPerMinute)) {
+      const error = new Error(
+        `Rate limit exceeded: ${this.maxRequestsPerMinute} requests per minute`
+      );
+      this.logger.traceError('tools/call', error, requestId);
+      throw error;
+    }
+
+    this.logger.traceRequest('tools/call', { name, args }, requestId);
+
+    if (!name || typeof name !== 'string') {
+      const error = new Error('Tool name is required and must be a string');
+      this.logger.traceError('tools/call', error, requestId);
+      throw error;
+    }
+
+    const tool = this.config.tools.find((t) => t.name === name);
+    if (!tool) {
+      const error = new Error(
+        `Tool "${name}" not found. Available tools: ${this.config.tools.map((t) => t.name).join(', ')}`
+      );
+      this.logger.traceError('tools/call', error, requestId);
+      throw error;
+    }
+
+    // Calls over HTTP are checked even without an identity; STDIO clients are trusted
+    const identity = getIdentity(extra);
+    if (tool.roles && (identity || this.httpServer) && !hasRequiredRole(identity, tool.roles)) {
+      const error = new Error(
+        `Not authorized to call tool "${name}": requires one of the roles ${tool.roles.join(', ')}`
+      );
+      this.logger.traceError('tools/call', error, requestId);
+      throw error;
+    }
+
+    const limits = this.getToolLimits(tool);
+
+    if (limits.rateLimit !== undefined && !this.consumeRateLimit(name, limits.rateLimit)) {
+      const error = new Error(
+        `Rate limit exceeded for tool "${name}": ${limits.rateLimit} requests per minute`
+      );
+      this.logger.traceError('tools/call', error, requestId);
+      throw error;
+    }
+
+    const activeForTool = this.activeCalls.get(name) || 0;
+    if (this.activeCallCount >= this.maxConcurrent || activeForTool >= limits.maxConcurrent) {
+      const limit =
+        activeForTool >= limits.maxConcurrent ? limits.maxConcurrent : this.maxConcurrent;
+      const error = new Error(
+        `Concurrency limit reached for tool "${name}": ${limit} calls already running`
+      );
+      this.logger.traceError('tools/call', error, requestId);
+      throw error;
+    }
+
+    this.activeCalls.set(name, activeForTool + 1);
+    this.activeCallCount += 1;
+
+    const startTime = Date.now();
+    this.logger.toolExecutionStart(name, args, requestId);
+
+    const middlewareContext = { toolName: name, tool, args, requestId, auth: identity, meta: {} };
+
+    try {
+      let result;
+      try {
+        middlewareContext.args = tool.argumentsSchema
+          ? await validateStandardArguments(args, tool.argumentsSchema)
+          : validateToolArguments(args, tool.inputSchema);
+
+        const operation = `Tool "${name}" execution`;
+        result = await this.runMiddleware(middlewareContext, async (validatedArgs) => {
+          if (tool.requiresConfirmation) {
+            await this.confirmToolCall(tool, validatedArgs, extra, identity);
+          }
+
+          return this.logger.timeAsync(
+            operation,
+            this.runHandler(requestId, operation, limits.timeout, extra, (context) =>
+              tool.handler(validatedArgs, { ...context, toolName: name })
+            ),
+            name
+          );
+        });
+      } catch (error) {
+        result = await this.recoverWithMiddleware(middlewareContext, error);
+      }
+
+      let toolResult;
+      if (tool.outputSchema) {
+        const structuredContent = await validateToolOutput(
+          result,
+          tool.resultSchema || tool.outputSchema
+        );
+        // Structured results can't be truncated and still match the schema, so an
+        // oversized one fails the call instead
+        toolResult = {
+          ...this.formatToolResult(name, structuredContent, Infinity),
+          structuredContent,
+        };
+        const resultSize = Buffer.byteLength(JSON.stringify(toolResult));
+        if (resultSize > limits.maxResponseBytes) {
+          throw new Error(
+            `Result of ${resultSize} bytes exceeded the ${limits.maxResponseBytes} byte limit`
+          );
+        }
+      } else {
+        toolResult = this.formatToolResult(name, result, limits.maxResponseBytes);
+      }
+
+      if (Object.keys(middlewareContext.meta).length > 0) {
+        toolResult._meta = middlewareContext.meta;
+      }
+
+      const duration = Date.now() - startTime;
+      this.logger.toolExecutionEnd(name, duration, requestId);
+      this.logger.traceResponse('tools/call', toolResult, requestId);
+
+      return toolResult;
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      this.logger.toolExecutionError(name, error, duration, requestId);
+      this.logger.traceError('tools/call', error, requestId);
+
+      const sanitizedMessage = sanitizeErrorMessage(error);
+      const message = `Tool "${name}" failed: ${sanitizedMessage}`;
+
+      if (tool.errorsAsResults ?? this.config.errorsAsResults ?? true) {
+        return {
+          isError: true,
+          content: [{ type: 'text', text: message }],
+        };
+      }
+
+      throw new Error(message);
+    } finally {
+      this.activeCallCount -= 1;
+      this.activeCalls.set(name, this.activeCalls.get(name) - 1);
+      if (this.activeCalls.get(name) === 0) {
+        this.activeCalls.delete(name);
+      }
+    }
+  }
+
+  async confirmToolCall(tool, args, extra, identity) {
+    const approved = await requestConfirmation(
+      { toolName: tool.name, description: tool.description, args, auth: identity },
+      { extra, confirm: extra?.confirm || this.config.confirm }
+    );
+
+    if (approved === null) {
+      throw new Error(
+        'This tool needs confirmation, but the client does not support elicitation and there is no terminal to ask. Set confirm in the config to approve calls another way'
+      );
+    }
+    if (!approved) {
+      throw new Error('The call was not approved');
+    }
+    this.logger.info(`Call to tool "${tool.name}" approved`);
+  }
+
+  // before hooks run in order and may rewrite ctx.args or return a result to skip the
+  // handler; after hooks of the middleware that ran unwind in reverse and may replace it
+  async runMiddleware(context, run) {
+    const entered = [];
+    let result;
+    let shortCircuited = false;
+
+    for (const middleware of this.middleware) {
+      entered.unshift(middleware);
+      if (!middleware.before) continue;
+
+      result = await middleware.before(context);
+      if (result !== undefined) {
+        shortCircuited = true;
+        break;
+      }
+    }
+
+    if (!shortCircuited) {
+      result = await run(context.args);
+    }
+
+    for (const middleware of entered) {
+      if (!middleware.after) continue;
+
+      const transformed = await middleware.after(context, result);
+      if (transformed !== undefined) {
+        result = transformed;
+      }
+    }
+
+    return result;
+  }
+
+  // onError hooks run in reverse; the first to return a value recovers the call and
+  // a hook that throws replaces the error passed to the next one
+  async recoverWithMiddleware(context, error) {
+    let currentError = error;
 
-    return Promise.race([promise, timeoutPromise]);
+    for (const middleware of [...this.middleware].reverse()) {
+      if (!middleware.onError) continue;
+
+      try {
+        const result = await middleware.onError(context, currentError);
+        if (result !== undefined) {
+          return result;
+        }
+      } catch (hookError) {
+        currentError = hookError;
+      }
+    }
+
+    throw currentError;
   }
 
-  setupHandlers() {
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => {
+  getToolLimits(tool) {
+    return {
+      timeout: tool.timeout ?? this.toolTimeout,
+      maxConcurrent: tool.maxConcurrent ?? Infinity,
+      rateLimit: tool.rateLimit,
+      maxResponseBytes: tool.maxResponseBytes ?? this.maxResponseBytes,
+    };
+  }
+
+  consumeRateLimit(scope, limit) {
+    const currentMinute = Math.floor(Date.now() / 60000);
+    const requestKey = scope ? `${currentMinute}:${scope}` : `${currentMinute}`;
+    const currentCount = this.requestCounts.get(requestKey) || 0;
+
+    if (currentCount >= limit) {
+      return false;
+    }
+
+    this.requestCounts.set(requestKey, currentCount + 1);
+
+    for (const [key] of this.requestCounts) {
+      if (parseInt(key) < currentMinute - 1) {
+        this.requestCounts.delete(key);
+      }
+    }
+
+    return true;
+  }
+
+  getConnectedServers() {
+    const servers = [this.server];
+
+    if (this.httpServer) {
+      for (const session of this.httpServer.sessions.values()) {
+        servers.push(session.server);
+      }
+    }
+
+    return servers.filter((server) => server.transport);
+  }
+
+  async updateTools(tools) {
+    this.config = { ...this.config, tools };
+
+    const results = await Promise.allSettled(
+      this.getConnectedServers().map((server) => server.sendToolListChanged())
+    );
+
+    for (const result of results) {
+      if (result.status === 'rejected') {
+        this.logger.warn('Failed to send tools/list_changed notification', result.reason);
+      }
+    }
+
+    this.logger.info(`Tool list updated (${tools.length} tools)`);
+  }
+
+  formatToolResult(name, result, maxResponseBytes = this.maxResponseBytes) {
+    if (isContentBlock(result)) {
+      return { content: [result] };
+    }
+
+    if (isContentArray(result)) {
+      return { content: result };
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: this.serializeToolResult(name, result, maxResponseBytes),
+        },
+      ],
+    };
+  }
+
+  serializeToolResult(name, result, maxResponseBytes = this.maxResponseBytes) {
+    let content;
+
+    if (typeof result === 'string') {
+      content = result;
+    } else if (result === null || result === undefined) {
+      content = 'null';
+    } else {
+      try {
+        const jsonString = JSON.stringify(result, (key, value) => {
+          if (typeof value === 'object' && value !== null) {
+            if (this.seenObjects && this.seenObjects.has(value)) {
+              return '[Circular Reference]';
+            }
+            if (!this.seenObjects) this.seenObjects = new WeakSet();
+            this.seenObjects.add(value);
+          }
+          return value;
+        }, 2);
+
+        this.seenObjects = null;
+
+        content = jsonString;
+      } catch (jsonError) {
+        this.seenObjects = null;
+        this.logger.warn(`JSON serialization failed for tool "${name}"`, jsonError);
+        content = String(result);
+      }
+    }
+
+    const originalSize = Buffer.byteLength(content);
+    if (originalSize > maxResponseBytes) {
+      const notice = `\n\n[Response truncated - exceeded ${maxResponseBytes} byte limit]`;
+      const keepBytes = Math.max(0, maxResponseBytes - Buffer.byteLength(notice));
+      content = Buffer.from(content).subarray(0, keepBytes).toString('utf8') + notice;
+      this.logger.warn(`Tool "${name}" response truncated`, {
+        originalSize,
+        truncatedSize: maxResponseBytes,
+      });
+    }
+
+    return content;
+  }
+
+  findResource(uri) {
+    const resource = this.config.resources.find((r) => r.uri === uri);
+    if (resource) {
+      return { resource, params: {} };
+    }
+
+    for (const template of this.config.resources) {
+      if (!template.uriTemplate) continue;
+
+      const params = matchUriTemplate(template.uriTemplate, uri);
+      if (params) {
+        return { resource: template, params };
+      }
+    }
+
+    return null;
+  }
+
+  setupResourceHandlers(server) {
+    server.setRequestHandler(ListResourcesRequestSchema, async () => {
       return {
-        tools: this.config.tools.map((tool) => ({
-          name: tool.name,
-          description: tool.description,
-          inputSchema: tool.inputSchema,
-        })),
+        resources: this.config.resources
+          .filter((resource) => resource.uri)
+          .map((resource) => ({
+            uri: resource.uri,
+            name: resource.name,
+            description: resource.description,
+            mimeType: resource.mimeType,
+          })),
+      };
+    });
+
+    server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+      return {
+        resourceTemplates: this.config.resources
+          .filter((resource) => resource.uriTemplate)
+          .map((resource) => ({
+            uriTemplate: resource.uriTemplate,
+            name: resource.name,
+            description: resource.description,
+            mimeType: resource.mimeType,
+          })),
       };
     });
 
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      const requestId = Math.random().toString(36).substring(2, 8);
+    server.setRequestHandler(ReadResourceRequestSchema, async (request, extra) => {
+      const requestId = randomUUID();
+      const { uri } = request.params;
+
+      this.logger.traceRequest('resources/read', { uri }, requestId);
 
       if (this.isShuttingDown) {
         throw new Error('Server is shutting down');
       }
 
-      const currentMinute = Math.floor(Date.now() / 60000);
-      const requestKey = `${currentMinute}`;
-      const currentCount = this.requestCounts.get(requestKey) || 0;
-
-      if (currentCount >= this.maxRequestsPerMinute) {
-        const error = new Error(
-          `Rate limit exceeded: ${this.maxRequestsPerMinute} requests per minute`
-        );
-        logger.traceError('tools/call', error, requestId);
+      const match = this.findResource(uri);
+      if (!match) {
+        const error = new Error(`Resource "${uri}" not found`);
+        this.logger.traceError('resources/read', error, requestId);
         throw error;
       }
 
-      this.requestCounts.set(requestKey, currentCount + 1);
+      const { resource, params } = match;
 
-      for (const [key] of this.requestCounts) {
-        if (parseInt(key) < currentMinute - 1) {
-          this.requestCounts.delete(key);
-        }
+      try {
+        const result = await this.runHandler(
+          requestId,
+          `Resource "${uri}" read`,
+          this.toolTimeout,
+          extra,
+          (context) => resource.read({ uri, params }, context)
+        );
+
+        const contents = toResourceContents(uri, resource.mimeType, result);
+        this.logger.traceResponse('resources/read', { contents }, requestId);
+
+        return { contents };
+      } catch (error) {
+        this.logger.traceError('resources/read', error, requestId);
+
+        const sanitizedMessage = sanitizeErrorMessage(error);
+        throw new Error(`Resource "${uri}" failed: ${sanitizedMessage}`);
       }
+    });
+  }
 
-      const { name, arguments: args } = request.params;
+  setupPromptHandlers(server) {
+    server.setRequestHandler(ListPromptsRequestSchema, async () => {
+      return {
+        prompts: this.config.prompts.map((prompt) => ({
+          name: prompt.name,
+          description: prompt.description,
+          arguments: prompt.arguments,
+        })),
+      };
+    });
 
-      logger.traceRequest('tools/call', { name, args }, requestId);
+    server.setRequestHandler(GetPromptRequestSchema, async (request, extra) => {
+      const requestId = randomUUID();
+      const { name, arguments: args = {} } = request.params;
 
-      if (!name || typeof name !== 'string') {
-        const error = new Error('Tool name is required and must be a string');
-        logger.traceError('tools/call', error, requestId);
-        throw error;
+      this.logger.traceRequest('prompts/get', { name, args }, requestId);
+
+      if (this.isShuttingDown) {
+        throw new Error('Server is shutting down');
       }
 
-      const tool = this.config.tools.find((t) => t.name === name);
-      if (!tool) {
+      const prompt = this.config.prompts.find((p) => p.name === name);
+      if (!prompt) {
         const error = new Error(
-          `Tool "${name}" not found. Available tools: ${this.config.tools.map((t) => t.name).join(', ')}`
+          `Prompt "${name}" not found. Available prompts: ${this.config.prompts.map((p) => p.name).join(', ')}`
         );
-        logger.traceError('tools/call', error, requestId);
+        this.logger.traceError('prompts/get', error, requestId);
         throw error;
       }
 
-      const startTime = Date.now();
-      logger.toolExecutionStart(name, args, requestId);
+      const missing = prompt.arguments
+        .filter((arg) => arg.required && (args[arg.name] === undefined || args[arg.name] === ''))
+        .map((arg) => arg.name);
+      if (missing.length > 0) {
+        const error = new Error(
+          `Prompt "${name}" is missing required arguments: ${missing.join(', ')}`
+        );
+        this.logger.traceError('prompts/get', error, requestId);
+        throw error;
+      }
 
       try {
-        const validatedArgs = validateToolArguments(args);
-
-        const toolPromise = Promise.resolve(tool.handler(validatedArgs));
-        const result = await logger.timeAsync(
-          `Tool "${name}" execution`,
-          this.withTimeout(toolPromise, DEFAULT_TOOL_TIMEOUT, `Tool "${name}" execution`),
-          name
+        const result = await this.runHandler(
+          requestId,
+          `Prompt "${name}" generation`,
+          this.toolTimeout,
+          extra,
+          (context) => prompt.handler(args, context)
         );
 
-        let content;
-        const MAX_RESPONSE_SIZE = 1024 * 1024;
-
-        if (typeof result === 'string') {
-          content = result;
-        } else if (result === null || result === undefined) {
-          content = 'null';
-        } else {
-          try {
-            const jsonString = JSON.stringify(result, (key, value) => {
-              if (typeof value === 'object' && value !== null) {
-                if (this.seenObjects && this.seenObjects.has(value)) {
-                  return '[Circular Reference]';
-                }
-                if (!this.seenObjects) this.seenObjects = new WeakSet();
-                this.seenObjects.add(value);
-              }
-              return value;
-            }, 2);
-
-            this.seenObjects = null;
-
-            content = jsonString;
-          } catch (jsonError) {
-            logger.warn(`JSON serialization failed for tool "${name}"`, jsonError);
-            content = String(result);
-          }
-        }
-
-        if (content.length > MAX_RESPONSE_SIZE) {
-          const truncated = content.substring(0, MAX_RESPONSE_SIZE - 100);
-          content = truncated + '\n\n[Response truncated - exceeded 1MB limit]';
-          logger.warn(`Tool "${name}" response truncated`, {
-            originalSize: content.length,
-            truncatedSize: MAX_RESPONSE_SIZE,
-          });
-        }
-
-        const duration = Date.now() - startTime;
-        logger.toolExecutionEnd(name, duration, requestId);
-        logger.traceResponse('tools/call', { content }, requestId);
+        const promptResult = toPromptResult(result, prompt.description);
+        this.logger.traceResponse('prompts/get', promptResult, requestId);
 
-        return {
-          content: [
-            {
-              type: 'text',
-              text: content,
-            },
-          ],
-        };
+        return promptResult;
       } catch (error) {
-        const duration = Date.now() - startTime;
-        logger.toolExecutionError(name, error, duration, requestId);
-        logger.traceError('tools/call', error, requestId);
+        this.logger.traceError('prompts/get', error, requestId);
 
         const sanitizedMessage = sanitizeErrorMessage(error);
-        throw new Error(`Tool "${name}" failed: ${sanitizedMessage}`);
+        throw new Error(`Prompt "${name}" failed: ${sanitizedMessage}`);
       }
     });
   }
 
-  async start() {
+  async start(options = {}) {
+    const transportConfig = { ...this.config.transport, ...options };
+
+    if (transportConfig.type === 'http') {
+      return this.startHttp(transportConfig);
+    }
+
+    return this.startStdio();
+  }
+
+  async startHttp(options = {}) {
+    try {
+      const authenticate = this.config.auth ? createAuthenticator(this.config.auth) : null;
+      this.httpServer = new MCPHttpServer(() => this.createServer(), {
+        ...options,
+        authenticate,
+        logger: this.logger,
+      });
+      await this.httpServer.listen();
+
+      if (!authenticate && this.config.tools.some((tool) => tool.roles)) {
+        this.logger.warn('Tools with roles cannot be called over HTTP until auth is configured');
+      }
+
+      this.logger.serverStarted(this.config.name, 'HTTP', this.config.tools.length);
+      this.logger.info(`Listening on ${this.httpServer.url} (SSE fallback at /sse)`);
+    } catch (error) {
+      this.logger.error('Failed to start MCP HTTP server', error);
+
+      if (error && error.code === 'EADDRINUSE') {
+        this.logger.error('❌ Address already in use');
+        this.logger.info('💡 Pick another port with --port or stop the process using it');
+      } else if (error && error.code === 'EACCES') {
+        this.logger.error('❌ Permission denied');
+        this.logger.info('💡 Ports below 1024 need elevated permissions - use a higher port');
+      }
+
+      this.httpServer = null;
+      throw error;
+    }
+  }
+
+  async startStdio() {
     try {
       const transport = new StdioServerTransport();
 
       transport.onclose = () => {
         if (!this.isShuttingDown) {
-          logger.warn('STDIO transport closed unexpectedly - AI client may have disconnected');
-          logger.info('This is normal when Claude Desktop or other MCP clients disconnect');
+          this.logger.warn('STDIO transport closed unexpectedly - AI client may have disconnected');
+          this.logger.info('This is normal when Claude Desktop or other MCP clients disconnect');
         }
       };
 
       transport.onerror = (error) => {
-        logger.error('STDIO transport error', error);
+        this.logger.error('STDIO transport error', error);
 
         if (error && typeof error === 'object') {
           const errorStr = error.toString();
 
           if (errorStr.includes('EPIPE') || errorStr.includes('broken pipe')) {
-            logger.error('Broken pipe - AI client disconnected abruptly');
-            logger.info('Restart the MCP server and reconnect your AI client');
+            this.logger.error('Broken pipe - AI client disconnected abruptly');
+            this.logger.info('Restart the MCP server and reconnect your AI client');
           } else if (errorStr.includes('ECONNRESET')) {
-            logger.error('Connection reset - AI client closed connection');
-            logger.info('This is normal during AI client restart');
+            this.logger.error('Connection reset - AI client closed connection');
+            this.logger.info('This is normal during AI client restart');
           } else if (errorStr.includes('parse') || errorStr.includes('JSON')) {
-            logger.error('JSON parsing error - malformed message received');
-            logger.info('Check AI client MCP implementation');
+            this.logger.error('JSON parsing error - malformed message received');
+            this.logger.info('Check AI client MCP implementation');
           }
         }
       };
 
       process.stdin.on('error', (error) => {
         if (!this.isShuttingDown) {
-          logger.error('STDIN error', error);
-          logger.info('STDIN pipe broken - AI client may have disconnected');
+          this.logger.error('STDIN error', error);
+          this.logger.info('STDIN pipe broken - AI client may have disconnected');
         }
       });
 
       process.stdout.on('error', (error) => {
         if (!this.isShuttingDown) {
-          logger.error('STDOUT error', error);
-          logger.info('STDOUT pipe broken - cannot send responses to AI client');
+          this.logger.error('STDOUT error', error);
+          this.logger.info('STDOUT pipe broken - cannot send responses to AI client');
         }
       });
 
       await this.server.connect(transport);
-      logger.serverStarted(this.config.name, 'STDIO', this.config.tools.length);
+      this.logger.serverStarted(this.config.name, 'STDIO', this.config.tools.length);
     } catch (error) {
-      logger.error('Failed to start MCP server', error);
+      this.logger.error('Failed to start MCP server', error);
 
       if (error instanceof Error) {
         const errorMsg = error.message;
 
         if (errorMsg.includes('EACCES')) {
-          logger.error('❌ Permission denied');
-          logger.info('💡 Try running with elevated permissions or check file/directory access');
+          this.logger.error('❌ Permission denied');
+          this.logger.info(
+            '💡 Try running with elevated permissions or check file/directory access'
+          );
         } else if (errorMsg.includes('ENOENT')) {
-          logger.error('❌ File or directory not found');
-          logger.info('💡 Check your configuration file path and working directory');
+          this.logger.error('❌ File or directory not found');
+          this.logger.info('💡 Check your configuration file path and working directory');
         } else if (errorMsg.includes('EADDRINUSE')) {
-          logger.error('❌ Address already in use');
-          logger.info('💡 Another MCP server may be running. Stop it first');
+          this.logger.error('❌ Address already in use');
+          this.logger.info('💡 Another MCP server may be running. Stop it first');
         } else if (errorMsg.includes('MODULE_NOT_FOUND')) {
-          logger.error('❌ Module not found');
-          logger.info('💡 Run: npm install @myatkyawthu/mcp-connect');
+          this.logger.error('❌ Module not found');
+          this.logger.info('💡 Run: npm install @myatkyawthu/mcp-connect');
         } else if (errorMsg.includes('Cannot resolve')) {
-          logger.error('❌ Import resolution failed');
-          logger.info('💡 Check your import paths in mcp.config.js');
+          this.logger.error('❌ Import resolution failed');
+          this.logger.info('💡 Check your import paths in mcp.config.js');
         }
       }
 
@@ -274,6 +962,33 @@ export class MCPConnectServer {
 
   async stop() {
     this.isShuttingDown = true;
-    logger.info('MCP server stopped');
+
+    if (this.inFlight.size > 0) {
+      const calls = [...this.inFlight.values()];
+      this.logger.info(`Aborting ${calls.length} in-flight request(s)`);
+
+      for (const call of calls) {
+        call.controller.abort(new Error('Server is shutting down'));
+      }
+
+      try {
+        await this.withTimeout(
+          Promise.allSettled(calls.map((call) => call.promise)),
+          SHUTDOWN_DRAIN_TIMEOUT,
+          'Waiting for in-flight requests'
+        );
+      } catch (error) {
+        this.logger.warn(error.message);
+      }
+    }
+
+    if (this.httpServer) {
+      const httpServer = this.httpServer;
+      this.httpServer = null;
+      await httpServer.close();
+    }
+
+    unwatchProcess(this);
+    this.logger.info('MCP server stopped');
   }
 }
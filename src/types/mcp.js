@@ -1,3 +1,20 @@
+import { isStandardSchema } from '../utils/standardSchema.js';
+
+export function createPermissiveSchema() {
+  return { type: 'object', properties: {}, additionalProperties: true };
+}
+
+// What tools/list advertises for a tool; also used by `mcp-connect list` without a server
+export function toToolDescriptor(tool) {
+  return {
+    name: tool.name,
+    description: tool.description || `Tool: ${tool.name}`,
+    inputSchema: tool.inputSchema || createPermissiveSchema(),
+    ...(tool.outputSchema && { outputSchema: tool.outputSchema }),
+    ...(tool.annotations && { annotations: tool.annotations }),
+  };
+}
+
 export function isValidMCPTool(tool) {
   return (
     tool &&
@@ -31,8 +48,20 @@ export function isValidToolDefinition(toolDef) {
       typeof toolDef.handler === 'function' &&
       (toolDef.description === undefined || typeof toolDef.description === 'string') &&
       (toolDef.schema === undefined ||
+        isStandardSchema(toolDef.schema) ||
         (typeof toolDef.schema === 'object' && toolDef.schema !== null))
     );
   }
   return false;
 }
+
+export function isValidMiddleware(middleware) {
+  const hooks = ['before', 'after', 'onError'];
+  return (
+    !!middleware &&
+    typeof middleware === 'object' &&
+    !Array.isArray(middleware) &&
+    hooks.some((hook) => typeof middleware[hook] === 'function') &&
+    hooks.every((hook) => middleware[hook] === undefined || typeof middleware[hook] === 'function')
+  );
+}
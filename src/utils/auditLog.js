@@ -0,0 +1,111 @@
+import { appendFileSync, existsSync, mkdirSync, renameSync, rmSync, statSync } from 'fs';
+import { dirname, resolve } from 'path';
+import { logger as defaultLogger } from './logger.js';
+
+export const DEFAULT_AUDIT_MAX_BYTES = 10 * 1024 * 1024;
+export const DEFAULT_AUDIT_MAX_FILES = 5;
+const REDACTED = '[REDACTED]';
+const SENSITIVE_WORD = /^(password|passwd|passphrase|secrets?|credentials?)$/;
+// Only sensitive as the last word, so "accessTokens" is redacted but "tokenCount" is not
+const SENSITIVE_LAST_WORD = /^(tokens?|authorizations?|cookies?|apikeys?|privatekeys?|pwds?)$/;
+
+function splitKeyWords(key) {
+  return key
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+function isSensitiveKey(key) {
+  const words = splitKeyWords(key);
+  const lastWords = [words[words.length - 1], words.slice(-2).join('')];
+
+  return (
+    words.some((word) => SENSITIVE_WORD.test(word)) ||
+    lastWords.some((word) => SENSITIVE_LAST_WORD.test(word))
+  );
+}
+
+export function redactArguments(value, redact = []) {
+  if (Array.isArray(value)) {
+    return value.map((item) => redactArguments(item, redact));
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [
+        key,
+        isSensitiveKey(key) || redact.includes(key) ? REDACTED : redactArguments(item, redact),
+      ])
+    );
+  }
+
+  return value;
+}
+
+// Appends one JSON line per entry. When the next line would take the file past maxBytes,
+// it is renamed to <file>.1 (shifting older files up to <file>.<maxFiles>) first
+export class AuditLog {
+  constructor(options) {
+    this.file = resolve(options.file);
+    this.maxBytes = options.maxBytes ?? DEFAULT_AUDIT_MAX_BYTES;
+    this.maxFiles = options.maxFiles ?? DEFAULT_AUDIT_MAX_FILES;
+    this.redact = options.redact;
+    this.logger = options.logger || defaultLogger;
+    this.size = null;
+  }
+
+  redactArguments(args) {
+    if (typeof this.redact === 'function') {
+      return this.redact(redactArguments(args));
+    }
+    return redactArguments(args, this.redact);
+  }
+
+  rotate() {
+    rmSync(`${this.file}.${this.maxFiles}`, { force: true });
+
+    for (let index = this.maxFiles - 1; index >= 1; index--) {
+      if (existsSync(`${this.file}.${index}`)) {
+        renameSync(`${this.file}.${index}`, `${this.file}.${index + 1}`);
+      }
+    }
+
+    renameSync(this.file, `${this.file}.1`);
+    this.size = 0;
+  }
+
+  write(entry) {
+    try {
+      const line = `${JSON.stringify({ ...entry, args: this.redactArguments(entry.args) })}\n`;
+      const lineBytes = Buffer.byteLength(line);
+
+      if (this.size === null) {
+        mkdirSync(dirname(this.file), { recursive: true });
+        this.size = existsSync(this.file) ? statSync(this.file).size : 0;
+      }
+
+      if (this.size > 0 && this.size + lineBytes > this.maxBytes) {
+        this.rotate();
+      }
+
+      appendFileSync(this.file, line, { mode: 0o600 });
+      this.size += lineBytes;
+    } catch (error) {
+      this.size = null;
+      this.logger.error(`Failed to write audit log ${this.file}`, error);
+    }
+  }
+}
+
+// MCP_AUDIT_FILE turns the audit log on, or overrides the file set in the config
+export function createAuditLog(audit, env = process.env, logger = defaultLogger) {
+  const options = typeof audit === 'string' ? { file: audit } : { ...audit };
+  if (env.MCP_AUDIT_FILE) {
+    options.file = env.MCP_AUDIT_FILE;
+  }
+
+  return options.file ? new AuditLog({ ...options, logger }) : null;
+}
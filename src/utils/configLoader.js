@@ -1,55 +1,118 @@
-import { existsSync } from 'fs';
-import { resolve } from 'path';
+import { existsSync, readFileSync } from 'fs';
+import module from 'module';
+import { dirname, resolve } from 'path';
 import { defineMCP } from '../defineMCP.js';
 import { logger } from './logger.js';
+import { isTypeScriptFile, RELOAD_PARAM } from './moduleHooks.js';
 
-export async function loadConfig(configPath = null) {
-  let resolvedConfigPath = null;
+const CONFIG_FILES = ['mcp.config.js', 'mcp.config.mjs', 'mcp.config.ts', 'mcp.config.mts'];
 
-  if (configPath) {
-    logger.debug('loadConfig - Custom config path provided - RUN');
-    const fullPath = resolve(configPath);
-    if (existsSync(fullPath)) {
-      resolvedConfigPath = fullPath;
-    } else {
+let hooksRegistered = false;
+
+export function registerModuleHooks() {
+  if (hooksRegistered) return true;
+  if (typeof module.register !== 'function') return false;
+
+  module.register(new URL('./moduleHooks.js', import.meta.url));
+  hooksRegistered = true;
+  return true;
+}
+
+function readPackageConfigPath(dir) {
+  const packagePath = resolve(dir, 'package.json');
+  if (!existsSync(packagePath)) return null;
+
+  let packageJson;
+  try {
+    packageJson = JSON.parse(readFileSync(packagePath, 'utf8'));
+  } catch (error) {
+    logger.warn(`Ignoring unreadable ${packagePath}`, error);
+    return null;
+  }
+
+  const field = packageJson.mcp;
+  const configPath = typeof field === 'string' ? field : field?.config;
+  if (configPath === undefined) return null;
+
+  if (typeof configPath !== 'string') {
+    throw new Error(
+      `Invalid "mcp" field in ${packagePath}\nUse a path to your config: "mcp": "./mcp.config.js" or "mcp": { "config": "./mcp.config.js" }`
+    );
+  }
+
+  const fullPath = resolve(dir, configPath);
+  if (!existsSync(fullPath)) {
+    throw new Error(
+      `Config file not found: ${configPath} (from the "mcp" field in ${packagePath})\nMake sure the file exists and the path is correct.`
+    );
+  }
+
+  return fullPath;
+}
+
+export function findConfigFile(configPath = null, options = {}) {
+  const cwd = resolve(options.cwd || process.cwd());
+  const explicitPath = configPath || process.env.MCP_CONFIG;
+
+  if (explicitPath) {
+    logger.debug(
+      `findConfigFile - Using ${configPath ? 'custom config path' : 'MCP_CONFIG'} - RUN`
+    );
+    const fullPath = resolve(cwd, explicitPath);
+    if (!existsSync(fullPath)) {
       throw new Error(
-        `Config file not found: ${configPath}\nMake sure the file exists and the path is correct.`
+        `Config file not found: ${explicitPath}${configPath ? '' : ' (from MCP_CONFIG)'}\nMake sure the file exists and the path is correct.`
       );
     }
-  } else {
-    logger.debug('loadConfig - Searching for config in current directory - RUN');
-    const configPaths = ['mcp.config.js', 'mcp.config.mjs'];
+    return fullPath;
+  }
+
+  logger.debug(`findConfigFile - Searching from ${cwd} - RUN`);
 
-    for (const path of configPaths) {
-      const fullPath = resolve(process.cwd(), path);
+  for (let dir = cwd; ; dir = dirname(dir)) {
+    for (const file of CONFIG_FILES) {
+      const fullPath = resolve(dir, file);
       if (existsSync(fullPath)) {
-        resolvedConfigPath = fullPath;
-        logger.debug(`loadConfig - Found config at ${path} - RUN`);
-        break;
+        logger.debug(`findConfigFile - Found config at ${fullPath} - RUN`);
+        return fullPath;
       }
     }
-  }
 
-  if (!resolvedConfigPath) {
-    throw new Error(
-      `No mcp.config.js found in current directory\nSuggestion: Run 'mcp-connect init' to create a config file`
-    );
+    const packageConfigPath = readPackageConfigPath(dir);
+    if (packageConfigPath) {
+      logger.debug(`findConfigFile - Found config via ${dir}/package.json - RUN`);
+      return packageConfigPath;
+    }
+
+    if (dirname(dir) === dir) break;
   }
 
+  throw new Error(
+    `No MCP config file found in ${cwd} or any parent directory\nLooked for ${CONFIG_FILES.join(', ')} and an "mcp" field in package.json.\nSuggestion: Run 'mcp-connect init' to create a config file, or pass its path with MCP_CONFIG`
+  );
+}
+
+export async function loadConfig(configPath = null, options = {}) {
+  const resolvedConfigPath = findConfigFile(configPath, options);
+
   logger.debug(`loadConfig - Loading config from ${resolvedConfigPath} - RUN`);
 
   let configModule;
   try {
-    if (resolvedConfigPath.endsWith('.ts')) {
+    if (isTypeScriptFile(resolvedConfigPath) && !registerModuleHooks()) {
       throw new Error(
-        `TypeScript config detected at ${resolvedConfigPath}\nPlease rename to .js or .mjs and use JavaScript syntax.`
+        `TypeScript config detected at ${resolvedConfigPath}\nLoading TypeScript configs needs Node.js 20.6 or newer. Upgrade Node.js or rename the config to .js.`
       );
     }
 
-    const fileUrl = resolvedConfigPath.startsWith('/')
+    let fileUrl = resolvedConfigPath.startsWith('/')
       ? `file://${resolvedConfigPath}`
       : `file:///${resolvedConfigPath.replace(/\\/g, '/')}`;
 
+    if (options.reload !== undefined) {
+      fileUrl += `?${RELOAD_PARAM}=${options.reload}`;
+    }
+
     configModule = await import(fileUrl);
   } catch (error) {
     if (error.message.includes('TypeScript config detected')) {
@@ -69,7 +132,7 @@ export async function loadConfig(configPath = null) {
       errorMessage += `\nModule import error. Check your import paths in the config file.`;
     }
 
-    throw new Error(errorMessage);
+    throw new Error(errorMessage, { cause: error });
   }
 
   const config = configModule.default;
@@ -86,7 +149,7 @@ export async function loadConfig(configPath = null) {
   try {
     validatedConfig = typeof config === 'function' ? config : defineMCP(config);
   } catch (error) {
-    throw new Error(`Configuration validation failed: ${error.message}`);
+    throw new Error(`Configuration validation failed: ${error.message}`, { cause: error });
   }
 
   return {
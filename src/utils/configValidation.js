@@ -1,3 +1,15 @@
+import { AUTH_TYPES } from '../server/auth.js';
+import { isLogger, isLogSink, LOG_FORMATS, LOG_LEVELS } from './logger.js';
+import { isStandardSchema, toJSONSchema } from './standardSchema.js';
+
+const LIMIT_OPTIONS = ['timeout', 'maxConcurrent', 'rateLimit', 'maxResponseBytes'];
+const ANNOTATION_HINTS = ['readOnlyHint', 'destructiveHint', 'idempotentHint', 'openWorldHint'];
+const MAX_TIMEOUT = 60 * 60 * 1000;
+// setTimeout treats longer delays as 1ms
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+const CALLBACK_PARAM_PATTERN =
+  /^(?:async\s+)?(?:function\s*)?(?:\w+\s*)?\([^)]*,\s*(?:callback|cb|done|next)\s*\)/;
+
 export class ConfigValidator {
   constructor() {
     this.errors = [];
@@ -14,7 +26,17 @@ export class ConfigValidator {
       this.validateName(config.name);
       this.validateVersion(config.version);
       this.validateDescription(config.description);
+      this.validateTransport(config.transport);
+      this.validateAuth(config.auth);
+      this.validateFunction(config.confirm, 'confirm', 'async ({ toolName, args }) => true');
+      this.validateAudit(config.audit);
+      this.validateLogger(config.logger);
+      this.validateBoolean(config.errorsAsResults, 'errorsAsResults');
+      this.validateLimits(config, '');
       this.validateTools(config.tools);
+      this.validateResources(config.resources);
+      this.validatePrompts(config.prompts);
+      this.validateMiddleware(config.middleware);
     }
 
     return {
@@ -135,6 +157,431 @@ export class ConfigValidator {
     }
   }
 
+  validateBoolean(value, fieldPath) {
+    if (value === undefined) return;
+
+    if (typeof value !== 'boolean') {
+      this.addError(fieldPath, 'Value must be a boolean', value, 'Use true or false');
+    }
+  }
+
+  validateFunction(value, fieldPath, suggestion) {
+    if (value === undefined) return;
+
+    if (typeof value !== 'function') {
+      this.addError(fieldPath, 'Value must be a function', typeof value, suggestion);
+    }
+  }
+
+  validateLimits(source, fieldPrefix) {
+    for (const option of LIMIT_OPTIONS) {
+      const value = source[option];
+      if (value === undefined) continue;
+
+      if (!Number.isInteger(value) || value <= 0) {
+        this.addError(
+          `${fieldPrefix}${option}`,
+          `${option} must be a positive integer`,
+          value,
+          option === 'timeout' ? 'timeout: 30000 (milliseconds)' : `${option}: 10`
+        );
+      }
+    }
+
+    if (Number.isInteger(source.timeout) && source.timeout > MAX_TIMER_DELAY) {
+      this.addError(
+        `${fieldPrefix}timeout`,
+        `Timeout must be at most ${MAX_TIMER_DELAY}ms (about 24.8 days)`,
+        source.timeout,
+        'timeout: 30000 (milliseconds)'
+      );
+    } else if (Number.isInteger(source.timeout) && source.timeout > MAX_TIMEOUT) {
+      this.addWarning(
+        `${fieldPrefix}timeout`,
+        'Timeout is longer than one hour',
+        source.timeout,
+        'Timeouts are in milliseconds - did you mean seconds?'
+      );
+    }
+  }
+
+  validateTransport(transport) {
+    if (transport === undefined) return;
+
+    const transportTypes = ['stdio', 'http'];
+
+    if (typeof transport === 'string') {
+      if (!transportTypes.includes(transport)) {
+        this.addError(
+          'transport',
+          `Unknown transport "${transport}"`,
+          transport,
+          `Use one of: ${transportTypes.join(', ')}`
+        );
+      }
+      return;
+    }
+
+    if (typeof transport !== 'object' || transport === null || Array.isArray(transport)) {
+      this.addError(
+        'transport',
+        'Transport must be a string or an object',
+        transport,
+        'Use transport: "http" or transport: { type: "http", port: 3333 }'
+      );
+      return;
+    }
+
+    if (!transportTypes.includes(transport.type)) {
+      this.addError(
+        'transport.type',
+        `Unknown transport type "${transport.type}"`,
+        transport.type,
+        `Use one of: ${transportTypes.join(', ')}`
+      );
+    }
+
+    if (
+      transport.port !== undefined &&
+      (!Number.isInteger(transport.port) || transport.port < 0 || transport.port > 65535)
+    ) {
+      this.addError(
+        'transport.port',
+        'Port must be an integer between 0 and 65535',
+        transport.port,
+        'port: 3333'
+      );
+    }
+
+    if (transport.host !== undefined && typeof transport.host !== 'string') {
+      this.addError('transport.host', 'Host must be a string', transport.host, 'host: "127.0.0.1"');
+    }
+
+    if (
+      transport.path !== undefined &&
+      (typeof transport.path !== 'string' || !transport.path.startsWith('/'))
+    ) {
+      this.addError(
+        'transport.path',
+        'Path must be a string starting with "/"',
+        transport.path,
+        'path: "/mcp"'
+      );
+    }
+
+    const { allowedHosts } = transport;
+    if (
+      allowedHosts !== undefined &&
+      !(Array.isArray(allowedHosts) && allowedHosts.every((host) => typeof host === 'string'))
+    ) {
+      this.addError(
+        'transport.allowedHosts',
+        'Allowed hosts must be an array of hostnames',
+        allowedHosts,
+        'allowedHosts: ["mcp.example.com"]'
+      );
+    }
+
+    if (transport.host && !['127.0.0.1', 'localhost', '::1'].includes(transport.host)) {
+      this.addWarning(
+        'transport.host',
+        'Server will accept connections from other machines',
+        transport.host,
+        'Bind to "127.0.0.1" unless remote access is intended'
+      );
+    }
+
+    const knownProps = ['type', 'port', 'host', 'path', 'allowedHosts'];
+    const unknownProps = Object.keys(transport).filter((prop) => !knownProps.includes(prop));
+    if (unknownProps.length > 0) {
+      this.addWarning(
+        'transport',
+        `Unknown properties: ${unknownProps.join(', ')}`,
+        unknownProps,
+        'Remove unknown properties'
+      );
+    }
+  }
+
+  validateAuth(auth) {
+    if (auth === undefined) return;
+
+    const methods = Array.isArray(auth) ? auth : [auth];
+    if (methods.length === 0) {
+      this.addError(
+        'auth',
+        'Auth must not be empty',
+        auth,
+        'auth: { type: "bearer", tokens: [...] }'
+      );
+      return;
+    }
+
+    methods.forEach((method, index) => {
+      const fieldPrefix = Array.isArray(auth) ? `auth[${index}]` : 'auth';
+
+      if (typeof method !== 'object' || method === null || Array.isArray(method)) {
+        this.addError(
+          fieldPrefix,
+          'Auth must be an object',
+          method,
+          '{ type: "bearer", tokens: [process.env.MCP_TOKEN] }'
+        );
+        return;
+      }
+
+      if (method.authenticate !== undefined) {
+        if (typeof method.authenticate !== 'function') {
+          this.addError(
+            `${fieldPrefix}.authenticate`,
+            'Authenticate must be a function',
+            typeof method.authenticate,
+            'authenticate: async ({ headers }) => ({ subject, roles })'
+          );
+        }
+        return;
+      }
+
+      if (!AUTH_TYPES.includes(method.type)) {
+        this.addError(
+          `${fieldPrefix}.type`,
+          `Auth type must be one of: ${AUTH_TYPES.join(', ')}`,
+          method.type,
+          'type: "bearer"'
+        );
+        return;
+      }
+
+      const secretsField = { bearer: 'tokens', apiKey: 'keys' }[method.type];
+      if (secretsField) {
+        const secrets = method[secretsField];
+        const values = Array.isArray(secrets) ? secrets : Object.keys(secrets || {});
+        if (
+          typeof secrets !== 'object' ||
+          secrets === null ||
+          values.length === 0 ||
+          values.some((value) => typeof value !== 'string' || value === '')
+        ) {
+          this.addError(
+            `${fieldPrefix}.${secretsField}`,
+            `${secretsField} must be a non-empty array of strings or an object keyed by secret`,
+            secrets,
+            `${secretsField}: { [process.env.ADMIN_TOKEN]: { subject: "admin", roles: ["admin"] } }`
+          );
+        } else if (values.some((value) => ['undefined', 'null'].includes(value))) {
+          this.addError(
+            `${fieldPrefix}.${secretsField}`,
+            `A secret is "${values.find((value) => ['undefined', 'null'].includes(value))}" - is an environment variable missing?`,
+            secrets,
+            'Set the environment variable before starting the server'
+          );
+        }
+      }
+
+      if (method.type === 'jwt') {
+        const { jwks } = method;
+        if (typeof jwks !== 'string' && !(jwks instanceof URL) && !Array.isArray(jwks?.keys)) {
+          this.addError(
+            `${fieldPrefix}.jwks`,
+            'JWKS must be a file path, a file URL or { keys: [...] }',
+            jwks,
+            'jwks: new URL("./jwks.json", import.meta.url)'
+          );
+        }
+      }
+    });
+  }
+
+  validateAudit(audit) {
+    if (audit === undefined || typeof audit === 'string') return;
+
+    if (typeof audit !== 'object' || audit === null || Array.isArray(audit)) {
+      this.addError(
+        'audit',
+        'Audit must be a file path or an object',
+        audit,
+        'audit: { file: "./logs/audit.jsonl" }'
+      );
+      return;
+    }
+
+    if (audit.file !== undefined && (typeof audit.file !== 'string' || audit.file.trim() === '')) {
+      this.addError('audit.file', 'File must be a non-empty string', audit.file, '"./audit.jsonl"');
+    }
+
+    for (const option of ['maxBytes', 'maxFiles']) {
+      if (audit[option] !== undefined && (!Number.isInteger(audit[option]) || audit[option] <= 0)) {
+        this.addError(
+          `audit.${option}`,
+          `${option} must be a positive integer`,
+          audit[option],
+          option === 'maxBytes' ? 'maxBytes: 10485760' : 'maxFiles: 5'
+        );
+      }
+    }
+
+    const { redact } = audit;
+    if (
+      redact !== undefined &&
+      typeof redact !== 'function' &&
+      !(Array.isArray(redact) && redact.every((key) => typeof key === 'string'))
+    ) {
+      this.addError(
+        'audit.redact',
+        'Redact must be an array of argument names or a function',
+        redact,
+        'redact: ["ssn", "email"]'
+      );
+    }
+
+    const knownProps = ['file', 'maxBytes', 'maxFiles', 'redact'];
+    const unknownProps = Object.keys(audit).filter((prop) => !knownProps.includes(prop));
+    if (unknownProps.length > 0) {
+      this.addWarning(
+        'audit',
+        `Unknown properties: ${unknownProps.join(', ')}`,
+        unknownProps,
+        'Remove unknown properties'
+      );
+    }
+  }
+
+  validateLogger(options) {
+    if (options === undefined || isLogger(options)) return;
+
+    if (typeof options !== 'object' || options === null || Array.isArray(options)) {
+      this.addError(
+        'logger',
+        'Logger must be an MCPLogger or an object of logger options',
+        options,
+        'logger: { level: "info", format: "json" }'
+      );
+      return;
+    }
+
+    if (options.level !== undefined && !LOG_LEVELS.includes(options.level)) {
+      this.addError(
+        'logger.level',
+        `Level must be one of: ${LOG_LEVELS.join(', ')}`,
+        options.level,
+        'level: "info"'
+      );
+    }
+
+    if (options.format !== undefined && !LOG_FORMATS.includes(options.format)) {
+      this.addError(
+        'logger.format',
+        `Format must be one of: ${LOG_FORMATS.join(', ')}`,
+        options.format,
+        'format: "json"'
+      );
+    }
+
+    if (options.sinks !== undefined) {
+      if (!Array.isArray(options.sinks)) {
+        this.addError(
+          'logger.sinks',
+          'Sinks must be an array',
+          options.sinks,
+          'sinks: [(record) => records.push(record)]'
+        );
+      } else {
+        options.sinks.forEach((sink, index) => {
+          if (!isLogSink(sink)) {
+            this.addError(
+              `logger.sinks[${index}]`,
+              'A sink must be a function, a stream or a logger with debug, info, warn and error methods',
+              sink,
+              'Pass a function, a writable stream, or a pino or winston logger'
+            );
+          }
+        });
+      }
+    }
+
+    this.validateBoolean(options.debug, 'logger.debug');
+    this.validateBoolean(options.performance, 'logger.performance');
+
+    const knownProps = ['level', 'format', 'sinks', 'debug', 'performance'];
+    const unknownProps = Object.keys(options).filter((prop) => !knownProps.includes(prop));
+    if (unknownProps.length > 0) {
+      this.addWarning(
+        'logger',
+        `Unknown properties: ${unknownProps.join(', ')}`,
+        unknownProps,
+        'Remove unknown properties'
+      );
+    }
+  }
+
+  validateRoles(roles, fieldPath) {
+    if (roles === undefined) return;
+
+    if (
+      !Array.isArray(roles) ||
+      roles.length === 0 ||
+      roles.some((role) => typeof role !== 'string' || role.trim() === '')
+    ) {
+      this.addError(
+        fieldPath,
+        'Roles must be a non-empty array of strings',
+        roles,
+        'roles: ["admin"]'
+      );
+    }
+  }
+
+  validateToolAnnotations(tool, fieldPrefix) {
+    const { annotations } = tool;
+    const fieldPath = `${fieldPrefix}.annotations`;
+
+    if (annotations !== undefined) {
+      if (typeof annotations !== 'object' || annotations === null || Array.isArray(annotations)) {
+        this.addError(
+          fieldPath,
+          'Annotations must be an object',
+          annotations,
+          'annotations: { readOnlyHint: true }'
+        );
+        return;
+      }
+
+      for (const hint of ANNOTATION_HINTS) {
+        this.validateBoolean(annotations[hint], `${fieldPath}.${hint}`);
+      }
+
+      if (annotations.title !== undefined && typeof annotations.title !== 'string') {
+        this.addError(
+          `${fieldPath}.title`,
+          'Title must be a string',
+          annotations.title,
+          'title: "Delete Todo"'
+        );
+      }
+
+      const unknownProps = Object.keys(annotations).filter(
+        (prop) => ![...ANNOTATION_HINTS, 'title'].includes(prop)
+      );
+      if (unknownProps.length > 0) {
+        this.addWarning(
+          fieldPath,
+          `Unknown annotations: ${unknownProps.join(', ')}`,
+          unknownProps,
+          `Use ${[...ANNOTATION_HINTS, 'title'].join(', ')}`
+        );
+      }
+    }
+
+    if (tool.destructive === true && annotations?.readOnlyHint === true) {
+      this.addWarning(
+        fieldPath,
+        'A destructive tool should not be marked read-only',
+        annotations,
+        'Remove readOnlyHint or destructive'
+      );
+    }
+  }
+
   validateTools(tools) {
     if (tools === undefined) return;
 
@@ -210,8 +657,27 @@ export class ConfigValidator {
       this.validateToolHandler(tool.handler, `${fieldPrefix}.handler`);
       this.validateToolDescription(tool.description, `${fieldPrefix}.description`);
       this.validateToolSchema(tool.schema, `${fieldPrefix}.schema`);
+      this.validateToolOutputSchema(tool.outputSchema, `${fieldPrefix}.outputSchema`);
+      this.validateBoolean(tool.errorsAsResults, `${fieldPrefix}.errorsAsResults`);
+      this.validateLimits(tool, `${fieldPrefix}.`);
+      this.validateRoles(tool.roles, `${fieldPrefix}.roles`);
+      this.validateBoolean(tool.destructive, `${fieldPrefix}.destructive`);
+      this.validateBoolean(tool.requiresConfirmation, `${fieldPrefix}.requiresConfirmation`);
+      this.validateToolAnnotations(tool, fieldPrefix);
 
-      const knownProps = ['name', 'handler', 'description', 'schema'];
+      const knownProps = [
+        'name',
+        'handler',
+        'description',
+        'schema',
+        'outputSchema',
+        'errorsAsResults',
+        'roles',
+        'annotations',
+        'destructive',
+        'requiresConfirmation',
+        ...LIMIT_OPTIONS,
+      ];
       const unknownProps = Object.keys(tool).filter((prop) => !knownProps.includes(prop));
       if (unknownProps.length > 0) {
         this.addWarning(
@@ -286,20 +752,21 @@ export class ConfigValidator {
 
     const handlerString = handler.toString();
 
-    const paramMatch = handlerString.match(/^(?:async\s+)?(?:function\s*)?(?:\w+\s*)?\(([^)]*)\)/);
-    if (paramMatch) {
-      const params = paramMatch[1].trim();
-      if (params) {
-        const paramCount = params.split(',').filter(p => p.trim()).length;
-        if (paramCount > 1) {
-          this.addError(
-            fieldPath,
-            `Tool handler should accept 0 or 1 parameter, got ${paramCount}`,
-            paramCount,
-            'Use: async (args) => { ... } or async () => { ... }'
-          );
-        }
-      }
+    const paramCount = handler.length;
+    if (paramCount > 2) {
+      this.addError(
+        fieldPath,
+        `Tool handler should accept 0 or 1 parameter plus an optional context, got ${paramCount}`,
+        paramCount,
+        'Use: async (args, { signal }) => { ... } or async (args) => { ... }'
+      );
+    } else if (paramCount === 2 && CALLBACK_PARAM_PATTERN.test(handlerString)) {
+      this.addError(
+        fieldPath,
+        'Tool handler second parameter is the call context, not a callback',
+        paramCount,
+        'Return a value or a Promise instead of calling a callback'
+      );
     }
 
     const isAsync = handler.constructor.name === 'AsyncFunction';
@@ -346,6 +813,333 @@ export class ConfigValidator {
     }
   }
 
+  validateResources(resources) {
+    if (resources === undefined) return;
+
+    if (!Array.isArray(resources)) {
+      this.addError('resources', 'Resources must be an array', resources, 'Use resources: [...]');
+      return;
+    }
+
+    const resourceUris = new Set();
+    resources.forEach((resource, index) => {
+      this.validateResource(resource, index, resourceUris);
+    });
+  }
+
+  validateResource(resource, index, resourceUris) {
+    const fieldPrefix = `resources[${index}]`;
+
+    if (typeof resource !== 'object' || resource === null || Array.isArray(resource)) {
+      this.addError(
+        fieldPrefix,
+        'Resource must be an object',
+        resource,
+        '{ uri: "docs://readme", read: async () => "..." }'
+      );
+      return;
+    }
+
+    const hasUri = resource.uri !== undefined;
+    const hasTemplate = resource.uriTemplate !== undefined;
+
+    if (hasUri === hasTemplate) {
+      this.addError(
+        fieldPrefix,
+        'Resource must define exactly one of "uri" or "uriTemplate"',
+        undefined,
+        'uri: "docs://readme" or uriTemplate: "todos://{id}"'
+      );
+    } else {
+      const field = hasUri ? 'uri' : 'uriTemplate';
+      this.validateResourceUri(resource[field], `${fieldPrefix}.${field}`, resourceUris);
+    }
+
+    if (resource.name !== undefined && typeof resource.name !== 'string') {
+      this.addError(
+        `${fieldPrefix}.name`,
+        'Resource name must be a string',
+        resource.name,
+        '"README"'
+      );
+    }
+
+    if (resource.description !== undefined && typeof resource.description !== 'string') {
+      this.addError(
+        `${fieldPrefix}.description`,
+        'Resource description must be a string',
+        resource.description,
+        '"What this resource contains"'
+      );
+    }
+
+    if (resource.mimeType !== undefined && typeof resource.mimeType !== 'string') {
+      this.addError(
+        `${fieldPrefix}.mimeType`,
+        'Resource mimeType must be a string',
+        resource.mimeType,
+        '"text/markdown"'
+      );
+    }
+
+    if (typeof resource.read !== 'function') {
+      this.addError(
+        `${fieldPrefix}.read`,
+        'Resource read handler must be a function',
+        typeof resource.read,
+        'async ({ uri, params }) => { ... }'
+      );
+    } else if (resource.read.length > 2) {
+      this.addError(
+        `${fieldPrefix}.read`,
+        `Resource read handler should accept 0 or 1 parameter plus an optional context, got ${resource.read.length}`,
+        resource.read.length,
+        'Use: async ({ uri, params }, { signal }) => { ... }'
+      );
+    }
+
+    const knownProps = ['uri', 'uriTemplate', 'name', 'description', 'mimeType', 'read'];
+    const unknownProps = Object.keys(resource).filter((prop) => !knownProps.includes(prop));
+    if (unknownProps.length > 0) {
+      this.addWarning(
+        fieldPrefix,
+        `Unknown properties: ${unknownProps.join(', ')}`,
+        unknownProps,
+        'Remove unknown properties'
+      );
+    }
+  }
+
+  validateResourceUri(uri, fieldPath, resourceUris) {
+    if (typeof uri !== 'string' || uri.trim() === '') {
+      this.addError(fieldPath, 'Resource URI must be a non-empty string', uri, '"docs://readme"');
+      return;
+    }
+
+    if (resourceUris.has(uri)) {
+      this.addError(
+        fieldPath,
+        `Duplicate resource URI "${uri}"`,
+        uri,
+        'Each resource must have a unique URI'
+      );
+      return;
+    }
+    resourceUris.add(uri);
+
+    if (!/^[a-zA-Z][a-zA-Z0-9+.-]*:/.test(uri)) {
+      this.addWarning(
+        fieldPath,
+        'Resource URI should start with a scheme',
+        uri,
+        '"docs://readme" or "file:///path/to/file"'
+      );
+    }
+  }
+
+  validatePrompts(prompts) {
+    if (prompts === undefined) return;
+
+    if (!Array.isArray(prompts)) {
+      this.addError('prompts', 'Prompts must be an array', prompts, 'Use prompts: [...]');
+      return;
+    }
+
+    const promptNames = new Set();
+    prompts.forEach((prompt, index) => {
+      this.validatePrompt(prompt, index, promptNames);
+    });
+  }
+
+  validatePrompt(prompt, index, promptNames) {
+    const fieldPrefix = `prompts[${index}]`;
+
+    if (typeof prompt !== 'object' || prompt === null || Array.isArray(prompt)) {
+      this.addError(
+        fieldPrefix,
+        'Prompt must be an object',
+        prompt,
+        '{ name: "summarize", handler: async (args) => "..." }'
+      );
+      return;
+    }
+
+    if (typeof prompt.name !== 'string' || prompt.name.trim() === '') {
+      this.addError(
+        `${fieldPrefix}.name`,
+        'Prompt name must be a non-empty string',
+        prompt.name,
+        '"summarize"'
+      );
+    } else if (promptNames.has(prompt.name.trim())) {
+      this.addError(
+        `${fieldPrefix}.name`,
+        `Duplicate prompt name "${prompt.name.trim()}"`,
+        prompt.name,
+        'Each prompt must have a unique name'
+      );
+    } else {
+      promptNames.add(prompt.name.trim());
+    }
+
+    if (prompt.description !== undefined && typeof prompt.description !== 'string') {
+      this.addError(
+        `${fieldPrefix}.description`,
+        'Prompt description must be a string',
+        prompt.description,
+        '"What this prompt is for"'
+      );
+    }
+
+    if (typeof prompt.handler !== 'function') {
+      this.addError(
+        `${fieldPrefix}.handler`,
+        'Prompt handler must be a function',
+        typeof prompt.handler,
+        'async (args) => "Prompt text"'
+      );
+    } else if (prompt.handler.length > 2) {
+      this.addError(
+        `${fieldPrefix}.handler`,
+        `Prompt handler should accept 0 or 1 parameter plus an optional context, got ${prompt.handler.length}`,
+        prompt.handler.length,
+        'Use: async (args, { signal }) => { ... }'
+      );
+    }
+
+    this.validatePromptArguments(prompt.arguments, `${fieldPrefix}.arguments`);
+
+    const knownProps = ['name', 'description', 'arguments', 'handler'];
+    const unknownProps = Object.keys(prompt).filter((prop) => !knownProps.includes(prop));
+    if (unknownProps.length > 0) {
+      this.addWarning(
+        fieldPrefix,
+        `Unknown properties: ${unknownProps.join(', ')}`,
+        unknownProps,
+        'Remove unknown properties'
+      );
+    }
+  }
+
+  validateMiddleware(middleware) {
+    if (middleware === undefined) return;
+
+    if (!Array.isArray(middleware)) {
+      this.addError(
+        'middleware',
+        'Middleware must be an array',
+        middleware,
+        'Use middleware: [{ before: (ctx) => { ... } }]'
+      );
+      return;
+    }
+
+    middleware.forEach((item, index) => {
+      const fieldPrefix = `middleware[${index}]`;
+
+      if (typeof item !== 'object' || item === null || Array.isArray(item)) {
+        this.addError(
+          fieldPrefix,
+          'Middleware must be an object',
+          item,
+          '{ before: (ctx) => { ... }, after: (ctx, result) => result }'
+        );
+        return;
+      }
+
+      const hooks = ['before', 'after', 'onError'];
+      for (const hook of hooks) {
+        if (item[hook] !== undefined && typeof item[hook] !== 'function') {
+          this.addError(
+            `${fieldPrefix}.${hook}`,
+            `Middleware ${hook} hook must be a function`,
+            typeof item[hook],
+            `${hook}: async (ctx) => { ... }`
+          );
+        }
+      }
+
+      if (!hooks.some((hook) => item[hook] !== undefined)) {
+        this.addError(
+          fieldPrefix,
+          'Middleware must define a before, after or onError hook',
+          item,
+          '{ before: (ctx) => { ... } }'
+        );
+      }
+
+      const unknownProps = Object.keys(item).filter((prop) => ![...hooks, 'name'].includes(prop));
+      if (unknownProps.length > 0) {
+        this.addWarning(
+          fieldPrefix,
+          `Unknown properties: ${unknownProps.join(', ')}`,
+          unknownProps,
+          'Remove unknown properties'
+        );
+      }
+    });
+  }
+
+  validatePromptArguments(args, fieldPath) {
+    if (args === undefined) return;
+
+    if (!Array.isArray(args)) {
+      this.addError(
+        fieldPath,
+        'Prompt arguments must be an array',
+        args,
+        '[{ name: "topic", required: true }]'
+      );
+      return;
+    }
+
+    const argumentNames = new Set();
+    args.forEach((arg, index) => {
+      const argPath = `${fieldPath}[${index}]`;
+
+      if (typeof arg !== 'object' || arg === null || Array.isArray(arg)) {
+        this.addError(argPath, 'Prompt argument must be an object', arg, '{ name: "topic" }');
+        return;
+      }
+
+      if (typeof arg.name !== 'string' || arg.name.trim() === '') {
+        this.addError(
+          `${argPath}.name`,
+          'Prompt argument name must be a non-empty string',
+          arg.name,
+          '"topic"'
+        );
+      } else if (argumentNames.has(arg.name)) {
+        this.addError(
+          `${argPath}.name`,
+          `Duplicate prompt argument "${arg.name}"`,
+          arg.name,
+          'Each argument must have a unique name'
+        );
+      } else {
+        argumentNames.add(arg.name);
+      }
+
+      if (arg.description !== undefined && typeof arg.description !== 'string') {
+        this.addError(
+          `${argPath}.description`,
+          'Prompt argument description must be a string',
+          arg.description,
+          '"What this argument is for"'
+        );
+      }
+
+      if (arg.required !== undefined && typeof arg.required !== 'boolean') {
+        this.addError(
+          `${argPath}.required`,
+          'Prompt argument required must be a boolean',
+          arg.required,
+          'required: true'
+        );
+      }
+    });
+  }
+
   validateAsyncConsistency(asyncPatterns) {
     if (asyncPatterns.length < 2) return;
 
@@ -375,6 +1169,11 @@ export class ConfigValidator {
   validateToolSchema(schema, fieldPath) {
     if (schema === undefined) return;
 
+    if (isStandardSchema(schema)) {
+      this.validateStandardToolSchema(schema, fieldPath);
+      return;
+    }
+
     if (typeof schema !== 'object' || schema === null || Array.isArray(schema)) {
       this.addError(
         fieldPath,
@@ -410,6 +1209,50 @@ export class ConfigValidator {
       );
     }
   }
+  validateToolOutputSchema(schema, fieldPath) {
+    if (schema === undefined) return;
+
+    if (isStandardSchema(schema)) {
+      this.validateStandardToolSchema(schema, fieldPath, 'output');
+      return;
+    }
+
+    this.validateToolSchema(schema, fieldPath);
+
+    const isObject = typeof schema === 'object' && schema !== null && !Array.isArray(schema);
+    if (isObject && schema.type !== 'object') {
+      this.addError(
+        `${fieldPath}.type`,
+        'Output schema must describe an object',
+        schema.type,
+        '"object"'
+      );
+    }
+  }
+
+  validateStandardToolSchema(schema, fieldPath, io = 'input') {
+    let jsonSchema;
+    try {
+      jsonSchema = toJSONSchema(schema, io);
+    } catch (error) {
+      this.addError(
+        fieldPath,
+        error.message,
+        schema['~standard'].vendor,
+        'Use Zod 4 or a library that implements Standard JSON Schema, or write the schema as JSON Schema'
+      );
+      return;
+    }
+
+    if (jsonSchema.type !== 'object') {
+      this.addError(
+        fieldPath,
+        'Tool schema must describe an object',
+        jsonSchema.type,
+        'z.object({ ... })'
+      );
+    }
+  }
 }
 
 export function validateConfig(config) {
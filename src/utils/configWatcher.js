@@ -0,0 +1,123 @@
+import { existsSync, readFileSync, watch } from 'fs';
+import { dirname, resolve } from 'path';
+import { loadConfig, registerModuleHooks } from './configLoader.js';
+import { isTypeScriptFile } from './moduleHooks.js';
+
+const RELOAD_DEBOUNCE_MS = 100;
+const IMPORT_PATTERN =
+  /(?:import|export)\s[^'"]*?from\s*['"]([^'"]+)['"]|import\s*\(\s*['"]([^'"]+)['"]\s*\)|import\s*['"]([^'"]+)['"]/g;
+
+let reloadVersion = 0;
+
+function resolveLocalImport(fromPath, specifier) {
+  const path = resolve(dirname(fromPath), specifier);
+  if (!isTypeScriptFile(fromPath) || existsSync(path)) return path;
+
+  const candidates = [path.replace(/js$/, 'ts'), `${path}.ts`, resolve(path, 'index.ts')];
+  return candidates.find((candidate) => existsSync(candidate)) || path;
+}
+
+export function collectLocalImports(entryPath, seen = new Set()) {
+  if (seen.has(entryPath) || !existsSync(entryPath)) return seen;
+  seen.add(entryPath);
+
+  let source;
+  try {
+    source = readFileSync(entryPath, 'utf8');
+  } catch {
+    return seen;
+  }
+
+  for (const match of source.matchAll(IMPORT_PATTERN)) {
+    const specifier = match[1] || match[2] || match[3];
+    if (specifier.startsWith('./') || specifier.startsWith('../')) {
+      collectLocalImports(resolveLocalImport(entryPath, specifier), seen);
+    }
+  }
+
+  return seen;
+}
+
+export class ConfigWatcher {
+  constructor(configPath, server) {
+    this.configPath = resolve(configPath);
+    this.server = server;
+    this.logger = server.logger;
+    this.watchers = [];
+    this.reloadTimer = null;
+    this.reloading = null;
+  }
+
+  start() {
+    if (!registerModuleHooks()) {
+      this.logger.warn(
+        'Node.js version does not support module hooks - only the config file will reload'
+      );
+    }
+    this.watchFiles();
+    this.logger.info(`Watching ${this.configPath} for changes`);
+  }
+
+  watchFiles() {
+    this.closeWatchers();
+
+    for (const file of collectLocalImports(this.configPath)) {
+      try {
+        const watcher = watch(file, () => this.scheduleReload(file));
+        watcher.on('error', (error) => this.logger.debug(`Stopped watching ${file}`, error));
+        this.watchers.push(watcher);
+      } catch (error) {
+        this.logger.warn(`Cannot watch ${file}`, error);
+      }
+    }
+  }
+
+  scheduleReload(file) {
+    clearTimeout(this.reloadTimer);
+    this.reloadTimer = setTimeout(() => {
+      this.logger.info(`Change detected in ${file} - reloading config`);
+      this.reload();
+    }, RELOAD_DEBOUNCE_MS);
+  }
+
+  async reload() {
+    if (this.reloading) {
+      await this.reloading;
+    }
+
+    this.reloading = this.performReload();
+    try {
+      return await this.reloading;
+    } finally {
+      this.reloading = null;
+    }
+  }
+
+  async performReload() {
+    reloadVersion += 1;
+
+    try {
+      const { config } = await loadConfig(this.configPath, { reload: reloadVersion });
+      await this.server.updateTools(config.tools);
+      return true;
+    } catch (error) {
+      this.logger.error(`Config reload failed - keeping previous tools\n${error.message}`);
+      return false;
+    } finally {
+      // Editors often replace files on save, which ends fs.watch watchers
+      this.watchFiles();
+    }
+  }
+
+  closeWatchers() {
+    for (const watcher of this.watchers) {
+      watcher.close();
+    }
+    this.watchers = [];
+  }
+
+  close() {
+    clearTimeout(this.reloadTimer);
+    this.closeWatchers();
+  }
+}
@@ -0,0 +1,76 @@
+function toBase64(data) {
+  if (typeof data === 'string') return data;
+  if (data instanceof Uint8Array || data instanceof ArrayBuffer) {
+    return Buffer.from(data).toString('base64');
+  }
+  throw new Error('Binary content must be a Buffer, Uint8Array, ArrayBuffer or base64 string');
+}
+
+export function text(value) {
+  return { type: 'text', text: typeof value === 'string' ? value : JSON.stringify(value, null, 2) };
+}
+
+export function image(data, mimeType = 'image/png') {
+  return { type: 'image', data: toBase64(data), mimeType };
+}
+
+export function audio(data, mimeType = 'audio/wav') {
+  return { type: 'audio', data: toBase64(data), mimeType };
+}
+
+export function resource(uri, data, mimeType) {
+  if (typeof data === 'string') {
+    return { type: 'resource', resource: { uri, mimeType: mimeType || 'text/plain', text: data } };
+  }
+
+  if (data instanceof Uint8Array || data instanceof ArrayBuffer) {
+    return {
+      type: 'resource',
+      resource: {
+        uri,
+        mimeType: mimeType || 'application/octet-stream',
+        blob: toBase64(data),
+      },
+    };
+  }
+
+  return {
+    type: 'resource',
+    resource: {
+      uri,
+      mimeType: mimeType || 'application/json',
+      text: JSON.stringify(data ?? null, null, 2),
+    },
+  };
+}
+
+export function isContentBlock(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+
+  if (value.type === 'text') {
+    return typeof value.text === 'string';
+  }
+
+  if (value.type === 'image' || value.type === 'audio') {
+    return typeof value.data === 'string' && typeof value.mimeType === 'string';
+  }
+
+  if (value.type === 'resource') {
+    return (
+      !!value.resource &&
+      typeof value.resource === 'object' &&
+      typeof value.resource.uri === 'string' &&
+      (typeof value.resource.text === 'string' || typeof value.resource.blob === 'string')
+    );
+  }
+
+  if (value.type === 'resource_link') {
+    return typeof value.uri === 'string' && typeof value.name === 'string';
+  }
+
+  return false;
+}
+
+export function isContentArray(value) {
+  return Array.isArray(value) && value.length > 0 && value.every(isContentBlock);
+}
@@ -0,0 +1,56 @@
+// Helpers shared by the tool generators that call HTTP APIs (fromOpenAPI, fromExpress, fromFastify)
+import { STATUS_CODES } from 'http';
+
+const MAX_ERROR_BODY = 500;
+
+// Tool names keep letters, digits and underscores, and start with a letter
+export function toToolName(base, prefix) {
+  const name = base
+    .replace(/[{}]/g, '')
+    .replace(/[^a-zA-Z0-9_]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+  return /^[a-zA-Z]/.test(name) ? name : `${prefix}_${name}`;
+}
+
+// Returns a function that adds _2, _3, ... to names it has already handed out
+export function createUniqueNames() {
+  const names = new Set();
+
+  return (base) => {
+    let name = base;
+    for (let suffix = 2; names.has(name); suffix++) {
+      name = `${base}_${suffix}`;
+    }
+    names.add(name);
+    return name;
+  };
+}
+
+export async function resolveHeaders(headers, context) {
+  return { ...(typeof headers === 'function' ? await headers(context) : headers) };
+}
+
+export function appendQueryParam(searchParams, name, value) {
+  for (const item of Array.isArray(value) ? value : [value]) {
+    searchParams.append(name, typeof item === 'object' ? JSON.stringify(item) : String(item));
+  }
+}
+
+export function parseResponseBody(text, contentType = '') {
+  if (/json/.test(contentType) && text !== '') {
+    try {
+      return JSON.parse(text);
+    } catch {
+      return text;
+    }
+  }
+  return text;
+}
+
+export function createResponseError(method, path, status, result) {
+  const details = typeof result === 'string' ? result : JSON.stringify(result);
+  const statusText = STATUS_CODES[status] ? ` ${STATUS_CODES[status]}` : '';
+  return new Error(
+    `${method} ${path} returned ${status}${statusText}${details ? `: ${details.slice(0, MAX_ERROR_BODY)}` : ''}`
+  );
+}
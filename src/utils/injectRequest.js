@@ -0,0 +1,72 @@
+// Runs a request through a Node.js request listener, such as an Express app,
+// without opening a socket
+import { IncomingMessage, ServerResponse } from 'http';
+import { Socket } from 'net';
+
+function toBuffer(chunk, encoding) {
+  if (chunk === undefined || chunk === null || typeof chunk === 'function') return null;
+  return Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, encoding);
+}
+
+export function injectRequest(listener, { method = 'GET', url = '/', headers = {}, body, signal }) {
+  return new Promise((resolve, reject) => {
+    const payload = body === undefined ? null : Buffer.from(body);
+
+    const req = new IncomingMessage(new Socket());
+    req.method = method;
+    req.url = url;
+    req.httpVersion = '1.1';
+    req.httpVersionMajor = 1;
+    req.httpVersionMinor = 1;
+    req.headers = { host: 'localhost' };
+    for (const [name, value] of Object.entries(headers)) {
+      req.headers[name.toLowerCase()] = String(value);
+    }
+    if (payload) {
+      req.headers['content-length'] = String(payload.length);
+      req.push(payload);
+    }
+    req.push(null);
+
+    const res = new ServerResponse(req);
+    const chunks = [];
+
+    const onAbort = () => {
+      res.destroy();
+      reject(signal.reason);
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    res.write = (chunk, encoding, callback) => {
+      const buffer = toBuffer(chunk, typeof encoding === 'string' ? encoding : undefined);
+      if (buffer) chunks.push(buffer);
+      [encoding, callback].find((arg) => typeof arg === 'function')?.();
+      return true;
+    };
+
+    res.end = (chunk, encoding, callback) => {
+      const buffer = toBuffer(chunk, typeof encoding === 'string' ? encoding : undefined);
+      if (buffer) chunks.push(buffer);
+      [chunk, encoding, callback].find((arg) => typeof arg === 'function')?.();
+
+      if (!res.headersSent) res.writeHead(res.statusCode);
+      res.finished = true;
+      signal?.removeEventListener('abort', onAbort);
+      res.emit('finish');
+
+      resolve({
+        statusCode: res.statusCode,
+        headers: res.getHeaders(),
+        body: Buffer.concat(chunks).toString('utf8'),
+      });
+      return res;
+    };
+
+    try {
+      listener(req, res);
+    } catch (error) {
+      signal?.removeEventListener('abort', onAbort);
+      reject(error);
+    }
+  });
+}
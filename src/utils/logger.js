@@ -1,27 +1,117 @@
-class MCPLogger {
-  constructor() {
+const LEVELS = {
+  debug: 0,
+  info: 1,
+  warn: 2,
+  error: 3,
+  silent: 4,
+};
+const SINK_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+export const LOG_LEVELS = Object.keys(LEVELS);
+export const LOG_FORMATS = ['text', 'json'];
+
+const isEnabled = (value) => value === '1' || value === 'true';
+
+function serializeError(error) {
+  return {
+    ...error,
+    name: error.name,
+    message: error.message,
+    stack: error.stack,
+    ...(error.cause !== undefined && { cause: error.cause }),
+  };
+}
+
+// Errors become plain objects and repeated references are dropped, so every record
+// can be written as JSON
+function toPlainData(data) {
+  const seenObjects = new WeakSet();
+
+  try {
+    return JSON.parse(
+      JSON.stringify(data, (key, value) => {
+        if (value instanceof Error) value = serializeError(value);
+        if (typeof value === 'object' && value !== null) {
+          if (seenObjects.has(value)) return '[Circular Reference]';
+          seenObjects.add(value);
+        }
+        return value;
+      })
+    );
+  } catch {
+    return String(data);
+  }
+}
+
+export function isLogSink(sink) {
+  return (
+    typeof sink === 'function' ||
+    typeof sink?.log === 'function' ||
+    typeof sink?.write === 'function' ||
+    SINK_LEVELS.every((level) => typeof sink?.[level] === 'function')
+  );
+}
+
+// Sinks may be a function, a winston-style logger (log), a pino-style logger
+// (debug/info/warn/error) or a writable stream, which receives the formatted line
+function toSinkWriter(sink) {
+  if (typeof sink === 'function') {
+    return sink;
+  }
+
+  if (typeof sink?.log === 'function') {
+    return (record) => sink.log(record);
+  }
+
+  if (SINK_LEVELS.every((level) => typeof sink?.[level] === 'function')) {
+    return ({ level, message, ...fields }) => sink[level](fields, message);
+  }
+
+  if (typeof sink?.write === 'function') {
+    return (record, line) => sink.write(`${line}\n`);
+  }
+
+  throw new Error(
+    'A log sink must be a function, a stream or a logger with debug, info, warn and error methods'
+  );
+}
+
+export class MCPLogger {
+  constructor(options = {}) {
     this.logLevel = 'info';
-    this.debugMode = process.env.MCP_DEBUG === '1' || process.env.MCP_DEBUG === 'true';
+    this.output = null;
+    this.debugMode = options.debug ?? isEnabled(process.env.MCP_DEBUG);
     this.performanceTracking =
-      process.env.MCP_PERF === '1' || process.env.MCP_PERF === 'true' || this.debugMode;
+      options.performance ?? (isEnabled(process.env.MCP_PERF) || this.debugMode);
+    this.format = options.format || process.env.MCP_LOG_FORMAT || 'text';
+    this.sinks = [];
 
-    if (this.debugMode) {
+    if (options.level) {
+      this.logLevel = options.level;
+    } else if (this.debugMode) {
       this.logLevel = 'debug';
     } else if (process.env.MCP_LOG_LEVEL) {
       this.logLevel = process.env.MCP_LOG_LEVEL;
     } else {
       this.logLevel = 'info';
     }
+
+    for (const sink of options.sinks || [(record, line) => this.writeConsole(record, line)]) {
+      this.addSink(sink);
+    }
+  }
+
+  addSink(sink) {
+    this.sinks.push({ sink, write: toSinkWriter(sink) });
+    return () => this.removeSink(sink);
+  }
+
+  removeSink(sink) {
+    this.sinks = this.sinks.filter((entry) => entry.sink !== sink);
   }
 
   shouldLog(level) {
-    const levels = {
-      debug: 0,
-      info: 1,
-      warn: 2,
-      error: 3,
-    };
-    return levels[level] >= levels[this.logLevel];
+    return LEVELS[level] >= LEVELS[this.logLevel];
   }
 
   formatLog(context) {
@@ -44,6 +134,31 @@ class MCPLogger {
     return logMessage;
   }
 
+  toRecord(context) {
+    const record = {};
+    for (const [key, value] of Object.entries(context)) {
+      if (value !== undefined) {
+        record[key] = key === 'data' ? toPlainData(value) : value;
+      }
+    }
+    return record;
+  }
+
+  // Writes to STDERR (or this.output) since STDOUT carries the STDIO transport
+  writeConsole(record, line) {
+    const output = this.output || console.error;
+
+    if (this.format !== 'json' && record.data && this.debugMode) {
+      output(line);
+      output(
+        'Data:',
+        typeof record.data === 'string' ? record.data : JSON.stringify(record.data, null, 2)
+      );
+    } else {
+      output(line);
+    }
+  }
+
   log(level, message, data, meta) {
     if (!this.shouldLog(level)) return;
 
@@ -51,19 +166,19 @@ class MCPLogger {
       timestamp: new Date().toISOString(),
       level,
       message,
-      data,
       ...meta,
+      data,
     };
 
-    const logMessage = this.formatLog(context);
-
-    const output = console.error;
+    const record = this.toRecord(context);
+    const line = this.format === 'json' ? JSON.stringify(record) : this.formatLog(context);
 
-    if (data && this.debugMode) {
-      output(logMessage);
-      output('Data:', typeof data === 'string' ? data : JSON.stringify(data, null, 2));
-    } else {
-      output(logMessage);
+    for (const { write } of this.sinks) {
+      try {
+        write(record, line);
+      } catch (error) {
+        console.error(`[MCP-ERROR] Log sink failed: ${error.message}`);
+      }
     }
   }
 
@@ -161,3 +276,13 @@ class MCPLogger {
 }
 
 export const logger = new MCPLogger();
+
+export function isLogger(value) {
+  return typeof value?.log === 'function' && typeof value?.toolExecutionError === 'function';
+}
+
+// Servers take an MCPLogger, or options for a logger of their own
+export function createLogger(options) {
+  if (!options) return logger;
+  return isLogger(options) ? options : new MCPLogger(options);
+}
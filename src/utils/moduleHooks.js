@@ -0,0 +1,113 @@
+// Module customization hooks registered by the config loader.
+// A config imported as `mcp.config.js?mcp-reload=N` passes the same query to
+// its relative imports, so edited helper modules are re-evaluated too.
+// TypeScript files are compiled with the project's `typescript` package, or
+// left to Node's own type stripping when the package is not installed.
+import { readFile } from 'fs/promises';
+import { createRequire } from 'module';
+import { fileURLToPath } from 'url';
+
+export const RELOAD_PARAM = 'mcp-reload';
+
+const TYPESCRIPT_EXTENSION = /\.m?ts$/;
+
+export function isTypeScriptFile(path) {
+  return TYPESCRIPT_EXTENSION.test(path);
+}
+
+function isTypeScriptURL(url) {
+  return url.startsWith('file:') && isTypeScriptFile(new URL(url).pathname);
+}
+
+function getTypeScriptCandidates(specifier) {
+  if (/\.m?js$/.test(specifier)) {
+    return [specifier.replace(/js$/, 'ts')];
+  }
+  return [`${specifier}.ts`, `${specifier}/index.ts`];
+}
+
+async function resolveWithTypeScript(specifier, context, nextResolve) {
+  try {
+    return await nextResolve(specifier, context);
+  } catch (error) {
+    // TypeScript sources import `./tools.js` (or `./tools`) for a file named `./tools.ts`
+    const canRetry =
+      error.code === 'ERR_MODULE_NOT_FOUND' &&
+      specifier.startsWith('.') &&
+      context.parentURL &&
+      isTypeScriptURL(context.parentURL);
+    if (!canRetry) throw error;
+
+    for (const candidate of getTypeScriptCandidates(specifier)) {
+      try {
+        return await nextResolve(candidate, context);
+      } catch {
+        // Try the next candidate
+      }
+    }
+
+    throw error;
+  }
+}
+
+export async function resolve(specifier, context, nextResolve) {
+  const result = await resolveWithTypeScript(specifier, context, nextResolve);
+
+  if (
+    !context.parentURL ||
+    !result.url.startsWith('file:') ||
+    result.url.includes('/node_modules/')
+  ) {
+    return result;
+  }
+
+  const version = new URL(context.parentURL).searchParams.get(RELOAD_PARAM);
+  if (!version) {
+    return result;
+  }
+
+  const url = new URL(result.url);
+  url.searchParams.set(RELOAD_PARAM, version);
+  return { ...result, url: url.href };
+}
+
+function loadTypeScriptCompiler(url) {
+  for (const base of [url, import.meta.url]) {
+    try {
+      return createRequire(base)('typescript');
+    } catch {
+      // Try the next location
+    }
+  }
+  return null;
+}
+
+export async function load(url, context, nextLoad) {
+  if (!isTypeScriptURL(url)) {
+    return nextLoad(url, context);
+  }
+
+  const filePath = fileURLToPath(url);
+  const ts = loadTypeScriptCompiler(url);
+  if (!ts && process.features.typescript) {
+    return nextLoad(url, context);
+  }
+  if (!ts) {
+    throw new Error(
+      `Cannot load ${filePath}\nTypeScript configs need Node.js 22.6+ with type stripping enabled, or the "typescript" package: npm install --save-dev typescript`
+    );
+  }
+
+  const source = await readFile(filePath, 'utf8');
+  const { outputText } = ts.transpileModule(source, {
+    fileName: filePath,
+    compilerOptions: {
+      module: ts.ModuleKind.ESNext,
+      target: ts.ScriptTarget.ES2022,
+      inlineSourceMap: true,
+      inlineSources: true,
+    },
+  });
+
+  return { format: 'module', source: outputText, shortCircuit: true };
+}
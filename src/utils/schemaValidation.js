@@ -0,0 +1,224 @@
+const TYPE_CHECKS = {
+  string: (value) => typeof value === 'string',
+  number: (value) => typeof value === 'number' && Number.isFinite(value),
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === 'boolean',
+  object: (value) => typeof value === 'object' && value !== null && !Array.isArray(value),
+  array: (value) => Array.isArray(value),
+  null: (value) => value === null,
+};
+
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function joinPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+// Keys like "constructor" or "toString" exist on every object through its prototype
+function hasOwn(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+export class SchemaValidator {
+  constructor() {
+    this.errors = [];
+  }
+
+  validate(schema, value) {
+    this.errors = [];
+    this.validateValue(schema, value, '');
+
+    return {
+      isValid: this.errors.length === 0,
+      errors: this.errors,
+    };
+  }
+
+  addError(field, message, value, suggestion) {
+    this.errors.push({ field: field || '(root)', message, value, suggestion });
+  }
+
+  validateValue(schema, value, path) {
+    if (!schema || typeof schema !== 'object') return;
+
+    if (!this.validateType(schema, value, path)) return;
+
+    if (schema.enum !== undefined && Array.isArray(schema.enum)) {
+      if (!schema.enum.some((option) => isEqual(option, value))) {
+        this.addError(
+          path,
+          `Must be one of: ${schema.enum.map((option) => JSON.stringify(option)).join(', ')}`,
+          value
+        );
+      }
+    }
+
+    if (schema.const !== undefined && !isEqual(schema.const, value)) {
+      this.addError(path, `Must be ${JSON.stringify(schema.const)}`, value);
+    }
+
+    if (typeof value === 'string') {
+      this.validateString(schema, value, path);
+    } else if (typeof value === 'number') {
+      this.validateNumber(schema, value, path);
+    } else if (Array.isArray(value)) {
+      this.validateArray(schema, value, path);
+    } else if (value !== null && typeof value === 'object') {
+      this.validateObject(schema, value, path);
+    }
+  }
+
+  validateType(schema, value, path) {
+    if (schema.type === undefined) return true;
+
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const matches = types.some((type) => {
+      const check = TYPE_CHECKS[type];
+      return check ? check(value) : true;
+    });
+
+    if (!matches) {
+      this.addError(
+        path,
+        `Expected ${types.join(' or ')}, got ${describeType(value)}`,
+        value,
+        `Provide a value of type ${types.join(' or ')}`
+      );
+    }
+
+    return matches;
+  }
+
+  validateString(schema, value, path) {
+    if (typeof schema.minLength === 'number' && value.length < schema.minLength) {
+      this.addError(path, `Must be at least ${schema.minLength} characters long`, value);
+    }
+
+    if (typeof schema.maxLength === 'number' && value.length > schema.maxLength) {
+      this.addError(path, `Must be at most ${schema.maxLength} characters long`, value);
+    }
+
+    if (typeof schema.pattern === 'string') {
+      let regex;
+      try {
+        regex = new RegExp(schema.pattern, 'u');
+      } catch {
+        return;
+      }
+
+      if (!regex.test(value)) {
+        this.addError(path, `Must match pattern ${schema.pattern}`, value);
+      }
+    }
+  }
+
+  validateNumber(schema, value, path) {
+    if (typeof schema.minimum === 'number' && value < schema.minimum) {
+      this.addError(path, `Must be >= ${schema.minimum}`, value);
+    }
+
+    if (typeof schema.maximum === 'number' && value > schema.maximum) {
+      this.addError(path, `Must be <= ${schema.maximum}`, value);
+    }
+
+    if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+      this.addError(path, `Must be > ${schema.exclusiveMinimum}`, value);
+    }
+
+    if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+      this.addError(path, `Must be < ${schema.exclusiveMaximum}`, value);
+    }
+  }
+
+  validateArray(schema, value, path) {
+    if (typeof schema.minItems === 'number' && value.length < schema.minItems) {
+      this.addError(path, `Must contain at least ${schema.minItems} items`, value);
+    }
+
+    if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) {
+      this.addError(path, `Must contain at most ${schema.maxItems} items`, value);
+    }
+
+    if (schema.uniqueItems === true) {
+      const seen = new Set();
+      value.forEach((item, index) => {
+        const key = JSON.stringify(item);
+        if (seen.has(key)) {
+          this.addError(joinPath(path, index), 'Duplicate item in array', item);
+        }
+        seen.add(key);
+      });
+    }
+
+    if (schema.items && typeof schema.items === 'object' && !Array.isArray(schema.items)) {
+      value.forEach((item, index) => {
+        this.validateValue(schema.items, item, joinPath(path, index));
+      });
+    }
+  }
+
+  validateObject(schema, value, path) {
+    const properties =
+      schema.properties && typeof schema.properties === 'object' ? schema.properties : {};
+
+    if (Array.isArray(schema.required)) {
+      for (const key of schema.required) {
+        if (!hasOwn(value, key) || value[key] === undefined) {
+          const type = hasOwn(properties, key) ? properties[key]?.type : undefined;
+          this.addError(
+            joinPath(path, key),
+            'Required property is missing',
+            undefined,
+            type ? `Provide a ${type} value` : undefined
+          );
+        }
+      }
+    }
+
+    for (const [key, propertyValue] of Object.entries(value)) {
+      if (propertyValue === undefined) continue;
+
+      if (hasOwn(properties, key)) {
+        this.validateValue(properties[key], propertyValue, joinPath(path, key));
+      } else if (schema.additionalProperties === false) {
+        this.addError(
+          joinPath(path, key),
+          'Unknown property is not allowed',
+          propertyValue,
+          Object.keys(properties).length > 0
+            ? `Allowed properties: ${Object.keys(properties).join(', ')}`
+            : undefined
+        );
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        this.validateValue(schema.additionalProperties, propertyValue, joinPath(path, key));
+      }
+    }
+  }
+}
+
+export function validateSchema(schema, value) {
+  const validator = new SchemaValidator();
+  return validator.validate(schema, value);
+}
+
+export function formatSchemaErrors(errors) {
+  return errors
+    .map((error) => {
+      let line = `- ${error.field}: ${error.message}`;
+      if (error.suggestion) {
+        line += ` (${error.suggestion})`;
+      }
+      return line;
+    })
+    .join('\n');
+}
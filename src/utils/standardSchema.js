@@ -0,0 +1,70 @@
+// Support for validators that implement Standard Schema (https://standardschema.dev),
+// such as Zod, Valibot and ArkType, used as a tool `schema`.
+
+const JSON_SCHEMA_TARGET = 'draft-2020-12';
+
+export function isStandardSchema(schema) {
+  const standard = schema?.['~standard'];
+  return (
+    (typeof schema === 'object' || typeof schema === 'function') &&
+    standard !== null &&
+    typeof standard === 'object' &&
+    typeof standard.validate === 'function'
+  );
+}
+
+function convert(schema, io) {
+  const { jsonSchema } = schema['~standard'];
+  if (typeof jsonSchema?.[io] === 'function') {
+    return jsonSchema[io]({ target: JSON_SCHEMA_TARGET });
+  }
+
+  // Zod 4 releases before Standard JSON Schema, and ArkType
+  if (typeof schema.toJSONSchema === 'function') {
+    return schema.toJSONSchema({ io });
+  }
+  if (typeof schema.toJsonSchema === 'function') {
+    return schema.toJsonSchema();
+  }
+
+  throw new Error(`Cannot convert ${schema['~standard'].vendor || 'this'} schema to JSON Schema`);
+}
+
+// `io` picks the arguments ('input') or the result ('output') side of a transforming schema
+export function toJSONSchema(schema, io = 'input') {
+  const jsonSchema = { ...convert(schema, io) };
+  delete jsonSchema.$schema;
+  return jsonSchema;
+}
+
+function formatIssuePath(path = []) {
+  return path.reduce((field, segment) => {
+    const key = typeof segment === 'object' ? segment.key : segment;
+    if (typeof key === 'number') return `${field}[${key}]`;
+    return field ? `${field}.${String(key)}` : String(key);
+  }, '');
+}
+
+function getIssueValue(value, path = []) {
+  return path.reduce((current, segment) => {
+    const key = typeof segment === 'object' ? segment.key : segment;
+    return current === null || current === undefined ? undefined : current[key];
+  }, value);
+}
+
+export async function validateStandardSchema(schema, value) {
+  const result = await schema['~standard'].validate(value);
+
+  if (!result.issues) {
+    return { isValid: true, errors: [], value: result.value };
+  }
+
+  return {
+    isValid: false,
+    errors: result.issues.map((issue) => ({
+      field: formatIssuePath(issue.path) || '(root)',
+      message: issue.message,
+      value: getIssueValue(value, issue.path),
+    })),
+  };
+}
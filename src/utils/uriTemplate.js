@@ -0,0 +1,42 @@
+const EXPRESSION_PATTERN = /\{([+#]?)([a-zA-Z0-9_]+)\}/g;
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export function getTemplateVariables(template) {
+  const variables = [];
+  for (const match of template.matchAll(EXPRESSION_PATTERN)) {
+    variables.push(match[2]);
+  }
+  return variables;
+}
+
+export function matchUriTemplate(template, uri) {
+  const names = [];
+  let pattern = '';
+  let lastIndex = 0;
+
+  for (const match of template.matchAll(EXPRESSION_PATTERN)) {
+    const [expression, operator, variable] = match;
+    pattern += escapeRegex(template.slice(lastIndex, match.index));
+    lastIndex = match.index + expression.length;
+    names.push(variable);
+    pattern += operator ? '(.+)' : '([^/?#]+)';
+  }
+
+  pattern += escapeRegex(template.slice(lastIndex));
+
+  const result = new RegExp(`^${pattern}$`).exec(uri);
+  if (!result) return null;
+
+  const params = {};
+  for (let index = 0; index < names.length; index++) {
+    try {
+      params[names[index]] = decodeURIComponent(result[index + 1]);
+    } catch {
+      return null;
+    }
+  }
+  return params;
+}
@@ -1,3 +1,6 @@
+import { formatSchemaErrors, validateSchema } from './schemaValidation.js';
+import { isStandardSchema, validateStandardSchema } from './standardSchema.js';
+
 export function validateJsonRpcRequest(request) {
   if (!request || typeof request !== 'object') {
     throw new Error('Request must be a JSON object');
@@ -24,7 +27,7 @@ export function validateJsonRpcRequest(request) {
   return request;
 }
 
-export function validateToolArguments(args) {
+function normalizeToolArguments(args) {
   if (args === null || args === undefined) {
     return {};
   }
@@ -36,6 +39,53 @@ export function validateToolArguments(args) {
   return args;
 }
 
+function createValidationError(label, errors) {
+  const error = new Error(`${label}:\n${formatSchemaErrors(errors)}`);
+  error.validationErrors = errors;
+  return error;
+}
+
+export function validateToolArguments(args, schema) {
+  args = normalizeToolArguments(args);
+
+  if (schema) {
+    const result = validateSchema(schema, args);
+    if (!result.isValid) {
+      throw createValidationError('Invalid arguments', result.errors);
+    }
+  }
+
+  return args;
+}
+
+// Returns the parsed value, so defaults and coercions from the schema reach the handler
+export async function validateStandardArguments(args, schema) {
+  const result = await validateStandardSchema(schema, normalizeToolArguments(args));
+  if (!result.isValid) {
+    throw createValidationError('Invalid arguments', result.errors);
+  }
+
+  return result.value;
+}
+
+// Checks a handler's return value against the tool's outputSchema and returns
+// the value to send as structuredContent
+export async function validateToolOutput(output, schema) {
+  if (output === null || typeof output !== 'object' || Array.isArray(output)) {
+    throw new Error('Tools with an outputSchema must return an object');
+  }
+
+  const result = isStandardSchema(schema)
+    ? await validateStandardSchema(schema, output)
+    : { ...validateSchema(schema, output), value: output };
+
+  if (!result.isValid) {
+    throw createValidationError('Invalid output', result.errors);
+  }
+
+  return result.value;
+}
+
 export function sanitizeErrorMessage(error) {
   if (error instanceof Error) {
     // Remove sensitive information from stack traces
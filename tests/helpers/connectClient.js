@@ -0,0 +1,14 @@
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { MCPConnectServer } from '../../src/server/mcpServer.js';
+
+export async function connectClient(config, clientOptions) {
+  const server = new MCPConnectServer(config);
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  const client = new Client({ name: 'test-client', version: '1.0.0' }, clientOptions);
+
+  await server.server.connect(serverTransport);
+  await client.connect(clientTransport);
+
+  return { server, client };
+}
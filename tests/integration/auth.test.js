@@ -0,0 +1,95 @@
+import assert from 'node:assert';
+import { after, before, describe, test } from 'node:test';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { defineMCP } from '../../src/defineMCP.js';
+import { MCPConnectServer } from '../../src/server/mcpServer.js';
+
+const config = defineMCP({
+  name: 'Test Server',
+  version: '1.0.0',
+  auth: {
+    type: 'bearer',
+    tokens: {
+      'admin-token': { subject: 'ada', roles: ['admin'] },
+      'agent-token': { subject: 'agent', roles: ['reader'] }
+    }
+  },
+  tools: [
+    ['whoami', async (args, { auth }) => `${auth.subject} (${auth.roles.join(', ')})`],
+    {
+      name: 'deleteTodo',
+      roles: ['admin'],
+      handler: async () => 'Deleted'
+    }
+  ]
+});
+
+describe('Auth Integration', () => {
+  let server;
+  let url;
+
+  async function connect(token) {
+    const client = new Client({ name: 'test-client', version: '1.0.0' });
+    await client.connect(
+      new StreamableHTTPClientTransport(url, {
+        requestInit: { headers: { Authorization: `Bearer ${token}` } }
+      })
+    );
+    return client;
+  }
+
+  before(async () => {
+    server = new MCPConnectServer(config);
+    await server.start({ type: 'http', port: 0 });
+    url = new URL(`http://127.0.0.1:${server.httpServer.port}/mcp`);
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  test('should reject requests without valid credentials', async () => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: 'Bearer wrong' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' })
+    });
+
+    assert.strictEqual(response.status, 401);
+    assert.strictEqual(response.headers.get('www-authenticate'), 'Bearer');
+    assert.match((await response.json()).error.message, /Unauthorized: Invalid bearer token/);
+
+    await assert.rejects(connect('wrong'));
+  });
+
+  test('should pass the caller identity to handlers', async () => {
+    const client = await connect('admin-token');
+
+    const result = await client.callTool({ name: 'whoami' });
+    assert.strictEqual(result.content[0].text, 'ada (admin)');
+
+    await client.close();
+  });
+
+  test('should only let callers with a required role call a tool', async () => {
+    const agent = await connect('agent-token');
+    await assert.rejects(
+      agent.callTool({ name: 'deleteTodo' }),
+      /Not authorized to call tool "deleteTodo": requires one of the roles admin/
+    );
+    await agent.close();
+
+    const admin = await connect('admin-token');
+    const result = await admin.callTool({ name: 'deleteTodo' });
+    assert.strictEqual(result.content[0].text, 'Deleted');
+    await admin.close();
+  });
+
+  test('should trust in-process calls without an identity', async () => {
+    const local = new MCPConnectServer(config);
+
+    const result = await local.callTool('deleteTodo', {});
+    assert.strictEqual(result.content[0].text, 'Deleted');
+  });
+});
@@ -0,0 +1,57 @@
+import assert from 'node:assert';
+import { spawnSync } from 'child_process';
+import { describe, test } from 'node:test';
+import { resolve } from 'path';
+
+const cliPath = resolve(process.cwd(), 'src/cli.js');
+const configPath = resolve(process.cwd(), 'tests/integration/fixtures/tools.config.js');
+
+function runCall(args, input = '') {
+  return spawnSync(process.execPath, [cliPath, 'call', ...args, '--config', configPath], {
+    input,
+    encoding: 'utf8',
+    timeout: 10000
+  });
+}
+
+describe('mcp-connect call', () => {
+  test('should call a tool with --args and print the text result', () => {
+    const result = runCall(['echo', '--args', '{"message":"hi"}']);
+
+    assert.strictEqual(result.status, 0);
+    assert.strictEqual(result.stdout, 'Echo: hi\n');
+  });
+
+  test('should read arguments from stdin and print raw JSON', () => {
+    const result = runCall(['echo', '--json'], '{"message":"from stdin"}');
+
+    assert.strictEqual(result.status, 0);
+    assert.deepStrictEqual(JSON.parse(result.stdout), {
+      content: [{ type: 'text', text: 'Echo: from stdin' }]
+    });
+  });
+
+  test('should exit non-zero when arguments are invalid', () => {
+    const result = runCall(['echo', '--args', '{}']);
+
+    assert.strictEqual(result.status, 1);
+    assert.strictEqual(result.stdout, '');
+    assert.match(result.stderr, /message: Required property is missing/);
+  });
+
+  test('should exit non-zero when the tool fails', () => {
+    const result = runCall(['fail', '--json']);
+
+    assert.strictEqual(result.status, 1);
+    const output = JSON.parse(result.stdout);
+    assert.strictEqual(output.isError, true);
+    assert.strictEqual(output.content[0].text, 'Tool "fail" failed: Something broke');
+  });
+
+  test('should exit non-zero for unknown tools', () => {
+    const result = runCall(['missing']);
+
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stderr, /Tool "missing" not found/);
+  });
+});
@@ -0,0 +1,209 @@
+import assert from 'node:assert';
+import { describe, test } from 'node:test';
+import { defineMCP } from '../../src/defineMCP.js';
+import { connectClient } from '../helpers/connectClient.js';
+
+function waitForAbort(signal) {
+  return new Promise((resolve) => {
+    signal.addEventListener('abort', () => resolve(signal.reason), { once: true });
+  });
+}
+
+describe('Cancellation Integration', () => {
+  test('should pass a context with an AbortSignal to handlers', async () => {
+    let context;
+    const config = defineMCP({
+      name: 'Test Server',
+      version: '1.0.0',
+      tools: [
+        ['inspect', async (args, ctx) => {
+          context = ctx;
+          return 'ok';
+        }]
+      ]
+    });
+
+    const { client } = await connectClient(config);
+    await client.callTool({ name: 'inspect' });
+
+    assert.ok(context.signal instanceof AbortSignal);
+    assert.strictEqual(context.signal.aborted, false);
+    assert.strictEqual(context.toolName, 'inspect');
+    assert.ok(context.requestId !== undefined);
+
+    await client.close();
+  });
+
+  test('should track concurrent calls separately', async () => {
+    const releases = [];
+    const config = defineMCP({
+      name: 'Test Server',
+      version: '1.0.0',
+      tools: [
+        ['job', async () => {
+          await new Promise((resolve) => releases.push(resolve));
+          return 'done';
+        }]
+      ]
+    });
+
+    const { server, client } = await connectClient(config);
+    const random = Math.random;
+    Math.random = () => 0.5;
+    let calls;
+    try {
+      calls = [1, 2, 3].map(() => client.callTool({ name: 'job' }));
+      while (releases.length < 3) {
+        await new Promise((resolve) => setTimeout(resolve, 5));
+      }
+    } finally {
+      Math.random = random;
+    }
+    assert.strictEqual(server.inFlight.size, 3);
+
+    releases.forEach((release) => release());
+    await Promise.all(calls);
+    assert.strictEqual(server.inFlight.size, 0);
+
+    await client.close();
+  });
+
+  test('should abort the signal when a call times out', async () => {
+    let aborted;
+    const config = defineMCP({
+      name: 'Test Server',
+      version: '1.0.0',
+      tools: [
+        {
+          name: 'slow',
+          timeout: 50,
+          handler: async (args, { signal }) => {
+            aborted = waitForAbort(signal);
+            return new Promise(() => {});
+          }
+        }
+      ]
+    });
+
+    const { server, client } = await connectClient(config);
+    const result = await client.callTool({ name: 'slow' });
+
+    assert.strictEqual(result.isError, true);
+    assert.match(result.content[0].text, /timed out after 50ms/);
+    assert.match((await aborted).message, /timed out after 50ms/);
+    assert.strictEqual(server.inFlight.size, 0);
+
+    await client.close();
+  });
+
+  test('should abort the signal when the client cancels', async () => {
+    let started;
+    const running = new Promise((resolve) => {
+      started = resolve;
+    });
+    let aborted;
+    const config = defineMCP({
+      name: 'Test Server',
+      version: '1.0.0',
+      tools: [
+        ['wait', async (args, { signal }) => {
+          aborted = waitForAbort(signal);
+          started();
+          return new Promise(() => {});
+        }]
+      ]
+    });
+
+    const { server, client } = await connectClient(config);
+    const controller = new AbortController();
+    const call = client.callTool({ name: 'wait' }, undefined, { signal: controller.signal });
+
+    await running;
+    controller.abort('user pressed stop');
+
+    await assert.rejects(call);
+    assert.match((await aborted).message, /cancelled by client/);
+
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.strictEqual(server.inFlight.size, 0);
+
+    await client.close();
+  });
+
+  test('should abort in-flight calls on stop and wait for them to drain', async () => {
+    let started;
+    const running = new Promise((resolve) => {
+      started = resolve;
+    });
+    let cleanedUp = false;
+    const config = defineMCP({
+      name: 'Test Server',
+      version: '1.0.0',
+      tools: [
+        ['job', async (args, { signal }) => {
+          started();
+          await waitForAbort(signal);
+          await new Promise((resolve) => setTimeout(resolve, 20));
+          cleanedUp = true;
+          throw signal.reason;
+        }]
+      ]
+    });
+
+    const { server, client } = await connectClient(config);
+    const call = client.callTool({ name: 'job' });
+
+    await running;
+    assert.strictEqual(server.inFlight.size, 1);
+
+    await server.stop();
+    assert.strictEqual(cleanedUp, true);
+    assert.strictEqual(server.inFlight.size, 0);
+
+    const result = await call;
+    assert.strictEqual(result.isError, true);
+    assert.match(result.content[0].text, /Server is shutting down/);
+
+    await client.close();
+  });
+
+  test('should pass the signal to resource and prompt handlers', async () => {
+    const signals = [];
+    const config = defineMCP({
+      name: 'Test Server',
+      version: '1.0.0',
+      tools: [['ping', async () => 'pong']],
+      resources: [
+        {
+          uri: 'docs://readme',
+          read: async ({ uri }, { signal }) => {
+            signals.push(signal);
+            return `Read ${uri}`;
+          }
+        }
+      ],
+      prompts: [
+        {
+          name: 'summarize',
+          handler: async (args, { signal }) => {
+            signals.push(signal);
+            return 'Summarize the docs';
+          }
+        }
+      ]
+    });
+
+    const { client } = await connectClient(config);
+
+    const { contents } = await client.readResource({ uri: 'docs://readme' });
+    assert.strictEqual(contents[0].text, 'Read docs://readme');
+
+    const { messages } = await client.getPrompt({ name: 'summarize' });
+    assert.strictEqual(messages[0].content.text, 'Summarize the docs');
+
+    assert.strictEqual(signals.length, 2);
+    assert.ok(signals.every((signal) => signal instanceof AbortSignal));
+
+    await client.close();
+  });
+});
@@ -0,0 +1,45 @@
+import assert from 'node:assert';
+import { spawn } from 'child_process';
+import { describe, test } from 'node:test';
+import { resolve } from 'path';
+
+const cliPath = resolve(process.cwd(), 'src/cli.js');
+const configPath = resolve(process.cwd(), 'tests/integration/fixtures/tools.config.js');
+
+// Starts the STDIO server, waits for it to report that it started, then stops it with SIGTERM
+function serveUntilStarted(env) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [cliPath, configPath], {
+      env: { ...process.env, ...env },
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+    let stderr = '';
+    const timer = setTimeout(() => child.kill('SIGKILL'), 10000);
+
+    child.stderr.setEncoding('utf8');
+    child.stderr.on('data', (chunk) => {
+      stderr += chunk;
+      if (/started/.test(stderr)) child.kill('SIGTERM');
+    });
+    child.on('error', reject);
+    child.on('exit', () => {
+      clearTimeout(timer);
+      resolve(stderr);
+    });
+  });
+}
+
+describe('mcp-connect logging', () => {
+  test('should only write JSON lines to stderr with MCP_LOG_FORMAT=json', async () => {
+    const stderr = await serveUntilStarted({ MCP_LOG_FORMAT: 'json', MCP_LOG_LEVEL: 'info' });
+    const records = stderr
+      .trim()
+      .split('\n')
+      .map((line) => JSON.parse(line));
+
+    const messages = records.map((record) => record.message);
+    assert.ok(messages.includes('Starting MCP-Connect CLI...'));
+    assert.ok(messages.includes(`Loaded config from: ${configPath}`));
+    assert.ok(messages.some((message) => /started/.test(message)));
+  });
+});
@@ -0,0 +1,114 @@
+import assert from 'node:assert';
+import { describe, test } from 'node:test';
+import { ElicitRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { defineMCP } from '../../src/defineMCP.js';
+import { MCPConnectServer } from '../../src/server/mcpServer.js';
+import { connectClient } from '../helpers/connectClient.js';
+
+function createConfig(options = {}) {
+  const deleted = [];
+
+  const config = defineMCP({
+    name: 'Test Server',
+    version: '1.0.0',
+    ...options,
+    tools: [
+      {
+        name: 'deleteTodo',
+        description: 'Delete a todo',
+        destructive: true,
+        annotations: { idempotentHint: true },
+        handler: async ({ id }) => {
+          deleted.push(id);
+          return `Deleted ${id}`;
+        }
+      },
+      {
+        name: 'getTodos',
+        annotations: { readOnlyHint: true, title: 'List Todos' },
+        handler: async () => []
+      },
+      ['ping', async () => 'pong']
+    ]
+  });
+
+  return { config, deleted };
+}
+
+describe('Confirmation Integration', () => {
+  test('should advertise tool annotations in tools/list', async () => {
+    const { config } = createConfig();
+    const { client } = await connectClient(config);
+
+    const { tools } = await client.listTools();
+    const byName = Object.fromEntries(tools.map((tool) => [tool.name, tool]));
+
+    assert.deepStrictEqual(byName.deleteTodo.annotations, {
+      readOnlyHint: false,
+      destructiveHint: true,
+      idempotentHint: true
+    });
+    assert.deepStrictEqual(byName.getTodos.annotations, { readOnlyHint: true, title: 'List Todos' });
+    assert.strictEqual(byName.ping.annotations, undefined);
+
+    await client.close();
+  });
+
+  test('should ask the client to confirm through elicitation', async () => {
+    const { config, deleted } = createConfig();
+    const { client } = await connectClient(config, { capabilities: { elicitation: {} } });
+
+    const requests = [];
+    let action = 'decline';
+    client.setRequestHandler(ElicitRequestSchema, async (request) => {
+      requests.push(request.params);
+      return { action };
+    });
+
+    const declined = await client.callTool({ name: 'deleteTodo', arguments: { id: 3 } });
+    assert.strictEqual(declined.isError, true);
+    assert.match(declined.content[0].text, /The call was not approved/);
+    assert.deepStrictEqual(deleted, []);
+
+    action = 'accept';
+    const accepted = await client.callTool({ name: 'deleteTodo', arguments: { id: 3 } });
+    assert.strictEqual(accepted.content[0].text, 'Deleted 3');
+    assert.deepStrictEqual(deleted, [3]);
+
+    assert.strictEqual(requests.length, 2);
+    assert.match(requests[0].message, /Allow the tool "deleteTodo" to run\?/);
+    assert.match(requests[0].message, /Arguments: \{"id":3\}/);
+
+    await client.callTool({ name: 'ping' });
+    assert.strictEqual(requests.length, 2);
+
+    await client.close();
+  });
+
+  test('should fall back to the confirm callback', async () => {
+    const asked = [];
+    const { config, deleted } = createConfig({
+      confirm: async ({ toolName, args, message }) => {
+        asked.push({ toolName, args, message });
+        return args.id !== 1;
+      }
+    });
+    const server = new MCPConnectServer(config);
+
+    const declined = await server.callTool('deleteTodo', { id: 1 });
+    assert.strictEqual(declined.isError, true);
+
+    const accepted = await server.callTool('deleteTodo', { id: 2 });
+    assert.strictEqual(accepted.content[0].text, 'Deleted 2');
+
+    assert.deepStrictEqual(deleted, [2]);
+    assert.deepStrictEqual(
+      asked.map(({ toolName, args }) => [toolName, args.id]),
+      [
+        ['deleteTodo', 1],
+        ['deleteTodo', 2]
+      ]
+    );
+    assert.match(asked[0].message, /Delete a todo/);
+  });
+});
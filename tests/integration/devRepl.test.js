@@ -0,0 +1,85 @@
+import assert from 'node:assert';
+import { describe, test } from 'node:test';
+import { PassThrough } from 'stream';
+import { DevRepl } from '../../src/commands/dev.js';
+import { defineMCP } from '../../src/defineMCP.js';
+import { MCPConnectServer } from '../../src/server/mcpServer.js';
+
+const config = defineMCP({
+  name: 'Test Server',
+  version: '1.0.0',
+  tools: [
+    {
+      name: 'add',
+      description: 'Add two numbers',
+      schema: {
+        type: 'object',
+        properties: {
+          a: { type: 'number' },
+          b: { type: 'number' }
+        },
+        required: ['a', 'b']
+      },
+      handler: async ({ a, b }) => a + b
+    },
+    ['fail', async () => {
+      throw new Error('Something broke');
+    }],
+    {
+      name: 'reset',
+      destructive: true,
+      handler: async () => 'Reset done'
+    }
+  ]
+});
+
+async function runSession(lines) {
+  const input = new PassThrough();
+  const output = new PassThrough();
+  let text = '';
+  output.on('data', (chunk) => {
+    text += chunk;
+  });
+
+  const server = new MCPConnectServer(config);
+  const repl = new DevRepl(server, { input, output });
+  input.end(lines.map((line) => `${line}\n`).join(''));
+  await repl.start();
+
+  return { text, repl };
+}
+
+describe('dev REPL', () => {
+  test('should prompt for arguments from the schema and show the result', async () => {
+    const { text, repl } = await runSession(['add', '2', '3', '.exit']);
+
+    assert.match(text, /Test Server v1\.0\.0 - 3 tools/);
+    assert.match(text, /✔ add \(\d+ms\)\n5\n/);
+    assert.match(text, /logs:\n {2}│ \[MCP-INFO\].*Tool execution completed: add/);
+    assert.deepStrictEqual(repl.calls.map((call) => call.args), [{ a: 2, b: 3 }]);
+  });
+
+  test('should accept inline JSON arguments and report failures', async () => {
+    const { text } = await runSession(['add {"a":1,"b":1}', 'fail {}', 'missing']);
+
+    assert.match(text, /✔ add \(\d+ms\)\n2\n/);
+    assert.match(text, /✖ fail \(\d+ms\)\nTool "fail" failed: Something broke/);
+    assert.match(text, /Unknown tool "missing"/);
+  });
+
+  test('should keep a history of calls and rerun them', async () => {
+    const { text, repl } = await runSession(['add {"a":1,"b":2}', '.rerun', '.history']);
+
+    assert.strictEqual(repl.calls.length, 2);
+    assert.match(text, / {2}1 {2}✔ add \{"a":1,"b":2\} \(\d+ms\)/);
+    assert.match(text, / {2}2 {2}✔ add \{"a":1,"b":2\} \(\d+ms\)/);
+  });
+
+  test('should ask before running a destructive tool', async () => {
+    const { text } = await runSession(['reset {}', 'n', 'reset {}', 'y']);
+
+    assert.match(text, /Allow the tool "reset" to run\?/);
+    assert.match(text, /✖ reset \(\d+ms\)\nTool "reset" failed: The call was not approved/);
+    assert.match(text, /✔ reset \(\d+ms\)\nReset done/);
+  });
+});
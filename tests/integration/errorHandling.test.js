@@ -2,6 +2,7 @@ import assert from 'node:assert';
 import { describe, test } from 'node:test';
 import { defineMCP } from '../../src/defineMCP.js';
 import { MCPConnectServer } from '../../src/server/mcpServer.js';
+import { connectClient } from '../helpers/connectClient.js';
 
 describe('Error Handling Integration', () => {
   test('should handle rate limiting', async () => {
@@ -131,4 +132,205 @@ describe('Error Handling Integration', () => {
       assert.ok(error.message.includes('timed out'));
     }
   });
-});
\ No newline at end of file
+
+  test('should return handler errors as isError results by default', async () => {
+    const config = defineMCP({
+      name: 'Test Server',
+      version: '1.0.0',
+      tools: [
+        ['failing', async () => {
+          throw new Error('Todo with ID 7 not found');
+        }]
+      ]
+    });
+
+    const { client } = await connectClient(config);
+    const result = await client.callTool({ name: 'failing' });
+
+    assert.strictEqual(result.isError, true);
+    assert.strictEqual(result.content[0].text, 'Tool "failing" failed: Todo with ID 7 not found');
+
+    await client.close();
+  });
+
+  test('should return argument validation errors as isError results', async () => {
+    const config = defineMCP({
+      name: 'Test Server',
+      version: '1.0.0',
+      tools: [
+        {
+          name: 'addTodo',
+          schema: {
+            type: 'object',
+            properties: { title: { type: 'string' } },
+            required: ['title']
+          },
+          handler: async ({ title }) => title
+        }
+      ]
+    });
+
+    const { client } = await connectClient(config);
+    const result = await client.callTool({ name: 'addTodo', arguments: {} });
+
+    assert.strictEqual(result.isError, true);
+    assert.ok(result.content[0].text.includes('- title: Required property is missing'));
+
+    await client.close();
+  });
+
+  test('should throw handler errors when errorsAsResults is disabled', async () => {
+    const failing = async () => {
+      throw new Error('boom');
+    };
+
+    const config = defineMCP({
+      name: 'Test Server',
+      version: '1.0.0',
+      errorsAsResults: false,
+      tools: [
+        ['serverLevel', failing],
+        { name: 'toolLevel', handler: failing, errorsAsResults: true }
+      ]
+    });
+
+    const { client } = await connectClient(config);
+
+    await assert.rejects(client.callTool({ name: 'serverLevel' }), /Tool "serverLevel" failed: boom/);
+
+    const result = await client.callTool({ name: 'toolLevel' });
+    assert.strictEqual(result.isError, true);
+
+    await client.close();
+  });
+
+  test('should keep protocol errors as real errors', async () => {
+    const config = defineMCP({
+      name: 'Test Server',
+      version: '1.0.0',
+      tools: [
+        ['test', async () => 'test']
+      ]
+    });
+
+    const { server, client } = await connectClient(config);
+
+    await assert.rejects(client.callTool({ name: 'missing' }), /Tool "missing" not found/);
+
+    server.maxRequestsPerMinute = 0;
+    await assert.rejects(client.callTool({ name: 'test' }), /Rate limit exceeded/);
+
+    await client.close();
+  });
+
+  test('should apply server-level limits from the config', () => {
+    const config = defineMCP({
+      name: 'Test Server',
+      version: '1.0.0',
+      timeout: 5000,
+      rateLimit: 20,
+      maxConcurrent: 4,
+      maxResponseBytes: 2048,
+      tools: [
+        ['test', async () => 'test']
+      ]
+    });
+
+    const server = new MCPConnectServer(config);
+
+    assert.strictEqual(server.toolTimeout, 5000);
+    assert.strictEqual(server.maxRequestsPerMinute, 20);
+    assert.strictEqual(server.maxConcurrent, 4);
+    assert.strictEqual(server.maxResponseBytes, 2048);
+  });
+
+  test('should apply per-tool timeouts', async () => {
+    const config = defineMCP({
+      name: 'Test Server',
+      version: '1.0.0',
+      tools: [
+        {
+          name: 'lookup',
+          timeout: 20,
+          handler: async () => new Promise((resolve) => setTimeout(() => resolve('late'), 200))
+        }
+      ]
+    });
+
+    const { client } = await connectClient(config);
+    const result = await client.callTool({ name: 'lookup' });
+
+    assert.strictEqual(result.isError, true);
+    assert.ok(result.content[0].text.includes('timed out after 20ms'));
+
+    await client.close();
+  });
+
+  test('should apply per-tool rate limits', async () => {
+    const config = defineMCP({
+      name: 'Test Server',
+      version: '1.0.0',
+      tools: [
+        { name: 'limited', rateLimit: 1, handler: async () => 'ok' },
+        ['unlimited', async () => 'ok']
+      ]
+    });
+
+    const { client } = await connectClient(config);
+
+    await client.callTool({ name: 'limited' });
+    await assert.rejects(
+      client.callTool({ name: 'limited' }),
+      /Rate limit exceeded for tool "limited"/
+    );
+    await client.callTool({ name: 'unlimited' });
+
+    await client.close();
+  });
+
+  test('should apply per-tool concurrency limits', async () => {
+    let release;
+    const gate = new Promise((resolve) => {
+      release = resolve;
+    });
+
+    const config = defineMCP({
+      name: 'Test Server',
+      version: '1.0.0',
+      tools: [
+        { name: 'report', maxConcurrent: 1, handler: async () => gate }
+      ]
+    });
+
+    const { server, client } = await connectClient(config);
+
+    const first = client.callTool({ name: 'report' });
+    await new Promise((resolve) => setTimeout(resolve, 20));
+
+    await assert.rejects(client.callTool({ name: 'report' }), /Concurrency limit reached/);
+
+    release('done');
+    assert.strictEqual((await first).content[0].text, 'done');
+    assert.strictEqual(server.activeCallCount, 0);
+
+    await client.close();
+  });
+
+  test('should truncate responses over the per-tool size limit', async () => {
+    const config = defineMCP({
+      name: 'Test Server',
+      version: '1.0.0',
+      tools: [
+        { name: 'big', maxResponseBytes: 200, handler: async () => 'x'.repeat(1000) }
+      ]
+    });
+
+    const { client } = await connectClient(config);
+    const result = await client.callTool({ name: 'big' });
+
+    assert.strictEqual(Buffer.byteLength(result.content[0].text), 200);
+    assert.ok(result.content[0].text.endsWith('[Response truncated - exceeded 200 byte limit]'));
+
+    await client.close();
+  });
+});
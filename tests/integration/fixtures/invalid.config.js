@@ -0,0 +1,15 @@
+import { defineMCP } from '../../../src/index.js';
+
+export default defineMCP({
+  name: 'Invalid App',
+  version: '1.0.0',
+  tools: [
+    ['lookup', async () => 'first'],
+    ['lookup', async () => 'second'],
+    {
+      name: 'search',
+      schema: { type: 'object', properties: [] },
+      handler: async () => 'results'
+    }
+  ]
+});
@@ -0,0 +1,23 @@
+import { defineMCP } from '../../../src/index.js';
+
+export default defineMCP({
+  name: 'Progress App',
+  version: '1.0.0',
+  tools: [
+    {
+      name: 'import',
+      description: 'Imports a batch of records',
+      schema: {
+        type: 'object',
+        properties: { count: { type: 'number' } },
+        required: ['count']
+      },
+      handler: async ({ count }, { progress }) => {
+        for (let i = 1; i <= count; i++) {
+          await progress(i, count, `Imported ${i} of ${count}`);
+        }
+        return `Imported ${count} records`;
+      }
+    }
+  ]
+});
@@ -0,0 +1,21 @@
+import { defineMCP } from '../../../src/index.js';
+
+export default defineMCP({
+  name: 'Tools App',
+  version: '1.0.0',
+  tools: [
+    {
+      name: 'echo',
+      description: 'Echo back the input',
+      schema: {
+        type: 'object',
+        properties: { message: { type: 'string' } },
+        required: ['message']
+      },
+      handler: async ({ message }) => `Echo: ${message}`
+    },
+    ['fail', async () => {
+      throw new Error('Something broke');
+    }]
+  ]
+});
@@ -0,0 +1,8 @@
+export enum Mood {
+  Happy = 'happy',
+  Grumpy = 'grumpy'
+}
+
+export function greet(name: string, mood: Mood): string {
+  return `Hello ${name} (${mood})`;
+}
@@ -0,0 +1,19 @@
+import { defineMCP } from '../../../../src/index.js';
+import { greet, Mood } from './greeting.js';
+
+export default defineMCP({
+  name: 'typescript-server',
+  version: '1.0.0',
+  tools: [
+    {
+      name: 'greet',
+      description: 'Greets someone',
+      schema: {
+        type: 'object',
+        properties: { name: { type: 'string' } },
+        required: ['name']
+      },
+      handler: ({ name }: { name: string }) => greet(name, Mood.Happy)
+    }
+  ]
+});
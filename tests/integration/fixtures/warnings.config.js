@@ -0,0 +1,7 @@
+export default {
+  name: 'Warnings App',
+  version: '1.0.0',
+  tools: [
+    ['sync', () => 'not async']
+  ]
+};
@@ -0,0 +1,90 @@
+import assert from 'node:assert';
+import { after, before, describe, test } from 'node:test';
+import { mkdirSync, rmSync, writeFileSync } from 'fs';
+import { resolve } from 'path';
+import { ToolListChangedNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
+import { loadConfig } from '../../src/utils/configLoader.js';
+import { collectLocalImports, ConfigWatcher } from '../../src/utils/configWatcher.js';
+import { connectClient } from '../helpers/connectClient.js';
+
+describe('Config hot reload', () => {
+  const testDir = resolve(process.cwd(), 'tests/integration/fixtures/hot-reload');
+  const configPath = resolve(testDir, 'mcp.config.js');
+  const helperPath = resolve(testDir, 'greeting.js');
+  const defineMCPPath = resolve(process.cwd(), 'src/defineMCP.js');
+
+  const writeConfig = (tools) => {
+    writeFileSync(configPath, `import { defineMCP } from '${defineMCPPath}';
+import { greeting } from './greeting.js';
+
+export default defineMCP({
+  name: 'Reload App',
+  version: '1.0.0',
+  tools: ${tools}
+});
+`, 'utf8');
+  };
+
+  const writeHelper = (word) => {
+    writeFileSync(helperPath, `export const greeting = '${word}';\n`, 'utf8');
+  };
+
+  before(() => {
+    mkdirSync(testDir, { recursive: true });
+    writeHelper('Hello');
+    writeConfig('[[\'hello\', async () => greeting]]');
+  });
+
+  after(() => {
+    rmSync(testDir, { recursive: true, force: true });
+  });
+
+  test('should collect the config and its relative imports', () => {
+    const files = collectLocalImports(configPath);
+    assert.deepStrictEqual([...files], [configPath, helperPath]);
+  });
+
+  test('should swap tools and notify clients on reload', async () => {
+    const { config } = await loadConfig(configPath);
+    const { server, client } = await connectClient(config);
+
+    let notified = 0;
+    client.setNotificationHandler(ToolListChangedNotificationSchema, () => {
+      notified += 1;
+    });
+
+    const watcher = new ConfigWatcher(configPath, server);
+    watcher.start();
+
+    writeHelper('Hi');
+    writeConfig('[[\'hello\', async () => greeting], [\'bye\', async () => \'Bye\']]');
+    assert.strictEqual(await watcher.reload(), true);
+
+    const { tools } = await client.listTools();
+    assert.deepStrictEqual(tools.map((t) => t.name), ['hello', 'bye']);
+
+    const result = await client.callTool({ name: 'hello' });
+    assert.strictEqual(result.content[0].text, 'Hi');
+
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.ok(notified >= 1);
+
+    watcher.close();
+    await client.close();
+  });
+
+  test('should keep previous tools when the new config is invalid', async () => {
+    const { config } = await loadConfig(configPath);
+    const { server, client } = await connectClient(config);
+    const previousTools = server.config.tools;
+
+    const watcher = new ConfigWatcher(configPath, server);
+    writeConfig('[[\'dup\', async () => 1], [\'dup\', async () => 2]]');
+    assert.strictEqual(await watcher.reload(), false);
+
+    assert.strictEqual(server.config.tools, previousTools);
+
+    watcher.close();
+    await client.close();
+  });
+});
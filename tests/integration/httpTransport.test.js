@@ -0,0 +1,195 @@
+import assert from 'node:assert';
+import { request } from 'node:http';
+import { after, before, describe, test } from 'node:test';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { SSEClientTransport } from '@modelcontextprotocol/sdk/client/sse.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { defineMCP } from '../../src/defineMCP.js';
+import { MCPConnectServer } from '../../src/server/mcpServer.js';
+
+const INITIALIZE = {
+  jsonrpc: '2.0',
+  id: 1,
+  method: 'initialize',
+  params: {
+    protocolVersion: '2025-06-18',
+    capabilities: {},
+    clientInfo: { name: 'test-client', version: '1.0.0' }
+  }
+};
+
+// fetch does not let callers set Host, so these requests go through node:http
+function postInitialize(port, headers) {
+  return new Promise((resolve, reject) => {
+    const req = request(
+      {
+        host: '127.0.0.1',
+        port,
+        path: '/mcp',
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'application/json, text/event-stream',
+          ...headers
+        }
+      },
+      (res) => {
+        res.resume();
+        resolve(res);
+      }
+    );
+    req.on('error', reject);
+    req.end(JSON.stringify(INITIALIZE));
+  });
+}
+
+describe('HTTP transport', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const config = defineMCP({
+      name: 'Test Server',
+      version: '1.0.0',
+      tools: [
+        ['hello', async ({ name }) => `Hello ${name}!`]
+      ]
+    });
+
+    server = new MCPConnectServer(config);
+    await server.start({ type: 'http', port: 0 });
+    baseUrl = `http://127.0.0.1:${server.httpServer.port}`;
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  test('should bind to localhost by default', () => {
+    assert.strictEqual(server.httpServer.host, '127.0.0.1');
+  });
+
+  test('should serve tools over Streamable HTTP', async () => {
+    const client = new Client({ name: 'test-client', version: '1.0.0' });
+    await client.connect(new StreamableHTTPClientTransport(new URL(`${baseUrl}/mcp`)));
+
+    const { tools } = await client.listTools();
+    assert.deepStrictEqual(tools.map((t) => t.name), ['hello']);
+
+    const result = await client.callTool({ name: 'hello', arguments: { name: 'HTTP' } });
+    assert.strictEqual(result.content[0].text, 'Hello HTTP!');
+
+    await client.close();
+  });
+
+  test('should serve tools over the SSE fallback', async () => {
+    const client = new Client({ name: 'test-client', version: '1.0.0' });
+    await client.connect(new SSEClientTransport(new URL(`${baseUrl}/sse`)));
+
+    const result = await client.callTool({ name: 'hello', arguments: { name: 'SSE' } });
+    assert.strictEqual(result.content[0].text, 'Hello SSE!');
+
+    await client.close();
+  });
+
+  test('should reject requests without a session', async () => {
+    const response = await fetch(`${baseUrl}/mcp`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' }),
+    });
+
+    assert.strictEqual(response.status, 400);
+  });
+
+  test('should reject SSE session IDs on the Streamable HTTP endpoint', async () => {
+    const controller = new AbortController();
+    const stream = await fetch(`${baseUrl}/sse`, { signal: controller.signal });
+    const reader = stream.body.pipeThrough(new TextDecoderStream()).getReader();
+
+    let events = '';
+    while (!/sessionId=([\w-]+)/.test(events)) {
+      events += (await reader.read()).value;
+    }
+    const [, sessionId] = events.match(/sessionId=([\w-]+)/);
+
+    try {
+      const response = await fetch(`${baseUrl}/mcp`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'application/json, text/event-stream',
+          'Mcp-Session-Id': sessionId
+        },
+        body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' })
+      });
+
+      assert.strictEqual(response.status, 400);
+      assert.match((await response.json()).error.message, /Invalid or missing session ID/);
+    } finally {
+      controller.abort();
+    }
+  });
+
+  test('should close the HTTP server on stop', async () => {
+    const config = defineMCP({
+      name: 'Test Server',
+      version: '1.0.0',
+      tools: [['test', async () => 'test']]
+    });
+
+    const other = new MCPConnectServer(config);
+    await other.start({ type: 'http', port: 0 });
+    const { port } = other.httpServer;
+    await other.stop();
+
+    assert.strictEqual(other.httpServer, null);
+    await assert.rejects(fetch(`http://127.0.0.1:${port}/mcp`));
+  });
+
+  test('should reject foreign hosts and origins', async () => {
+    const { port } = server.httpServer;
+
+    const rebound = await postInitialize(port, {
+      Host: 'evil.example',
+      Origin: 'http://evil.example'
+    });
+    assert.strictEqual(rebound.statusCode, 403);
+    assert.strictEqual(rebound.headers['mcp-session-id'], undefined);
+
+    const foreignOrigin = await postInitialize(port, {
+      Host: `127.0.0.1:${port}`,
+      Origin: 'http://evil.example'
+    });
+    assert.strictEqual(foreignOrigin.statusCode, 403);
+
+    const local = await postInitialize(port, {
+      Host: `localhost:${port}`,
+      Origin: `http://localhost:${port}`
+    });
+    assert.strictEqual(local.statusCode, 200);
+  });
+
+  test('should accept hosts from allowedHosts', async () => {
+    const config = defineMCP({
+      name: 'Test Server',
+      version: '1.0.0',
+      transport: { type: 'http', port: 0, allowedHosts: ['mcp.example.com'] },
+      tools: [['test', async () => 'test']]
+    });
+
+    const other = new MCPConnectServer(config);
+    await other.start();
+    const { port } = other.httpServer;
+
+    try {
+      const allowed = await postInitialize(port, { Host: `mcp.example.com:${port}` });
+      assert.strictEqual(allowed.statusCode, 200);
+
+      const rebound = await postInitialize(port, { Host: 'evil.example' });
+      assert.strictEqual(rebound.statusCode, 403);
+    } finally {
+      await other.stop();
+    }
+  });
+});
@@ -0,0 +1,88 @@
+import assert from 'node:assert';
+import { spawnSync } from 'child_process';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { describe, test } from 'node:test';
+import { tmpdir } from 'os';
+import { resolve } from 'path';
+import { pathToFileURL } from 'url';
+import { loadConfig } from '../../src/utils/configLoader.js';
+
+const cliPath = resolve(process.cwd(), 'src/cli.js');
+const specPath = resolve(process.cwd(), 'tests/integration/fixtures/petstore.yaml');
+const indexUrl = pathToFileURL(resolve(process.cwd(), 'src/index.js')).href;
+
+function runInit(cwd, args) {
+  return spawnSync(process.execPath, [cliPath, 'init', ...args], {
+    cwd,
+    encoding: 'utf8',
+    timeout: 10000
+  });
+}
+
+describe('mcp-connect init', () => {
+  test('should create the sample config', () => {
+    const dir = mkdtempSync(resolve(tmpdir(), 'mcp-connect-init-'));
+    try {
+      const result = runInit(dir, []);
+
+      // Without "type": "module" the config needs the .mjs extension to load
+      assert.strictEqual(result.status, 0, result.stderr);
+      assert.match(readFileSync(resolve(dir, 'mcp.config.mjs'), 'utf8'), /name: "echo"/);
+
+      const again = runInit(dir, []);
+      assert.strictEqual(again.status, 1);
+      assert.match(again.stderr, /mcp.config.mjs already exists/);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('should generate tools from an OpenAPI document', async () => {
+    const dir = mkdtempSync(resolve(tmpdir(), 'mcp-connect-init-'));
+    try {
+      writeFileSync(resolve(dir, 'package.json'), JSON.stringify({ type: 'module' }));
+      const result = runInit(dir, [
+        '--from-openapi',
+        specPath,
+        '--base-url',
+        'https://api.example.com/v1',
+        '--exclude-tag',
+        'admin'
+      ]);
+
+      assert.strictEqual(result.status, 0, result.stderr);
+      assert.match(result.stderr, /Found 3 operations/);
+
+      const configPath = resolve(dir, 'mcp.config.js');
+      const source = readFileSync(configPath, 'utf8');
+      assert.match(source, /name: "Petstore"/);
+      assert.match(source, /version: "2\.1\.0"/);
+      assert.match(source, /baseUrl: "https:\/\/api\.example\.com\/v1"/);
+      assert.match(source, /\/\/ "X-API-Key": process\.env\.API_KEY/);
+      assert.match(source, /exclude: \{ tags: \["admin"\] \}/);
+      assert.match(source, /\/\/ {3}showPetById \(GET \/pets\/\{petId\}\)/);
+
+      // The generated file imports the published package, so point it at this checkout
+      writeFileSync(configPath, source.replace('"@myatkyawthu/mcp-connect"', `"${indexUrl}"`));
+      const { config } = await loadConfig(configPath);
+      assert.deepStrictEqual(
+        config.tools.map((tool) => tool.name),
+        ['listPets', 'create_pet', 'showPetById']
+      );
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('should fail when no operation matches the filters', () => {
+    const dir = mkdtempSync(resolve(tmpdir(), 'mcp-connect-init-'));
+    try {
+      const result = runInit(dir, ['--from-openapi', specPath, '--tag', 'missing']);
+
+      assert.strictEqual(result.status, 1);
+      assert.match(result.stderr, /No operations in .* match the given filters/);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
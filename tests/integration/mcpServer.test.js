@@ -1,5 +1,8 @@
 import assert from 'node:assert';
+import { spawnSync } from 'child_process';
 import { describe, test } from 'node:test';
+import { resolve } from 'path';
+import { pathToFileURL } from 'url';
 import { defineMCP } from '../../src/defineMCP.js';
 import { MCPConnectServer } from '../../src/server/mcpServer.js';
 
@@ -117,4 +120,59 @@ describe('MCPConnectServer Integration', () => {
     assert.ok(process.listenerCount('uncaughtException') > 0);
     assert.ok(process.listenerCount('unhandledRejection') > 0);
   });
-});
\ No newline at end of file
+
+  test('should share process listeners between servers and remove them on stop', async () => {
+    const config = defineMCP({
+      name: 'Test Server',
+      version: '1.0.0',
+      tools: [
+        ['test', async () => 'test']
+      ]
+    });
+    const events = ['SIGINT', 'SIGTERM', 'uncaughtException', 'unhandledRejection'];
+    const countListeners = () => events.map((event) => process.listenerCount(event));
+
+    const before = countListeners();
+    const first = new MCPConnectServer(config);
+    const withOne = countListeners();
+    const second = new MCPConnectServer(config);
+
+    assert.deepStrictEqual(countListeners(), withOne);
+    assert.ok(withOne.every((count, index) => count - before[index] <= 1));
+
+    await first.stop();
+    assert.deepStrictEqual(countListeners(), withOne);
+
+    await second.stop();
+    assert.deepStrictEqual(countListeners(), before);
+  });
+
+  test('should drain every server before exiting on a signal', () => {
+    const script = `
+      import { defineMCP } from ${JSON.stringify(pathToFileURL(resolve('src/defineMCP.js')).href)};
+      import { MCPConnectServer } from ${JSON.stringify(pathToFileURL(resolve('src/server/mcpServer.js')).href)};
+
+      const createServer = (name) => new MCPConnectServer(defineMCP({
+        name,
+        version: '1.0.0',
+        logger: { level: 'silent' },
+        tools: [['job', async (args, { signal }) => {
+          await new Promise((resolve) => signal.addEventListener('abort', resolve));
+          await new Promise((resolve) => setTimeout(resolve, 100));
+          console.log('drained ' + name);
+        }]]
+      }));
+
+      const servers = [createServer('first'), createServer('second')];
+      servers.forEach((server) => server.callTool('job', {}));
+      setTimeout(() => process.kill(process.pid, 'SIGINT'), 50);
+    `;
+    const result = spawnSync(process.execPath, ['--input-type=module', '-e', script], {
+      encoding: 'utf8',
+      timeout: 10000
+    });
+
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.deepStrictEqual(result.stdout.trim().split('\n').sort(), ['drained first', 'drained second']);
+  });
+});
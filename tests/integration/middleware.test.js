@@ -0,0 +1,152 @@
+import assert from 'node:assert';
+import { describe, test } from 'node:test';
+import { defineMCP } from '../../src/defineMCP.js';
+import { MCPConnectServer } from '../../src/server/mcpServer.js';
+import { connectClient } from '../helpers/connectClient.js';
+
+function createConfig(middleware, calls = []) {
+  return defineMCP({
+    name: 'Test Server',
+    version: '1.0.0',
+    middleware,
+    tools: [
+      {
+        name: 'greet',
+        schema: {
+          type: 'object',
+          properties: { name: { type: 'string' } },
+          required: ['name']
+        },
+        handler: async ({ name }) => {
+          calls.push(name);
+          return { greeting: `Hello ${name}`, email: 'ada@example.com' };
+        }
+      },
+      [
+        'fail',
+        async () => {
+          throw new Error('Database unavailable');
+        }
+      ]
+    ]
+  });
+}
+
+describe('Middleware Integration', () => {
+  test('should run before and after hooks around the handler', async () => {
+    const order = [];
+    const calls = [];
+    const config = createConfig(
+      [
+        {
+          before: (ctx) => {
+            order.push('outer before');
+            ctx.meta.startedAt = 1;
+          },
+          after: () => {
+            order.push('outer after');
+          }
+        },
+        {
+          before: (ctx) => {
+            order.push('inner before');
+            ctx.args = { ...ctx.args, name: ctx.args.name.toUpperCase() };
+          },
+          after: (ctx, result) => {
+            order.push('inner after');
+            return { ...result, email: '[redacted]' };
+          }
+        }
+      ],
+      calls
+    );
+    const { client } = await connectClient(config);
+
+    const result = await client.callTool({ name: 'greet', arguments: { name: 'ada' } });
+
+    assert.deepStrictEqual(JSON.parse(result.content[0].text), {
+      greeting: 'Hello ADA',
+      email: '[redacted]'
+    });
+    assert.deepStrictEqual(result._meta, { startedAt: 1 });
+    assert.deepStrictEqual(calls, ['ADA']);
+    assert.deepStrictEqual(order, ['outer before', 'inner before', 'inner after', 'outer after']);
+
+    await client.close();
+  });
+
+  test('should skip the handler when a before hook returns a result', async () => {
+    const calls = [];
+    const cache = new Map([['greet:ada', 'cached greeting']]);
+    const seen = [];
+    const config = createConfig(
+      [
+        {
+          before: (ctx) => cache.get(`${ctx.toolName}:${ctx.args.name}`),
+          after: (ctx, result) => {
+            seen.push(`cache ${result}`);
+          }
+        },
+        {
+          before: () => {
+            seen.push('inner before');
+          }
+        }
+      ],
+      calls
+    );
+    const { client } = await connectClient(config);
+
+    const result = await client.callTool({ name: 'greet', arguments: { name: 'ada' } });
+
+    assert.strictEqual(result.content[0].text, 'cached greeting');
+    assert.deepStrictEqual(calls, []);
+    assert.deepStrictEqual(seen, ['cache cached greeting']);
+
+    await client.close();
+  });
+
+  test('should let onError hooks recover or replace the error', async () => {
+    const errors = [];
+    const config = createConfig([
+      {
+        onError: (ctx, error) => {
+          errors.push(error.message);
+          if (ctx.toolName === 'greet') return 'Greeting unavailable';
+        }
+      },
+      {
+        onError: (ctx, error) => {
+          throw new Error(`${ctx.toolName}: ${error.message.replace('Database', 'Service')}`);
+        }
+      }
+    ]);
+    const { client } = await connectClient(config);
+
+    const failed = await client.callTool({ name: 'fail' });
+    assert.strictEqual(failed.isError, true);
+    assert.strictEqual(failed.content[0].text, 'Tool "fail" failed: fail: Service unavailable');
+
+    const recovered = await client.callTool({ name: 'greet', arguments: {} });
+    assert.strictEqual(recovered.isError, undefined);
+    assert.strictEqual(recovered.content[0].text, 'Greeting unavailable');
+
+    assert.strictEqual(errors[0], 'fail: Service unavailable');
+    assert.match(errors[1], /Invalid arguments/);
+
+    await client.close();
+  });
+
+  test('should add middleware with use()', async () => {
+    const server = new MCPConnectServer(createConfig());
+
+    assert.strictEqual(
+      server.use({ after: (ctx, result) => ({ ...result, tool: ctx.toolName }) }),
+      server
+    );
+    assert.throws(() => server.use(() => {}), /Middleware must be an object/);
+
+    const result = await server.callTool('greet', { name: 'Ada' });
+    assert.strictEqual(JSON.parse(result.content[0].text).tool, 'greet');
+  });
+});
@@ -0,0 +1,64 @@
+import assert from 'node:assert';
+import { after, before, describe, test } from 'node:test';
+import { resolve } from 'path';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+
+describe('Progress notifications over STDIO', () => {
+  let client;
+  let received = [];
+
+  before(async () => {
+    const transport = new StdioClientTransport({
+      command: process.execPath,
+      args: [
+        resolve(process.cwd(), 'src/cli.js'),
+        resolve(process.cwd(), 'tests/integration/fixtures/progress.config.js')
+      ],
+      stderr: 'ignore'
+    });
+
+    client = new Client({ name: 'test-client', version: '1.0.0' });
+    await client.connect(transport);
+
+    // The client dispatches notifications a tick after responses, so record them as they arrive
+    const onmessage = transport.onmessage;
+    transport.onmessage = (message, extra) => {
+      if (message.method === 'notifications/progress') {
+        received.push(message.params);
+      }
+      onmessage(message, extra);
+    };
+  });
+
+  after(async () => {
+    await client.close();
+  });
+
+  test('should send progress notifications when a progress token is given', async () => {
+    received = [];
+    const result = await client.callTool({ name: 'import', arguments: { count: 3 } }, undefined, {
+      onprogress: () => {}
+    });
+
+    assert.strictEqual(result.content[0].text, 'Imported 3 records');
+    assert.deepStrictEqual(
+      received.map(({ progressToken, ...update }) => update),
+      [
+        { progress: 1, total: 3, message: 'Imported 1 of 3' },
+        { progress: 2, total: 3, message: 'Imported 2 of 3' },
+        { progress: 3, total: 3, message: 'Imported 3 of 3' }
+      ]
+    );
+    assert.ok(received.every((update) => update.progressToken !== undefined));
+  });
+
+  test('should ignore progress updates without a progress token', async () => {
+    received = [];
+    const result = await client.callTool({ name: 'import', arguments: { count: 2 } });
+
+    assert.strictEqual(result.isError, undefined);
+    assert.strictEqual(result.content[0].text, 'Imported 2 records');
+    assert.deepStrictEqual(received, []);
+  });
+});
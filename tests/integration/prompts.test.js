@@ -0,0 +1,94 @@
+import assert from 'node:assert';
+import { describe, test } from 'node:test';
+import { defineMCP } from '../../src/defineMCP.js';
+import { connectClient } from '../helpers/connectClient.js';
+
+const config = defineMCP({
+  name: 'Test Server',
+  version: '1.0.0',
+  tools: [
+    ['test', async () => 'test']
+  ],
+  prompts: [
+    {
+      name: 'summarize',
+      description: 'Summarize a topic',
+      arguments: [
+        { name: 'topic', description: 'What to summarize', required: true },
+        { name: 'tone', description: 'Writing tone' }
+      ],
+      handler: async ({ topic, tone = 'neutral' }) => `Summarize ${topic} in a ${tone} tone.`
+    },
+    {
+      name: 'review',
+      handler: async () => [
+        { role: 'user', content: 'Review this code.' },
+        { role: 'assistant', content: 'Please paste the code.' }
+      ]
+    }
+  ]
+});
+
+describe('Prompts Integration', () => {
+  test('should advertise the prompts capability', async () => {
+    const { client } = await connectClient(config);
+
+    assert.ok(client.getServerCapabilities().prompts);
+    await client.close();
+  });
+
+  test('should list prompts with their arguments', async () => {
+    const { client } = await connectClient(config);
+
+    const { prompts } = await client.listPrompts();
+    assert.deepStrictEqual(prompts.map((p) => p.name), ['summarize', 'review']);
+    assert.strictEqual(prompts[0].arguments.length, 2);
+    assert.strictEqual(prompts[0].arguments[0].required, true);
+
+    await client.close();
+  });
+
+  test('should render string results as a user message', async () => {
+    const { client } = await connectClient(config);
+
+    const result = await client.getPrompt({ name: 'summarize', arguments: { topic: 'MCP' } });
+    assert.strictEqual(result.description, 'Summarize a topic');
+    assert.deepStrictEqual(result.messages, [
+      { role: 'user', content: { type: 'text', text: 'Summarize MCP in a neutral tone.' } }
+    ]);
+
+    await client.close();
+  });
+
+  test('should normalise message arrays', async () => {
+    const { client } = await connectClient(config);
+
+    const result = await client.getPrompt({ name: 'review' });
+    assert.strictEqual(result.messages.length, 2);
+    assert.deepStrictEqual(result.messages[1], {
+      role: 'assistant',
+      content: { type: 'text', text: 'Please paste the code.' }
+    });
+
+    await client.close();
+  });
+
+  test('should reject missing required arguments', async () => {
+    const { client } = await connectClient(config);
+
+    await assert.rejects(
+      client.getPrompt({ name: 'summarize', arguments: {} }),
+      /missing required arguments: topic/
+    );
+
+    await client.close();
+  });
+
+  test('should reject unknown prompts', async () => {
+    const { client } = await connectClient(config);
+
+    await assert.rejects(client.getPrompt({ name: 'missing' }), /Prompt "missing" not found/);
+
+    await client.close();
+  });
+});
@@ -0,0 +1,110 @@
+import assert from 'node:assert';
+import { describe, test } from 'node:test';
+import { defineMCP } from '../../src/defineMCP.js';
+import { connectClient } from '../helpers/connectClient.js';
+
+const todos = { 1: { id: 1, title: 'Buy milk' } };
+
+const config = defineMCP({
+  name: 'Test Server',
+  version: '1.0.0',
+  tools: [
+    ['test', async () => 'test']
+  ],
+  resources: [
+    {
+      uri: 'docs://readme',
+      name: 'README',
+      description: 'Project readme',
+      mimeType: 'text/markdown',
+      read: async () => '# Hello'
+    },
+    {
+      uriTemplate: 'todos://{id}',
+      name: 'Todo',
+      description: 'A single todo item',
+      read: async ({ params }) => todos[params.id]
+    },
+    {
+      uri: 'files://logo.png',
+      mimeType: 'image/png',
+      read: async () => Buffer.from([1, 2, 3])
+    }
+  ]
+});
+
+describe('Resources Integration', () => {
+  test('should advertise the resources capability', async () => {
+    const { client } = await connectClient(config);
+
+    assert.ok(client.getServerCapabilities().resources);
+    await client.close();
+  });
+
+  test('should not advertise resources when none are defined', async () => {
+    const { client } = await connectClient(defineMCP({
+      name: 'Test Server',
+      version: '1.0.0',
+      tools: [['test', async () => 'test']]
+    }));
+
+    assert.strictEqual(client.getServerCapabilities().resources, undefined);
+    await client.close();
+  });
+
+  test('should list static resources and templates', async () => {
+    const { client } = await connectClient(config);
+
+    const { resources } = await client.listResources();
+    assert.deepStrictEqual(resources.map((r) => r.uri), ['docs://readme', 'files://logo.png']);
+    assert.strictEqual(resources[0].mimeType, 'text/markdown');
+
+    const { resourceTemplates } = await client.listResourceTemplates();
+    assert.strictEqual(resourceTemplates.length, 1);
+    assert.strictEqual(resourceTemplates[0].uriTemplate, 'todos://{id}');
+
+    await client.close();
+  });
+
+  test('should read static resources', async () => {
+    const { client } = await connectClient(config);
+
+    const { contents } = await client.readResource({ uri: 'docs://readme' });
+    assert.deepStrictEqual(contents, [
+      { uri: 'docs://readme', mimeType: 'text/markdown', text: '# Hello' }
+    ]);
+
+    await client.close();
+  });
+
+  test('should read templated resources as JSON', async () => {
+    const { client } = await connectClient(config);
+
+    const { contents } = await client.readResource({ uri: 'todos://1' });
+    assert.strictEqual(contents[0].mimeType, 'application/json');
+    assert.deepStrictEqual(JSON.parse(contents[0].text), { id: 1, title: 'Buy milk' });
+
+    await client.close();
+  });
+
+  test('should encode binary resources as base64 blobs', async () => {
+    const { client } = await connectClient(config);
+
+    const { contents } = await client.readResource({ uri: 'files://logo.png' });
+    assert.strictEqual(contents[0].blob, Buffer.from([1, 2, 3]).toString('base64'));
+    assert.strictEqual(contents[0].mimeType, 'image/png');
+
+    await client.close();
+  });
+
+  test('should reject unknown resources', async () => {
+    const { client } = await connectClient(config);
+
+    await assert.rejects(
+      client.readResource({ uri: 'docs://missing' }),
+      /Resource "docs:\/\/missing" not found/
+    );
+
+    await client.close();
+  });
+});
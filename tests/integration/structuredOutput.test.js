@@ -0,0 +1,122 @@
+import assert from 'node:assert';
+import { describe, test } from 'node:test';
+import { z } from 'zod';
+import { defineMCP } from '../../src/defineMCP.js';
+import { connectClient } from '../helpers/connectClient.js';
+
+const todoSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer' },
+    title: { type: 'string' },
+    done: { type: 'boolean' }
+  },
+  required: ['id', 'title', 'done']
+};
+
+const config = defineMCP({
+  name: 'Test Server',
+  version: '1.0.0',
+  tools: [
+    {
+      name: 'getTodo',
+      outputSchema: todoSchema,
+      handler: async () => ({ id: 1, title: 'Write tests', done: false })
+    },
+    {
+      name: 'brokenTodo',
+      outputSchema: todoSchema,
+      handler: async () => ({ id: '1', title: 'Oops' })
+    },
+    {
+      name: 'listTodos',
+      outputSchema: todoSchema,
+      handler: async () => [{ id: 1, title: 'Write tests', done: false }]
+    },
+    {
+      name: 'stats',
+      outputSchema: z.object({ total: z.number(), updatedAt: z.coerce.string() }),
+      handler: async () => ({ total: 3, updatedAt: 1700000000 })
+    },
+    {
+      name: 'bigTodo',
+      outputSchema: todoSchema,
+      maxResponseBytes: 200,
+      handler: async () => ({ id: 1, title: 'x'.repeat(150), done: false })
+    },
+    ['plain', async () => ({ id: 1 })]
+  ]
+});
+
+describe('Structured Output Integration', () => {
+  test('should advertise outputSchema in tools/list', async () => {
+    const { client } = await connectClient(config);
+
+    const { tools } = await client.listTools();
+    const byName = Object.fromEntries(tools.map((tool) => [tool.name, tool]));
+
+    assert.deepStrictEqual(byName.getTodo.outputSchema, todoSchema);
+    assert.strictEqual(byName.stats.outputSchema.type, 'object');
+    assert.deepStrictEqual(byName.stats.outputSchema.required, ['total', 'updatedAt']);
+    assert.strictEqual(byName.plain.outputSchema, undefined);
+
+    await client.close();
+  });
+
+  test('should return structuredContent next to the text rendering', async () => {
+    const { client } = await connectClient(config);
+
+    const result = await client.callTool({ name: 'getTodo' });
+    assert.deepStrictEqual(result.structuredContent, { id: 1, title: 'Write tests', done: false });
+    assert.deepStrictEqual(JSON.parse(result.content[0].text), result.structuredContent);
+
+    await client.close();
+  });
+
+  test('should return the value parsed by a Standard Schema', async () => {
+    const { client } = await connectClient(config);
+
+    const result = await client.callTool({ name: 'stats' });
+    assert.deepStrictEqual(result.structuredContent, { total: 3, updatedAt: '1700000000' });
+
+    await client.close();
+  });
+
+  test('should report output that does not match the schema as an error', async () => {
+    const { client } = await connectClient(config);
+
+    const result = await client.callTool({ name: 'brokenTodo' });
+    assert.strictEqual(result.isError, true);
+    assert.strictEqual(result.structuredContent, undefined);
+    assert.match(result.content[0].text, /Invalid output:/);
+    assert.match(result.content[0].text, /- id: Expected integer, got string/);
+    assert.match(result.content[0].text, /- done: Required property is missing/);
+
+    const list = await client.callTool({ name: 'listTodos' });
+    assert.strictEqual(list.isError, true);
+    assert.match(list.content[0].text, /Tools with an outputSchema must return an object/);
+
+    await client.close();
+  });
+
+  test('should count structuredContent against the response size limit', async () => {
+    const { client } = await connectClient(config);
+
+    const result = await client.callTool({ name: 'bigTodo' });
+    assert.strictEqual(result.isError, true);
+    assert.strictEqual(result.structuredContent, undefined);
+    assert.match(result.content[0].text, /Result of \d+ bytes exceeded the 200 byte limit/);
+
+    await client.close();
+  });
+
+  test('should leave tools without outputSchema unchanged', async () => {
+    const { client } = await connectClient(config);
+
+    const result = await client.callTool({ name: 'plain' });
+    assert.strictEqual(result.structuredContent, undefined);
+    assert.deepStrictEqual(JSON.parse(result.content[0].text), { id: 1 });
+
+    await client.close();
+  });
+});
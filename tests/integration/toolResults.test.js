@@ -0,0 +1,78 @@
+import assert from 'node:assert';
+import { describe, test } from 'node:test';
+import { defineMCP } from '../../src/defineMCP.js';
+import { image, resource, text } from '../../src/index.js';
+import { connectClient } from '../helpers/connectClient.js';
+
+const png = Buffer.from([0x89, 0x50, 0x4e, 0x47]);
+
+const config = defineMCP({
+  name: 'Test Server',
+  version: '1.0.0',
+  tools: [
+    ['plain', async () => 'hello'],
+    ['object', async () => ({ id: 1, done: false })],
+    ['chart', async () => image(png, 'image/png')],
+    ['report', async () => [text('Summary'), image(png), resource('file:///report.csv', 'a,b\n1,2', 'text/csv')]],
+    ['raw', async () => [{ type: 'text', text: 'explicit' }]],
+    ['lookalike', async () => ({ type: 'image', url: 'https://example.com/a.png' })]
+  ]
+});
+
+describe('Tool Results Integration', () => {
+  test('should keep returning strings as text', async () => {
+    const { client } = await connectClient(config);
+
+    const result = await client.callTool({ name: 'plain' });
+    assert.deepStrictEqual(result.content, [{ type: 'text', text: 'hello' }]);
+
+    await client.close();
+  });
+
+  test('should keep serialising objects as JSON text', async () => {
+    const { client } = await connectClient(config);
+
+    const result = await client.callTool({ name: 'object' });
+    assert.deepStrictEqual(JSON.parse(result.content[0].text), { id: 1, done: false });
+
+    await client.close();
+  });
+
+  test('should pass a single content block through', async () => {
+    const { client } = await connectClient(config);
+
+    const result = await client.callTool({ name: 'chart' });
+    assert.deepStrictEqual(result.content, [
+      { type: 'image', data: png.toString('base64'), mimeType: 'image/png' }
+    ]);
+
+    await client.close();
+  });
+
+  test('should pass multiple content blocks through unchanged', async () => {
+    const { client } = await connectClient(config);
+
+    const result = await client.callTool({ name: 'report' });
+    assert.deepStrictEqual(result.content.map((c) => c.type), ['text', 'image', 'resource']);
+    assert.deepStrictEqual(result.content[2].resource, {
+      uri: 'file:///report.csv',
+      mimeType: 'text/csv',
+      text: 'a,b\n1,2'
+    });
+
+    const raw = await client.callTool({ name: 'raw' });
+    assert.deepStrictEqual(raw.content, [{ type: 'text', text: 'explicit' }]);
+
+    await client.close();
+  });
+
+  test('should serialise objects that only look like content blocks', async () => {
+    const { client } = await connectClient(config);
+
+    const result = await client.callTool({ name: 'lookalike' });
+    assert.strictEqual(result.content[0].type, 'text');
+    assert.ok(result.content[0].text.includes('https://example.com/a.png'));
+
+    await client.close();
+  });
+});
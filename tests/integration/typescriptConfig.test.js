@@ -0,0 +1,36 @@
+import assert from 'node:assert';
+import { spawnSync } from 'child_process';
+import { describe, test } from 'node:test';
+import { resolve } from 'path';
+
+const cliPath = resolve(process.cwd(), 'src/cli.js');
+const fixtureDir = resolve(process.cwd(), 'tests/integration/fixtures/typescript');
+
+function runCli(args) {
+  return spawnSync(process.execPath, [cliPath, ...args], {
+    cwd: fixtureDir,
+    encoding: 'utf8',
+    timeout: 20000
+  });
+}
+
+describe('TypeScript configs', () => {
+  test('should discover mcp.config.ts and call its tools', () => {
+    const result = runCli(['call', 'greet', '--args', '{"name":"TS"}']);
+
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.strictEqual(result.stdout, 'Hello TS (happy)\n');
+  });
+
+  test('should list tools from a TypeScript config', () => {
+    const result = runCli(['list', '--json']);
+
+    assert.strictEqual(result.status, 0, result.stderr);
+    const catalog = JSON.parse(result.stdout);
+    assert.strictEqual(catalog.name, 'typescript-server');
+    assert.deepStrictEqual(
+      catalog.tools.map((tool) => tool.name),
+      ['greet']
+    );
+  });
+});
@@ -0,0 +1,81 @@
+import assert from 'node:assert';
+import { spawnSync } from 'child_process';
+import { describe, test } from 'node:test';
+import { resolve } from 'path';
+
+const cliPath = resolve(process.cwd(), 'src/cli.js');
+const fixture = (name) => resolve(process.cwd(), `tests/integration/fixtures/${name}.config.js`);
+
+function runValidate(args) {
+  return spawnSync(process.execPath, [cliPath, 'validate', ...args], {
+    encoding: 'utf8',
+    timeout: 10000
+  });
+}
+
+describe('mcp-connect validate', () => {
+  test('should pass a valid config', () => {
+    const result = runValidate([fixture('tools')]);
+
+    assert.strictEqual(result.status, 0);
+    assert.match(result.stdout, /✅ .*tools\.config\.js is valid/);
+  });
+
+  test('should report duplicate tool names and malformed schemas', () => {
+    const result = runValidate([fixture('invalid')]);
+
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stdout, /failed validation: 2 error\(s\), 0 warning\(s\)/);
+    assert.match(result.stdout, /tools\[1\]\.name: Duplicate tool name "lookup"/);
+    assert.match(result.stdout, /tools\[2\]\.schema\.properties: Schema properties must be an object/);
+    assert.strictEqual(result.stderr, '');
+  });
+
+  test('should print structured errors as JSON', () => {
+    const result = runValidate([fixture('invalid'), '--format', 'json']);
+    const report = JSON.parse(result.stdout);
+
+    assert.strictEqual(result.status, 1);
+    assert.strictEqual(report.isValid, false);
+    assert.strictEqual(report.failed, true);
+    assert.deepStrictEqual(report.errors[0], {
+      field: 'tools[1].name',
+      message: 'Duplicate tool name "lookup"',
+      value: 'lookup',
+      suggestion: 'Each tool must have a unique name'
+    });
+  });
+
+  test('should print SARIF', () => {
+    const result = runValidate([fixture('invalid'), '--format', 'sarif']);
+    const sarif = JSON.parse(result.stdout);
+    const [run] = sarif.runs;
+
+    assert.strictEqual(sarif.version, '2.1.0');
+    assert.strictEqual(run.tool.driver.name, 'mcp-connect');
+    assert.strictEqual(run.results.length, 2);
+    assert.strictEqual(run.results[0].level, 'error');
+    assert.strictEqual(
+      run.results[0].locations[0].physicalLocation.artifactLocation.uri,
+      'tests/integration/fixtures/invalid.config.js'
+    );
+    assert.strictEqual(run.results[0].locations[0].physicalLocation.region.startLine, 7);
+  });
+
+  test('should only fail on warnings with --strict', () => {
+    const relaxed = runValidate([fixture('warnings'), '--json']);
+    assert.strictEqual(relaxed.status, 0);
+    assert.strictEqual(JSON.parse(relaxed.stdout).warnings.length, 1);
+
+    const strict = runValidate([fixture('warnings'), '--strict']);
+    assert.strictEqual(strict.status, 1);
+    assert.match(strict.stdout, /failed validation: 0 error\(s\), 1 warning\(s\)/);
+  });
+
+  test('should report files that cannot be loaded', () => {
+    const result = runValidate(['missing.config.js', '--json']);
+
+    assert.strictEqual(result.status, 1);
+    assert.match(JSON.parse(result.stdout).errors[0].message, /Config file not found/);
+  });
+});
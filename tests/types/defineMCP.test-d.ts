@@ -0,0 +1,226 @@
+import {
+  defineMCP,
+  fromExpress,
+  fromFastify,
+  fromOpenAPI,
+  mcpRoute,
+  MCPConnectServer,
+  MCPLogger,
+  text,
+  type FromSchema,
+  type Identity,
+  type LogRecord,
+  type MiddlewareContext,
+} from '../../src/index.js';
+import { z } from 'zod';
+
+type Equal<A, B> = (<T>() => T extends A ? 1 : 2) extends <T>() => T extends B ? 1 : 2 ? true : false;
+function expectType<T extends true>(_value?: T) {}
+
+const todoSchema = {
+  type: 'object',
+  properties: {
+    title: { type: 'string' },
+    priority: { enum: ['low', 'high'] },
+    tags: { type: 'array', items: { type: 'string' } },
+  },
+  required: ['title'],
+} as const;
+
+expectType<
+  Equal<
+    FromSchema<typeof todoSchema>,
+    { title: string; priority?: 'low' | 'high'; tags?: string[] }
+  >
+>();
+
+const config = defineMCP({
+  name: 'typed',
+  version: '1.0.0',
+  tools: [
+    {
+      name: 'createTodo',
+      schema: {
+        type: 'object',
+        properties: {
+          title: { type: 'string' },
+          done: { type: 'boolean' },
+          count: { type: 'integer' },
+        },
+        required: ['title'],
+      },
+      handler: async ({ title, done, count }, { signal, progress, toolName }) => {
+        expectType<Equal<typeof title, string>>();
+        expectType<Equal<typeof done, boolean | undefined>>();
+        expectType<Equal<typeof count, number | undefined>>();
+        expectType<Equal<typeof signal, AbortSignal>>();
+        expectType<Equal<typeof toolName, string>>();
+        await progress(1, 2, 'half way');
+        return text(title);
+      },
+    },
+    {
+      name: 'untyped',
+      handler: (args) => args.anything,
+    },
+    ['ping', () => 'pong'],
+  ],
+});
+
+const server = new MCPConnectServer(config);
+server.callTool('createTodo', { title: 'x' });
+
+defineMCP({
+  name: 'bad',
+  version: '1.0.0',
+  tools: [
+    {
+      name: 'wrong',
+      schema: { type: 'object', properties: { id: { type: 'number' } }, required: ['id'] },
+      // @ts-expect-error id is a number
+      handler: ({ id }: { id: string }) => id,
+    },
+  ],
+});
+
+defineMCP({
+  name: 'zod',
+  version: '1.0.0',
+  tools: [
+    {
+      name: 'add',
+      schema: z.object({ a: z.coerce.number(), b: z.number().default(1), note: z.string().optional() }),
+      handler: ({ a, b, note }) => {
+        expectType<Equal<typeof a, number>>();
+        expectType<Equal<typeof b, number>>();
+        expectType<Equal<typeof note, string | undefined>>();
+        return a + b;
+      },
+    },
+  ],
+});
+
+defineMCP({
+  name: 'structured',
+  version: '1.0.0',
+  tools: [
+    {
+      name: 'stats',
+      outputSchema: z.object({ total: z.number() }),
+      handler: async () => ({ total: 3 }),
+    },
+    {
+      name: 'todo',
+      outputSchema: { type: 'object', properties: { id: { type: 'integer' } } },
+      handler: async () => ({ id: 1 }),
+    },
+  ],
+});
+
+defineMCP({
+  name: 'openapi',
+  version: '1.0.0',
+  tools: [
+    ...(await fromOpenAPI(new URL('./openapi.yaml', import.meta.url), {
+      headers: async ({ toolName }) => ({ 'X-Tool': toolName }),
+      include: { tags: ['pets'] },
+    })),
+    ['ping', () => 'pong'],
+  ],
+});
+
+declare const expressApp: { use: Function };
+declare const fastifyApp: { addHook: Function };
+
+defineMCP({
+  name: 'routes',
+  version: '1.0.0',
+  tools: [
+    ...fromExpress(expressApp, { headers: { Authorization: 'Bearer token' } }),
+    ...(await fromFastify(fastifyApp, { all: true })),
+  ],
+});
+
+mcpRoute({ name: 'getTodo', schema: { type: 'object', properties: { id: { type: 'string' } } } });
+
+const timing = {
+  before: (ctx: MiddlewareContext) => {
+    ctx.meta.startedAt = Date.now();
+  },
+  after: (ctx: MiddlewareContext, result: unknown) => {
+    expectType<Equal<typeof ctx.toolName, string>>();
+    return result;
+  },
+};
+
+const withMiddleware = defineMCP({
+  name: 'middleware',
+  version: '1.0.0',
+  middleware: [timing, { onError: (_ctx, error) => error.message }],
+  tools: [['ping', () => 'pong']],
+});
+
+new MCPConnectServer(withMiddleware).use({ before: (ctx) => ctx.args.cached });
+
+defineMCP({
+  name: 'auth',
+  version: '1.0.0',
+  auth: [
+    { type: 'jwt', jwks: new URL('./jwks.json', import.meta.url), audience: 'todo-mcp' },
+    { type: 'bearer', tokens: { 'admin-token': { subject: 'ada', roles: ['admin'] } } },
+    { authenticate: ({ headers }) => headers.cookie === 'session=1' && { subject: 'web' } },
+  ],
+  tools: [
+    {
+      name: 'deleteTodo',
+      roles: ['admin'],
+      handler: async (_args, { auth }) => {
+        expectType<Equal<typeof auth, Identity | undefined>>();
+        return `Deleted by ${auth?.subject}`;
+      },
+    },
+  ],
+});
+
+defineMCP({
+  name: 'confirmation',
+  version: '1.0.0',
+  confirm: async ({ toolName, args }) => toolName !== 'deleteTodo' || args.id !== 1,
+  tools: [
+    {
+      name: 'deleteTodo',
+      destructive: true,
+      annotations: { idempotentHint: true },
+      handler: async () => 'Deleted',
+    },
+    {
+      name: 'getTodos',
+      annotations: { readOnlyHint: true, title: 'List Todos' },
+      handler: async () => [],
+    },
+  ],
+});
+
+defineMCP({
+  name: 'audit',
+  version: '1.0.0',
+  audit: { file: './logs/audit.jsonl', maxBytes: 1024 * 1024, redact: ['ssn'] },
+  tools: [['ping', () => 'pong']],
+});
+
+const records: LogRecord[] = [];
+const sharedLogger = new MCPLogger({ level: 'debug', sinks: [(record) => records.push(record)] });
+const removeSink = sharedLogger.addSink({ write: (line: string) => line.length });
+removeSink();
+
+defineMCP({
+  name: 'logger',
+  version: '1.0.0',
+  logger: { format: 'json', sinks: [{ log: (record) => records.push(record) }] },
+  tools: [['ping', () => 'pong']],
+});
+
+const loggedServer = new MCPConnectServer(
+  defineMCP({ name: 'shared logger', version: '1.0.0', logger: sharedLogger, tools: [] })
+);
+expectType<Equal<typeof loggedServer.logger, MCPLogger>>();
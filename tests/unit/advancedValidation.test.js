@@ -29,6 +29,19 @@ describe('Advanced Configuration Validation', () => {
     assert.strictEqual(result.isValid, true);
   });
 
+  test('should allow an optional context parameter', () => {
+    const result = validateConfig({
+      name: 'Test App',
+      version: '1.0.0',
+      tools: [
+        ['contextTool', async (args, { signal }) => signal.aborted],
+        ['destructuredTool', async ({ id, title }) => `${id}: ${title}`]
+      ]
+    });
+
+    assert.strictEqual(result.isValid, true);
+  });
+
   test('should detect callback usage in handlers', () => {
     const result = validateConfig({
       name: 'Test App',
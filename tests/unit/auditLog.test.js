@@ -0,0 +1,156 @@
+import assert from 'node:assert';
+import { existsSync, mkdtempSync, readFileSync, rmSync } from 'fs';
+import { describe, test } from 'node:test';
+import { tmpdir } from 'os';
+import { resolve } from 'path';
+import { AuditLog, createAuditLog, redactArguments } from '../../src/utils/auditLog.js';
+import { defineMCP } from '../../src/defineMCP.js';
+import { MCPConnectServer } from '../../src/server/mcpServer.js';
+
+function readEntries(file) {
+  return readFileSync(file, 'utf8')
+    .trim()
+    .split('\n')
+    .map((line) => JSON.parse(line));
+}
+
+function withTempDir(run) {
+  const dir = mkdtempSync(resolve(tmpdir(), 'mcp-connect-audit-'));
+  return Promise.resolve(run(dir)).finally(() => rmSync(dir, { recursive: true, force: true }));
+}
+
+describe('audit log', () => {
+  test('should redact sensitive arguments', () => {
+    assert.deepStrictEqual(
+      redactArguments(
+        { user: 'ada', password: 'x', nested: [{ apiKey: 'k', ssn: '123' }], token: null },
+        ['ssn']
+      ),
+      {
+        user: 'ada',
+        password: '[REDACTED]',
+        nested: [{ apiKey: '[REDACTED]', ssn: '[REDACTED]' }],
+        token: '[REDACTED]'
+      }
+    );
+  });
+
+  test('should only redact whole sensitive words in keys', () => {
+    assert.deepStrictEqual(
+      redactArguments({
+        passengers: 3,
+        compassHeading: 90,
+        tokenCount: 12,
+        secretary: 'Ada',
+        accessToken: 'a',
+        refresh_token: 'b',
+        'X-API-Key': 'c',
+        APIKey: 'd',
+        passwordHash: 'e',
+        clientSecret: 'f',
+        Authorization: 'g',
+        tokens: ['h'],
+        accessTokens: ['i'],
+        apiKeys: ['j'],
+        privateKeys: ['k'],
+        refresh_tokens: ['l'],
+        maxTokens: 256
+      }),
+      {
+        passengers: 3,
+        compassHeading: 90,
+        tokenCount: 12,
+        secretary: 'Ada',
+        accessToken: '[REDACTED]',
+        refresh_token: '[REDACTED]',
+        'X-API-Key': '[REDACTED]',
+        APIKey: '[REDACTED]',
+        passwordHash: '[REDACTED]',
+        clientSecret: '[REDACTED]',
+        Authorization: '[REDACTED]',
+        tokens: '[REDACTED]',
+        accessTokens: '[REDACTED]',
+        apiKeys: '[REDACTED]',
+        privateKeys: '[REDACTED]',
+        refresh_tokens: '[REDACTED]',
+        maxTokens: '[REDACTED]'
+      }
+    );
+  });
+
+  test('should be enabled by the config or MCP_AUDIT_FILE', () => {
+    assert.strictEqual(createAuditLog(undefined, {}), null);
+    assert.strictEqual(createAuditLog('audit.jsonl', {}).file, resolve('audit.jsonl'));
+
+    const fromEnv = createAuditLog({ maxFiles: 2 }, { MCP_AUDIT_FILE: '/var/log/mcp.jsonl' });
+    assert.strictEqual(fromEnv.file, resolve('/var/log/mcp.jsonl'));
+    assert.strictEqual(fromEnv.maxFiles, 2);
+  });
+
+  test('should rotate files by size', () =>
+    withTempDir((dir) => {
+      const file = resolve(dir, 'logs/audit.jsonl');
+      const log = new AuditLog({ file, maxBytes: 150, maxFiles: 2 });
+
+      for (let index = 1; index <= 7; index++) {
+        log.write({ index, args: { padding: 'x'.repeat(40) } });
+      }
+
+      assert.deepStrictEqual(readEntries(file).map((entry) => entry.index), [7]);
+      assert.deepStrictEqual(readEntries(`${file}.1`).map((entry) => entry.index), [5, 6]);
+      assert.deepStrictEqual(readEntries(`${file}.2`).map((entry) => entry.index), [3, 4]);
+      assert.strictEqual(existsSync(`${file}.3`), false);
+    }));
+
+  test('should record every tool call', () =>
+    withTempDir(async (dir) => {
+      const file = resolve(dir, 'audit.jsonl');
+      const config = defineMCP({
+        name: 'Test Server',
+        version: '1.0.0',
+        audit: { file, redact: (args) => ({ ...args, email: '[EMAIL]' }) },
+        tools: [
+          ['login', async ({ email }) => `Welcome ${email}`],
+          [
+            'fail',
+            async () => {
+              throw new Error('Database unavailable');
+            }
+          ]
+        ]
+      });
+      const server = new MCPConnectServer(config);
+      const identity = { subject: 'ada', roles: ['admin'], scheme: 'bearer' };
+
+      await server.callTool(
+        'login',
+        { email: 'ada@example.com', password: 'hunter2' },
+        { authInfo: { extra: { identity } }, sessionId: 'session-1', requestId: 7 }
+      );
+      await server.callTool('fail', {});
+      await assert.rejects(server.callTool('missing', {}));
+
+      const [login, fail, missing] = readEntries(file);
+
+      assert.strictEqual(login.tool, 'login');
+      assert.deepStrictEqual(login.args, { email: '[EMAIL]', password: '[REDACTED]' });
+      assert.deepStrictEqual(login.caller, identity);
+      assert.strictEqual(login.sessionId, 'session-1');
+      assert.strictEqual(login.outcome, 'success');
+      assert.ok(login.resultBytes > 0);
+      assert.ok(login.durationMs >= 0);
+      assert.match(login.requestId, /^[0-9a-f-]{36}$/);
+      assert.strictEqual(login.jsonRpcId, 7);
+      assert.ok(!Number.isNaN(Date.parse(login.timestamp)));
+
+      assert.strictEqual(fail.outcome, 'error');
+      assert.strictEqual(fail.error, 'Tool "fail" failed: Database unavailable');
+      assert.strictEqual(fail.caller, null);
+      assert.strictEqual(fail.jsonRpcId, undefined);
+      assert.notStrictEqual(fail.requestId, login.requestId);
+
+      assert.strictEqual(missing.outcome, 'error');
+      assert.match(missing.error, /Tool "missing" not found/);
+      assert.strictEqual(missing.resultBytes, 0);
+    }));
+});
@@ -0,0 +1,105 @@
+import assert from 'node:assert';
+import { generateKeyPairSync, sign } from 'crypto';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { describe, test } from 'node:test';
+import { tmpdir } from 'os';
+import { resolve } from 'path';
+import { createAuthenticator, hasRequiredRole, verifyJwt } from '../../src/server/auth.js';
+
+const { privateKey, publicKey } = generateKeyPairSync('ec', { namedCurve: 'P-256' });
+const jwks = { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'main', alg: 'ES256' }] };
+
+function createJwt(claims, header = {}) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const data = `${encode({ alg: 'ES256', typ: 'JWT', kid: 'main', ...header })}.${encode(claims)}`;
+  const signature = sign('sha256', Buffer.from(data), { key: privateKey, dsaEncoding: 'ieee-p1363' });
+  return `${data}.${signature.toString('base64url')}`;
+}
+
+const now = Math.floor(Date.now() / 1000);
+
+describe('auth', () => {
+  test('should accept configured bearer tokens', async () => {
+    const authenticate = createAuthenticator({
+      type: 'bearer',
+      tokens: { 'admin-token': { subject: 'ada', roles: ['admin'] }, 'read-token': {} }
+    });
+
+    assert.deepStrictEqual(
+      await authenticate({ headers: { authorization: 'Bearer admin-token' } }),
+      { subject: 'ada', roles: ['admin'], scheme: 'bearer' }
+    );
+    assert.deepStrictEqual(
+      await authenticate({ headers: { authorization: 'bearer read-token' } }),
+      { subject: 'bearer', roles: [], scheme: 'bearer' }
+    );
+    await assert.rejects(
+      authenticate({ headers: { authorization: 'Bearer wrong' } }),
+      /Invalid bearer token/
+    );
+    await assert.rejects(authenticate({ headers: {} }), /Authentication required/);
+  });
+
+  test('should try each method in order', async () => {
+    const authenticate = createAuthenticator([
+      { type: 'apiKey', header: 'X-Key', keys: ['key-1'] },
+      { authenticate: ({ headers }) => headers.cookie === 'session=1' && { subject: 'web' } }
+    ]);
+
+    assert.strictEqual((await authenticate({ headers: { 'x-key': 'key-1' } })).scheme, 'apiKey');
+    assert.deepStrictEqual(await authenticate({ headers: { cookie: 'session=1' } }), {
+      subject: 'web',
+      roles: []
+    });
+    await assert.rejects(authenticate({ headers: { 'x-key': 'key-2' } }), /Invalid API key/);
+  });
+
+  test('should verify JWTs against a JWKS file', async () => {
+    const dir = mkdtempSync(resolve(tmpdir(), 'mcp-connect-jwks-'));
+    try {
+      const jwksPath = resolve(dir, 'jwks.json');
+      writeFileSync(jwksPath, JSON.stringify(jwks));
+
+      const authenticate = createAuthenticator({
+        type: 'jwt',
+        jwks: jwksPath,
+        issuer: 'https://auth.example.com',
+        audience: 'todo-mcp'
+      });
+      const token = createJwt({
+        sub: 'agent-7',
+        roles: 'admin editor',
+        iss: 'https://auth.example.com',
+        aud: ['todo-mcp'],
+        exp: now + 60
+      });
+
+      const identity = await authenticate({ headers: { authorization: `Bearer ${token}` } });
+      assert.strictEqual(identity.subject, 'agent-7');
+      assert.deepStrictEqual(identity.roles, ['admin', 'editor']);
+      assert.strictEqual(identity.claims.aud[0], 'todo-mcp');
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('should reject invalid JWTs', async () => {
+    const options = { jwks, audience: 'todo-mcp' };
+
+    await assert.rejects(verifyJwt(createJwt({ exp: now - 120 }), { jwks }), /expired/);
+    await assert.rejects(verifyJwt(createJwt({ aud: 'other' }), options), /audience/);
+    await assert.rejects(verifyJwt(createJwt({}, { kid: 'old' }), { jwks }), /signature/);
+    await assert.rejects(verifyJwt(createJwt({}, { alg: 'none' }), { jwks }), /algorithm: none/);
+
+    const [header, , signature] = createJwt({ sub: 'agent' }).split('.');
+    const forged = Buffer.from(JSON.stringify({ sub: 'admin' })).toString('base64url');
+    await assert.rejects(verifyJwt(`${header}.${forged}.${signature}`, { jwks }), /signature/);
+  });
+
+  test('should check required roles', () => {
+    assert.strictEqual(hasRequiredRole(undefined, undefined), true);
+    assert.strictEqual(hasRequiredRole({ roles: ['admin'] }, ['admin', 'owner']), true);
+    assert.strictEqual(hasRequiredRole({ roles: ['viewer'] }, ['admin']), false);
+    assert.strictEqual(hasRequiredRole(undefined, ['admin']), false);
+  });
+});
@@ -0,0 +1,47 @@
+import assert from 'node:assert';
+import { describe, test } from 'node:test';
+import {
+  formatProgress,
+  formatToolResultText,
+  parseToolArguments
+} from '../../src/commands/call.js';
+import { image, resource, text } from '../../src/utils/content.js';
+
+describe('call command', () => {
+  test('should parse JSON object arguments', () => {
+    assert.deepStrictEqual(parseToolArguments('{"title":"x"}', '--args'), { title: 'x' });
+  });
+
+  test('should treat empty input as no arguments', () => {
+    assert.deepStrictEqual(parseToolArguments(undefined, 'stdin'), {});
+    assert.deepStrictEqual(parseToolArguments('  \n', 'stdin'), {});
+  });
+
+  test('should reject invalid JSON and non-object arguments', () => {
+    assert.throws(() => parseToolArguments('{title}', '--args'), /Invalid JSON in --args/);
+    assert.throws(() => parseToolArguments('[1, 2]', 'args.json'), /from args.json must be a JSON object/);
+  });
+
+  test('should format content blocks as text', () => {
+    const output = formatToolResultText({
+      content: [
+        text('Sales for Q3'),
+        image(Buffer.from([1, 2, 3]), 'image/png'),
+        resource('file:///q3.csv', 'a,b', 'text/csv')
+      ]
+    });
+
+    assert.strictEqual(
+      output,
+      'Sales for Q3\n\n[image: image/png, 3 bytes]\n\n[resource: file:///q3.csv]\na,b'
+    );
+  });
+
+  test('should format progress notifications', () => {
+    assert.strictEqual(formatProgress({ progress: 3 }), '… 3');
+    assert.strictEqual(
+      formatProgress({ progress: 3, total: 10, message: 'Uploading' }),
+      '… 3/10 Uploading'
+    );
+  });
+});
@@ -1,8 +1,9 @@
 import assert from 'node:assert';
 import { describe, test } from 'node:test';
-import { writeFileSync, unlinkSync, mkdirSync, rmSync } from 'fs';
+import { writeFileSync, unlinkSync, mkdirSync, mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
 import { resolve } from 'path';
-import { loadConfig } from '../../src/utils/configLoader.js';
+import { findConfigFile, loadConfig } from '../../src/utils/configLoader.js';
 
 describe('configLoader', () => {
     const testDir = resolve(process.cwd(), 'tests/unit/fixtures/config-loader');
@@ -67,4 +68,81 @@ export default defineMCP({
         unlinkSync(invalidConfigPath);
         rmSync(testDir, { recursive: true, force: true });
     });
+
+    describe('config discovery', () => {
+        const rootDir = resolve(process.cwd(), 'tests/unit/fixtures/config-discovery');
+        const packageDir = resolve(rootDir, 'packages/api');
+        const nestedDir = resolve(packageDir, 'src/handlers');
+
+        const setup = (files) => {
+            rmSync(rootDir, { recursive: true, force: true });
+            mkdirSync(nestedDir, { recursive: true });
+            for (const [path, content] of Object.entries(files)) {
+                writeFileSync(resolve(rootDir, path), content, 'utf8');
+            }
+        };
+
+        test('should walk up parent directories', () => {
+            setup({ 'packages/api/mcp.config.js': 'export default {};' });
+
+            assert.strictEqual(
+                findConfigFile(null, { cwd: nestedDir }),
+                resolve(packageDir, 'mcp.config.js')
+            );
+
+            rmSync(rootDir, { recursive: true, force: true });
+        });
+
+        test('should read the "mcp" field from package.json', () => {
+            setup({
+                'package.json': JSON.stringify({ name: 'monorepo', mcp: { config: './tools/mcp.js' } }),
+                'packages/api/package.json': JSON.stringify({ name: 'api', mcp: './server.mcp.js' }),
+                'packages/api/server.mcp.js': 'export default {};'
+            });
+
+            assert.strictEqual(
+                findConfigFile(null, { cwd: nestedDir }),
+                resolve(packageDir, 'server.mcp.js')
+            );
+            assert.throws(
+                () => findConfigFile(null, { cwd: rootDir }),
+                /Config file not found: \.\/tools\/mcp\.js \(from the "mcp" field/
+            );
+
+            rmSync(rootDir, { recursive: true, force: true });
+        });
+
+        test('should prefer MCP_CONFIG over discovery and resolve it against cwd', () => {
+            setup({
+                'packages/api/mcp.config.js': 'export default {};',
+                'custom.config.js': 'export default {};'
+            });
+
+            process.env.MCP_CONFIG = '../../../../custom.config.js';
+            try {
+                assert.strictEqual(
+                    findConfigFile(null, { cwd: nestedDir }),
+                    resolve(rootDir, 'custom.config.js')
+                );
+                assert.strictEqual(
+                    findConfigFile('mcp.config.js', { cwd: packageDir }),
+                    resolve(packageDir, 'mcp.config.js')
+                );
+            } finally {
+                delete process.env.MCP_CONFIG;
+                rmSync(rootDir, { recursive: true, force: true });
+            }
+        });
+
+        test('should explain where it looked when nothing is found', () => {
+            const emptyDir = mkdtempSync(resolve(tmpdir(), 'mcp-connect-'));
+
+            assert.throws(
+                () => findConfigFile(null, { cwd: emptyDir }),
+                /No MCP config file found in .* or any parent directory/
+            );
+
+            rmSync(emptyDir, { recursive: true, force: true });
+        });
+    });
 });
@@ -92,4 +92,264 @@ describe('configValidation', () => {
     assert.strictEqual(result.isValid, true);
     assert.ok(result.warnings.length > 0);
   });
-});
\ No newline at end of file
+
+  test('should validate transport options', () => {
+    const valid = validateConfig({
+      name: 'Test App',
+      version: '1.0.0',
+      transport: { type: 'http', port: 3333 },
+      tools: [['hello', async () => 'test']]
+    });
+    assert.strictEqual(valid.isValid, true);
+
+    const invalid = validateConfig({
+      name: 'Test App',
+      version: '1.0.0',
+      transport: { type: 'websocket', port: 99999, allowedHosts: 'example.com' },
+      tools: [['hello', async () => 'test']]
+    });
+    assert.strictEqual(invalid.isValid, false);
+    assert.ok(invalid.errors.some(e => e.field === 'transport.type'));
+    assert.ok(invalid.errors.some(e => e.field === 'transport.port'));
+    assert.ok(invalid.errors.some(e => e.field === 'transport.allowedHosts'));
+  });
+
+  test('should validate resources', () => {
+    const result = validateConfig({
+      name: 'Test App',
+      version: '1.0.0',
+      tools: [['hello', async () => 'test']],
+      resources: [
+        { uri: 'docs://readme', read: async () => '# Hello' },
+        { uri: 'docs://readme', read: async () => '# Again' },
+        { uri: 'docs://a', uriTemplate: 'docs://{id}', read: async () => '' },
+        { uriTemplate: 'todos://{id}', read: 'not a function' },
+        { uri: 'docs://cancellable', read: async ({ uri }, { signal }) => uri },
+        { uri: 'docs://callback', read: (request, context, callback) => callback() }
+      ]
+    });
+
+    assert.strictEqual(result.isValid, false);
+    assert.ok(result.errors.some(e => e.message.includes('Duplicate resource URI')));
+    assert.ok(result.errors.some(e => e.field === 'resources[2]'));
+    assert.ok(result.errors.some(e => e.field === 'resources[3].read'));
+    assert.ok(!result.errors.some(e => e.field === 'resources[4].read'));
+    assert.ok(result.errors.some(e => e.field === 'resources[5].read'));
+  });
+
+  test('should validate prompts', () => {
+    const result = validateConfig({
+      name: 'Test App',
+      version: '1.0.0',
+      tools: [['hello', async () => 'test']],
+      prompts: [
+        { name: 'summarize', handler: async () => 'Summarize' },
+        { name: 'summarize', handler: async () => 'Again' },
+        {
+          name: 'review',
+          arguments: [{ name: 'code' }, { name: 'code', required: 'yes' }],
+          handler: async () => 'Review'
+        },
+        { name: 'cancellable', handler: async (args, { signal }) => 'Cancellable' },
+        { name: 'callback', handler: (args, context, callback) => callback() }
+      ]
+    });
+
+    assert.strictEqual(result.isValid, false);
+    assert.ok(result.errors.some(e => e.message.includes('Duplicate prompt name')));
+    assert.ok(result.errors.some(e => e.field === 'prompts[2].arguments[1].name'));
+    assert.ok(result.errors.some(e => e.field === 'prompts[2].arguments[1].required'));
+    assert.ok(!result.errors.some(e => e.field === 'prompts[3].handler'));
+    assert.ok(result.errors.some(e => e.field === 'prompts[4].handler'));
+  });
+
+  test('should validate server and tool limits', () => {
+    const result = validateConfig({
+      name: 'Test App',
+      version: '1.0.0',
+      timeout: -1,
+      tools: [
+        { name: 'report', handler: async () => 'ok', timeout: 300000, maxConcurrent: 1.5 },
+        { name: 'lookup', handler: async () => 'ok', rateLimit: 10, maxResponseBytes: 4096 }
+      ]
+    });
+
+    assert.strictEqual(result.isValid, false);
+    assert.ok(result.errors.some(e => e.field === 'timeout'));
+    assert.ok(result.errors.some(e => e.field === 'tools[0].maxConcurrent'));
+    assert.strictEqual(result.errors.length, 2);
+    assert.ok(!result.warnings.some(w => w.message.includes('Unknown properties')));
+  });
+
+  test('should reject timeouts that overflow setTimeout', () => {
+    const result = validateConfig({
+      name: 'Test App',
+      version: '1.0.0',
+      timeout: 2 ** 31,
+      tools: [{ name: 'report', handler: async () => 'ok', timeout: 2 ** 31 - 1 }]
+    });
+
+    assert.strictEqual(result.isValid, false);
+    assert.deepStrictEqual(result.errors.map(e => e.field), ['timeout']);
+    assert.deepStrictEqual(result.warnings.map(w => w.field), ['tools[0].timeout']);
+  });
+
+  test('should validate output schemas', () => {
+    const result = validateConfig({
+      name: 'Test App',
+      version: '1.0.0',
+      tools: [
+        {
+          name: 'getTodo',
+          handler: async () => ({ id: 1 }),
+          outputSchema: { type: 'object', properties: { id: { type: 'integer' } } }
+        },
+        { name: 'count', handler: async () => 1, outputSchema: { type: 'number' } },
+        { name: 'list', handler: async () => [], outputSchema: [] }
+      ]
+    });
+
+    assert.strictEqual(result.isValid, false);
+    assert.deepStrictEqual(result.errors.map(e => e.field), [
+      'tools[1].outputSchema.type',
+      'tools[2].outputSchema'
+    ]);
+    assert.ok(!result.warnings.some(w => w.message.includes('Unknown properties')));
+  });
+
+  test('should validate middleware', () => {
+    const result = validateConfig({
+      name: 'Test App',
+      version: '1.0.0',
+      tools: [['ping', async () => 'pong']],
+      middleware: [
+        { name: 'audit', before: () => {}, after: () => {} },
+        { before: 'log' },
+        {},
+        { onError: () => {}, priority: 1 }
+      ]
+    });
+
+    assert.strictEqual(result.isValid, false);
+    assert.deepStrictEqual(result.errors.map(e => e.field), [
+      'middleware[1].before',
+      'middleware[2]'
+    ]);
+    assert.deepStrictEqual(result.warnings.map(w => w.field), ['middleware[3]']);
+  });
+
+  test('should validate auth and tool roles', () => {
+    const result = validateConfig({
+      name: 'Test App',
+      version: '1.0.0',
+      auth: [
+        { type: 'bearer', tokens: { 'admin-token': { roles: ['admin'] } } },
+        { type: 'apiKey', keys: [] },
+        { type: 'jwt', jwks: { keys: [] } },
+        { type: 'jwt' },
+        { type: 'basic' },
+        { authenticate: async () => null },
+        { type: 'bearer', tokens: [process.env.MCP_CONNECT_MISSING_TOKEN] }
+      ],
+      tools: [
+        { name: 'deleteTodo', handler: async () => 'ok', roles: ['admin'] },
+        { name: 'clearCompleted', handler: async () => 'ok', roles: 'admin' }
+      ]
+    });
+
+    assert.strictEqual(result.isValid, false);
+    assert.deepStrictEqual(result.errors.map(e => e.field), [
+      'auth[1].keys',
+      'auth[3].jwks',
+      'auth[4].type',
+      'auth[6].tokens',
+      'tools[1].roles'
+    ]);
+    assert.ok(!result.warnings.some(w => w.message.includes('Unknown properties')));
+  });
+
+  test('should validate confirmation options and annotations', () => {
+    const result = validateConfig({
+      name: 'Test App',
+      version: '1.0.0',
+      confirm: 'yes',
+      tools: [
+        {
+          name: 'deleteTodo',
+          handler: async () => 'ok',
+          destructive: true,
+          annotations: { idempotentHint: true, title: 'Delete Todo' }
+        },
+        { name: 'reset', handler: async () => 'ok', requiresConfirmation: 'always' },
+        {
+          name: 'getTodos',
+          handler: async () => [],
+          annotations: { readOnlyHint: 'yes', cacheable: true }
+        },
+        { name: 'purge', handler: async () => 'ok', destructive: true, annotations: { readOnlyHint: true } }
+      ]
+    });
+
+    assert.strictEqual(result.isValid, false);
+    assert.deepStrictEqual(result.errors.map(e => e.field), [
+      'confirm',
+      'tools[1].requiresConfirmation',
+      'tools[2].annotations.readOnlyHint'
+    ]);
+    assert.deepStrictEqual(result.warnings.map(w => w.field), [
+      'tools[2].annotations',
+      'tools[3].annotations'
+    ]);
+  });
+
+  test('should validate the audit log options', () => {
+    const valid = validateConfig({
+      name: 'Test App',
+      version: '1.0.0',
+      audit: './audit.jsonl',
+      tools: [['ping', async () => 'pong']]
+    });
+    assert.strictEqual(valid.isValid, true);
+
+    const result = validateConfig({
+      name: 'Test App',
+      version: '1.0.0',
+      audit: { file: '', maxBytes: 0, maxFiles: 3, redact: 'password', format: 'csv' },
+      tools: [['ping', async () => 'pong']]
+    });
+
+    assert.strictEqual(result.isValid, false);
+    assert.deepStrictEqual(result.errors.map(e => e.field), [
+      'audit.file',
+      'audit.maxBytes',
+      'audit.redact'
+    ]);
+    assert.deepStrictEqual(result.warnings.map(w => w.field), ['audit']);
+  });
+
+  test('should validate the logger options', () => {
+    const valid = validateConfig({
+      name: 'Test App',
+      version: '1.0.0',
+      logger: { level: 'warn', format: 'json', sinks: [() => {}, process.stderr] },
+      tools: [['ping', async () => 'pong']]
+    });
+    assert.strictEqual(valid.isValid, true);
+
+    const result = validateConfig({
+      name: 'Test App',
+      version: '1.0.0',
+      logger: { level: 'verbose', format: 'xml', sinks: [{}], debug: 'yes', colors: true },
+      tools: [['ping', async () => 'pong']]
+    });
+
+    assert.strictEqual(result.isValid, false);
+    assert.deepStrictEqual(result.errors.map(e => e.field), [
+      'logger.level',
+      'logger.format',
+      'logger.sinks[0]',
+      'logger.debug'
+    ]);
+    assert.deepStrictEqual(result.warnings.map(w => w.field), ['logger']);
+  });
+});
@@ -0,0 +1,51 @@
+import assert from 'node:assert';
+import { describe, test } from 'node:test';
+import {
+  audio,
+  image,
+  isContentArray,
+  isContentBlock,
+  resource,
+  text
+} from '../../src/utils/content.js';
+
+describe('content helpers', () => {
+  test('should create text blocks', () => {
+    assert.deepStrictEqual(text('hi'), { type: 'text', text: 'hi' });
+    assert.deepStrictEqual(text({ a: 1 }), { type: 'text', text: '{\n  "a": 1\n}' });
+  });
+
+  test('should base64 encode binary image and audio data', () => {
+    const data = Buffer.from('abc');
+
+    assert.deepStrictEqual(image(data, 'image/jpeg'), {
+      type: 'image',
+      data: 'YWJj',
+      mimeType: 'image/jpeg'
+    });
+    assert.strictEqual(image('YWJj').data, 'YWJj');
+    assert.strictEqual(audio(new Uint8Array([97, 98, 99])).data, 'YWJj');
+  });
+
+  test('should create embedded resources', () => {
+    assert.deepStrictEqual(resource('docs://a', 'text'), {
+      type: 'resource',
+      resource: { uri: 'docs://a', mimeType: 'text/plain', text: 'text' }
+    });
+    assert.strictEqual(resource('files://a', Buffer.from('abc')).resource.blob, 'YWJj');
+    assert.strictEqual(resource('data://a', { a: 1 }).resource.mimeType, 'application/json');
+  });
+
+  test('should reject unsupported binary data', () => {
+    assert.throws(() => image(123), /Binary content must be/);
+  });
+
+  test('should recognise content blocks by shape', () => {
+    assert.strictEqual(isContentBlock(text('x')), true);
+    assert.strictEqual(isContentBlock({ type: 'image', url: 'x' }), false);
+    assert.strictEqual(isContentBlock({ type: 'other' }), false);
+    assert.strictEqual(isContentArray([text('x'), image('YWJj')]), true);
+    assert.strictEqual(isContentArray([text('x'), { a: 1 }]), false);
+    assert.strictEqual(isContentArray([]), false);
+  });
+});
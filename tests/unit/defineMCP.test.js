@@ -82,4 +82,26 @@ describe('defineMCP', () => {
 
     assert.strictEqual(config.description, '');
   });
-});
\ No newline at end of file
+
+  test('should return an already defined config unchanged', () => {
+    const config = defineMCP({
+      name: 'Test App',
+      version: '1.0.0',
+      tools: [
+        {
+          name: 'greet',
+          handler: async ({ name }) => `Hello ${name}!`,
+          schema: {
+            type: 'object',
+            properties: { name: { type: 'string' } },
+            required: ['name']
+          }
+        }
+      ]
+    });
+
+    const again = defineMCP(config);
+    assert.strictEqual(again, config);
+    assert.deepStrictEqual(again.tools[0].inputSchema.required, ['name']);
+  });
+});
@@ -0,0 +1,37 @@
+import assert from 'node:assert';
+import { describe, test } from 'node:test';
+import { coerceArgument, DevRepl } from '../../src/commands/dev.js';
+import { defineMCP } from '../../src/defineMCP.js';
+import { MCPConnectServer } from '../../src/server/mcpServer.js';
+
+describe('dev command', () => {
+  test('should coerce answers using the property schema', () => {
+    assert.strictEqual(coerceArgument('42', { type: 'number' }), 42);
+    assert.strictEqual(coerceArgument('abc', { type: 'integer' }), 'abc');
+    assert.strictEqual(coerceArgument('yes', { type: 'boolean' }), true);
+    assert.strictEqual(coerceArgument('false', { type: 'boolean' }), false);
+    assert.strictEqual(coerceArgument('123', { type: 'string' }), '123');
+    assert.strictEqual(coerceArgument('high', { enum: ['low', 'high'] }), 'high');
+    assert.deepStrictEqual(coerceArgument('["a","b"]', { type: 'array' }), ['a', 'b']);
+    assert.deepStrictEqual(coerceArgument('{"a":1}', {}), { a: 1 });
+    assert.strictEqual(coerceArgument('plain text', {}), 'plain text');
+  });
+
+  test('should complete tool names and commands', () => {
+    const config = defineMCP({
+      name: 'Test Server',
+      version: '1.0.0',
+      tools: [
+        ['createTodo', async () => 'ok'],
+        ['completeTodo', async () => 'ok'],
+        ['listTodos', async () => 'ok']
+      ]
+    });
+    const repl = new DevRepl(new MCPConnectServer(config));
+
+    assert.deepStrictEqual(repl.complete('c'), [['createTodo', 'completeTodo'], 'c']);
+    assert.deepStrictEqual(repl.complete('list'), [['listTodos'], 'list']);
+    assert.deepStrictEqual(repl.complete('.h'), [['.help', '.history'], '.h']);
+    assert.deepStrictEqual(repl.complete('createTodo {'), [[], 'createTodo {']);
+  });
+});
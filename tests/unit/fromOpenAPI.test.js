@@ -0,0 +1,175 @@
+import assert from 'node:assert';
+import { createServer } from 'http';
+import { after, before, describe, test } from 'node:test';
+import { resolve } from 'path';
+import { fromOpenAPI, getOpenAPIOperations, loadOpenAPISpec } from '../../src/fromOpenAPI.js';
+
+const specPath = resolve(process.cwd(), 'tests/integration/fixtures/petstore.yaml');
+
+describe('fromOpenAPI', () => {
+  let server;
+  let baseUrl;
+  const requests = [];
+
+  before(async () => {
+    server = createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => (body += chunk));
+      req.on('end', () => {
+        requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+
+        if (req.url.startsWith('/v1/pets/404')) {
+          res.writeHead(404, { 'content-type': 'application/json' });
+          res.end(JSON.stringify({ message: 'Pet not found' }));
+          return;
+        }
+
+        res.writeHead(200, { 'content-type': 'application/json' });
+        res.end(JSON.stringify({ ok: true }));
+      });
+    });
+    await new Promise((resolveListen) => server.listen(0, '127.0.0.1', resolveListen));
+    baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  test('should load YAML documents', async () => {
+    const spec = await loadOpenAPISpec(specPath);
+    assert.strictEqual(spec.info.title, 'Petstore');
+  });
+
+  test('should turn operations into tool definitions', async () => {
+    const tools = await fromOpenAPI(specPath);
+
+    assert.deepStrictEqual(
+      tools.map((tool) => tool.name),
+      ['listPets', 'create_pet', 'showPetById', 'delete_pets_petId', 'getStats']
+    );
+
+    const listPets = tools[0];
+    assert.strictEqual(listPets.description, 'List all pets');
+    assert.deepStrictEqual(listPets.schema.properties.limit, {
+      type: 'integer',
+      description: 'How many items to return'
+    });
+
+    const createPet = tools[1];
+    assert.deepStrictEqual(createPet.schema.required, ['body']);
+    assert.deepStrictEqual(createPet.schema.properties.body.properties.tag, {
+      type: ['string', 'null']
+    });
+
+    const showPet = tools[2];
+    assert.strictEqual(showPet.description, 'GET /pets/{petId}');
+    assert.deepStrictEqual(showPet.schema, {
+      type: 'object',
+      properties: { petId: { type: 'integer' } },
+      required: ['petId']
+    });
+  });
+
+  test('should filter operations by tag and path', async () => {
+    const spec = await loadOpenAPISpec(specPath);
+    const names = (options) => getOpenAPIOperations(spec, options).map((op) => op.name);
+
+    assert.deepStrictEqual(names({ include: { tags: ['admin'] } }), [
+      'delete_pets_petId',
+      'getStats'
+    ]);
+    assert.deepStrictEqual(names({ include: { paths: ['/pets/*'] } }), [
+      'showPetById',
+      'delete_pets_petId'
+    ]);
+    assert.deepStrictEqual(names({ exclude: { tags: ['admin'], paths: ['/pets/*'] } }), [
+      'listPets',
+      'create_pet'
+    ]);
+  });
+
+  test('should perform the HTTP call with parameters, headers and body', async () => {
+    const tools = await fromOpenAPI(specPath, {
+      baseUrl,
+      headers: async () => ({ 'X-API-Key': 'secret' })
+    });
+    const [listPets, createPet] = tools;
+
+    const result = await listPets.handler(
+      { limit: 2, tags: ['cat', 'dog'], 'X-Request-Id': 'abc' },
+      { signal: new AbortController().signal }
+    );
+    assert.deepStrictEqual(result, { ok: true });
+
+    await createPet.handler({ body: { name: 'Rex' } }, {});
+
+    const [list, create] = requests.slice(-2);
+    assert.strictEqual(list.method, 'GET');
+    assert.strictEqual(list.url, '/v1/pets?limit=2&tags=cat&tags=dog');
+    assert.strictEqual(list.headers['x-api-key'], 'secret');
+    assert.strictEqual(list.headers['x-request-id'], 'abc');
+    assert.strictEqual(create.method, 'POST');
+    assert.strictEqual(create.headers['content-type'], 'application/json');
+    assert.deepStrictEqual(JSON.parse(create.body), { name: 'Rex' });
+  });
+
+  test('should fail with the status and response body on HTTP errors', async () => {
+    const tools = await fromOpenAPI(specPath, { baseUrl });
+    const showPet = tools.find((tool) => tool.name === 'showPetById');
+
+    await assert.rejects(
+      showPet.handler({ petId: 404 }, {}),
+      /GET \/pets\/\{petId\} returned 404 Not Found: \{"message":"Pet not found"\}/
+    );
+  });
+
+  test('should use the first server URL when no base URL is given', async () => {
+    const tools = await fromOpenAPI({
+      openapi: '3.1.0',
+      info: { title: 'Relative', version: '1.0.0' },
+      servers: [{ url: '/api' }],
+      paths: { '/ping': { get: { operationId: 'ping' } } }
+    });
+
+    await assert.rejects(tools[0].handler({}, {}), /No base URL/);
+  });
+
+  test('should rename the body argument when a parameter is named body', async () => {
+    const spec = (parameters) => ({
+      openapi: '3.1.0',
+      info: { title: 'Notes', version: '1.0.0' },
+      paths: {
+        '/notes': {
+          post: {
+            operationId: 'createNote',
+            parameters,
+            requestBody: {
+              required: true,
+              content: { 'application/json': { schema: { type: 'object' } } }
+            }
+          }
+        }
+      }
+    });
+
+    const [createNote] = await fromOpenAPI(spec([{ name: 'body', in: 'query' }]), { baseUrl });
+    assert.deepStrictEqual(Object.keys(createNote.schema.properties), ['body', 'requestBody']);
+    assert.deepStrictEqual(createNote.schema.required, ['requestBody']);
+
+    await createNote.handler({ body: 'markdown', requestBody: { title: 'Hi' } }, {});
+    const [create] = requests.slice(-1);
+    assert.strictEqual(create.url, '/v1/notes?body=markdown');
+    assert.deepStrictEqual(JSON.parse(create.body), { title: 'Hi' });
+
+    await assert.rejects(
+      fromOpenAPI(
+        spec([
+          { name: 'body', in: 'query' },
+          { name: 'requestBody', in: 'header' }
+        ])
+      ),
+      /Operation "createNote" has parameters named "body" and "requestBody"/
+    );
+  });
+});
@@ -0,0 +1,168 @@
+import assert from 'node:assert';
+import { describe, test } from 'node:test';
+import express from 'express';
+import express4 from 'express4';
+import Fastify from 'fastify';
+import { fromExpress, fromFastify, mcpRoute } from '../../src/fromRoutes.js';
+import { logger } from '../../src/utils/logger.js';
+
+function createExpressApp(createApp) {
+  const app = createApp();
+  app.use(createApp.json());
+
+  const todos = createApp.Router();
+  todos.get(
+    '/:id',
+    mcpRoute({ name: 'getTodo', description: 'Get a todo by id' }),
+    (req, res) => res.json({ id: req.params.id, fields: req.query.fields })
+  );
+  todos.delete('/:id', mcpRoute(), (req, res) => res.status(404).json({ error: 'Not found' }));
+  app.use('/todos', todos);
+
+  app.post('/todos', mcpRoute({ name: 'createTodo' }), (req, res) => {
+    res.status(201).json({ created: req.body, auth: req.headers.authorization });
+  });
+  app.get('/health', (req, res) => res.send('ok'));
+
+  return { app, todos };
+}
+
+describe('fromExpress', () => {
+  test('should turn routes marked with mcpRoute into tools', async () => {
+    const { app } = createExpressApp(express4);
+    const tools = fromExpress(app, { headers: { Authorization: 'Bearer secret' } });
+
+    assert.deepStrictEqual(
+      tools.map((tool) => tool.name),
+      ['getTodo', 'delete_todos_id', 'createTodo']
+    );
+    assert.strictEqual(tools[0].description, 'Get a todo by id');
+    assert.deepStrictEqual(tools[0].schema, {
+      type: 'object',
+      properties: { id: { type: 'string' } },
+      required: ['id'],
+      additionalProperties: true
+    });
+
+    assert.deepStrictEqual(await tools[0].handler({ id: 42, fields: 'title' }, {}), {
+      id: '42',
+      fields: 'title'
+    });
+    assert.deepStrictEqual(await tools[2].handler({ body: { title: 'Write docs' } }, {}), {
+      created: { title: 'Write docs' },
+      auth: 'Bearer secret'
+    });
+  });
+
+  test('should fail with the status and body when the route returns an error', async () => {
+    const { app } = createExpressApp(express4);
+    const tools = fromExpress(app);
+
+    await assert.rejects(
+      tools[1].handler({ id: 1 }, {}),
+      /DELETE \/todos\/:id returned 404 Not Found: \{"error":"Not found"\}/
+    );
+  });
+
+  test('should include every route with all: true', () => {
+    const { app } = createExpressApp(express4);
+
+    assert.ok(fromExpress(app, { all: true }).some((tool) => tool.name === 'get_health'));
+  });
+
+  test('should add routes of an Express 5 router with a prefix', async () => {
+    const { app, todos } = createExpressApp(express);
+
+    const warnings = [];
+    logger.output = (...parts) => warnings.push(parts.join(' '));
+    let appTools;
+    try {
+      appTools = fromExpress(app);
+    } finally {
+      logger.output = null;
+    }
+
+    assert.deepStrictEqual(
+      appTools.map((tool) => tool.name),
+      ['createTodo']
+    );
+    assert.ok(warnings.some((warning) => warning.includes('fromExpress(router, { app, prefix })')));
+
+    const routerTools = fromExpress(todos, { app, prefix: '/todos' });
+    assert.deepStrictEqual(
+      routerTools.map((tool) => tool.name),
+      ['getTodo', 'delete_todos_id']
+    );
+    assert.deepStrictEqual(await routerTools[0].handler({ id: 'a/b' }, {}), { id: 'a/b' });
+  });
+});
+
+describe('fromFastify', () => {
+  test('should turn routes with config.mcp into tools', async () => {
+    const app = Fastify();
+    const toolsPromise = fromFastify(app);
+
+    app.get(
+      '/items/:id',
+      {
+        config: { mcp: true },
+        schema: {
+          description: 'Get an item',
+          params: {
+            type: 'object',
+            properties: { id: { type: 'integer' } },
+            required: ['id']
+          }
+        }
+      },
+      async (request) => ({ id: request.params.id })
+    );
+    app.register(
+      async (instance) => {
+        instance.post(
+          '/items',
+          {
+            config: { mcp: { name: 'createItem' } },
+            schema: { body: { type: 'object', properties: { name: { type: 'string' } } } }
+          },
+          async (request, reply) => {
+            reply.code(201);
+            return request.body;
+          }
+        );
+        instance.get('/internal', async () => 'hidden');
+      },
+      { prefix: '/v1' }
+    );
+
+    const tools = await toolsPromise;
+
+    assert.deepStrictEqual(
+      tools.map((tool) => tool.name),
+      ['get_items_id', 'createItem']
+    );
+    assert.strictEqual(tools[0].description, 'Get an item');
+    assert.deepStrictEqual(tools[0].schema, {
+      type: 'object',
+      properties: { id: { type: 'integer' } },
+      required: ['id']
+    });
+
+    assert.deepStrictEqual(await tools[0].handler({ id: 3 }, {}), { id: 3 });
+    assert.deepStrictEqual(await tools[1].handler({ body: { name: 'Lamp' } }, {}), {
+      name: 'Lamp'
+    });
+    await assert.rejects(tools[1].handler({ body: 5 }, {}), /POST \/v1\/items returned 400/);
+
+    await app.close();
+  });
+
+  test('should fail when the app is already listening', async () => {
+    const app = Fastify();
+    await app.listen({ port: 0, host: '127.0.0.1' });
+
+    await assert.rejects(fromFastify(app), /Call fromFastify\(app\) before app.ready\(\)/);
+
+    await app.close();
+  });
+});
@@ -0,0 +1,96 @@
+import assert from 'node:assert';
+import { describe, test } from 'node:test';
+import {
+  formatCatalogMarkdown,
+  formatCatalogTable,
+  getToolArguments,
+  getToolCatalog
+} from '../../src/commands/list.js';
+import { defineMCP } from '../../src/defineMCP.js';
+
+const catalog = getToolCatalog(
+  defineMCP({
+    name: 'Catalog App',
+    version: '2.1.0',
+    description: 'Tools for testing',
+    tools: [
+      {
+        name: 'createTodo',
+        description: 'Create a todo',
+        schema: {
+          type: 'object',
+          properties: {
+            title: { type: 'string', description: 'Todo title' },
+            priority: { enum: ['low', 'high'] }
+          },
+          required: ['title']
+        },
+        handler: async () => 'ok'
+      },
+      ['ping', async () => 'pong']
+    ]
+  })
+);
+
+describe('list command', () => {
+  test('should show tools as the server lists them, with defaults filled in', () => {
+    assert.strictEqual(catalog.name, 'Catalog App');
+    assert.strictEqual(catalog.version, '2.1.0');
+    assert.deepStrictEqual(catalog.tools[1], {
+      name: 'ping',
+      description: 'Tool: ping',
+      inputSchema: { type: 'object', properties: {}, additionalProperties: true }
+    });
+  });
+
+  test('should build the catalog without creating a server', () => {
+    const events = ['SIGINT', 'SIGTERM', 'uncaughtException', 'unhandledRejection'];
+    const before = events.map((event) => process.listenerCount(event));
+
+    const { tools } = getToolCatalog({
+      name: 'Raw App',
+      version: '1.0.0',
+      tools: [
+        { name: 'raw', handler: async () => 'ok', annotations: { readOnlyHint: true } }
+      ]
+    });
+
+    assert.deepStrictEqual(tools, [
+      {
+        name: 'raw',
+        description: 'Tool: raw',
+        inputSchema: { type: 'object', properties: {}, additionalProperties: true },
+        annotations: { readOnlyHint: true }
+      }
+    ]);
+    assert.deepStrictEqual(
+      events.map((event) => process.listenerCount(event)),
+      before
+    );
+  });
+
+  test('should describe schema properties as arguments', () => {
+    assert.deepStrictEqual(getToolArguments(catalog.tools[0].inputSchema), [
+      { name: 'title', type: 'string', required: true, description: 'Todo title' },
+      { name: 'priority', type: 'enum', required: false, description: '' }
+    ]);
+  });
+
+  test('should format a table', () => {
+    const lines = formatCatalogTable(catalog).split('\n');
+
+    assert.strictEqual(lines[0], 'Catalog App v2.1.0 - 2 tools');
+    assert.match(lines[2], /^NAME\s+DESCRIPTION\s+ARGUMENTS$/);
+    assert.match(lines[3], /^createTodo\s+Create a todo\s+title\*: string, priority: enum$/);
+    assert.match(lines[4], /^ping\s+Tool: ping\s+\(any\)$/);
+  });
+
+  test('should format Markdown', () => {
+    const markdown = formatCatalogMarkdown(catalog);
+
+    assert.ok(markdown.startsWith('# Catalog App v2.1.0\n\nTools for testing\n\n## Tools'));
+    assert.ok(markdown.includes('| `title` | string | yes | Todo title |'));
+    assert.ok(markdown.includes('### `ping`\n\nTool: ping\n\nAccepts any arguments.'));
+    assert.ok(markdown.includes('"additionalProperties": true'));
+  });
+});
@@ -1,6 +1,8 @@
 import assert from 'node:assert';
 import { describe, test } from 'node:test';
-import { logger } from '../../src/utils/logger.js';
+import { defineMCP } from '../../src/defineMCP.js';
+import { MCPConnectServer } from '../../src/server/mcpServer.js';
+import { logger, MCPLogger } from '../../src/utils/logger.js';
 
 describe('logger', () => {
   test('should format log messages correctly', () => {
@@ -94,4 +96,98 @@ describe('logger', () => {
       assert.strictEqual(error.message, 'Test error');
     }
   });
-});
\ No newline at end of file
+
+  test('should write every field as JSON', () => {
+    const lines = [];
+    const jsonLogger = new MCPLogger({ format: 'json', level: 'info' });
+    jsonLogger.output = (line) => lines.push(line);
+
+    const error = new Error('Database unavailable', { cause: new Error('ECONNREFUSED') });
+    error.code = 'E_DB';
+    jsonLogger.error('Tool execution failed: save', error, { toolName: 'save', duration: 12 });
+    jsonLogger.debug('Not logged');
+
+    assert.strictEqual(lines.length, 1);
+    const record = JSON.parse(lines[0]);
+    assert.strictEqual(record.level, 'error');
+    assert.strictEqual(record.message, 'Tool execution failed: save');
+    assert.strictEqual(record.toolName, 'save');
+    assert.strictEqual(record.duration, 12);
+    assert.ok(!Number.isNaN(Date.parse(record.timestamp)));
+    assert.strictEqual(record.data.message, 'Database unavailable');
+    assert.strictEqual(record.data.code, 'E_DB');
+    assert.strictEqual(record.data.cause.message, 'ECONNREFUSED');
+    assert.match(record.data.stack, /Database unavailable/);
+  });
+
+  test('should pass records to custom sinks', () => {
+    const records = [];
+    const pinoCalls = [];
+    const winstonCalls = [];
+    const streamLines = [];
+
+    const customLogger = new MCPLogger({
+      level: 'info',
+      sinks: [
+        (record) => records.push(record),
+        { log: (record) => winstonCalls.push(record) },
+        {
+          debug: () => {},
+          info: (fields, message) => pinoCalls.push({ fields, message }),
+          warn: () => {},
+          error: () => {}
+        },
+        { write: (line) => streamLines.push(line) }
+      ]
+    });
+
+    const circular = { id: 1 };
+    circular.self = circular;
+    customLogger.info('Saved', circular, { requestId: 'req1' });
+
+    assert.deepStrictEqual(records[0].data, { id: 1, self: '[Circular Reference]' });
+    assert.strictEqual(records[0].requestId, 'req1');
+    assert.strictEqual(winstonCalls[0].message, 'Saved');
+    assert.strictEqual(pinoCalls[0].message, 'Saved');
+    assert.strictEqual(pinoCalls[0].fields.requestId, 'req1');
+    assert.strictEqual(pinoCalls[0].fields.message, undefined);
+    assert.match(streamLines[0], /^\[MCP-INFO\] .* Saved \[req:req1\]\n$/);
+
+    const remove = customLogger.addSink(() => {
+      throw new Error('Sink failed');
+    });
+    customLogger.info('Still logged');
+    remove();
+
+    assert.strictEqual(records.length, 2);
+    assert.throws(() => customLogger.addSink({}), /A log sink must be/);
+  });
+
+  test('should give each server its own logger', async () => {
+    const first = [];
+    const second = [];
+    const createServer = (options) =>
+      new MCPConnectServer(
+        defineMCP({
+          name: 'Test Server',
+          version: '1.0.0',
+          logger: options,
+          tools: [['ping', async () => 'pong']]
+        })
+      );
+
+    const shared = new MCPLogger({ level: 'info', sinks: [(record) => second.push(record)] });
+    const firstServer = createServer({ level: 'debug', sinks: [(record) => first.push(record)] });
+    const secondServer = createServer(shared);
+
+    assert.notStrictEqual(firstServer.logger, logger);
+    assert.strictEqual(secondServer.logger, shared);
+
+    await firstServer.callTool('ping', {});
+    await secondServer.callTool('ping', {});
+
+    assert.ok(first.some((record) => record.level === 'debug'));
+    assert.ok(second.every((record) => record.level !== 'debug'));
+    assert.ok(second.some((record) => record.message === 'Tool execution completed: ping'));
+  });
+});
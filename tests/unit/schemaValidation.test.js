@@ -0,0 +1,176 @@
+import assert from 'node:assert';
+import { describe, test } from 'node:test';
+import { formatSchemaErrors, validateSchema } from '../../src/utils/schemaValidation.js';
+import { validateToolArguments } from '../../src/utils/validation.js';
+import { defineMCP } from '../../src/defineMCP.js';
+import { MCPConnectServer } from '../../src/server/mcpServer.js';
+
+const todoSchema = {
+  type: 'object',
+  properties: {
+    title: { type: 'string', minLength: 1, maxLength: 200 },
+    id: { type: 'integer', minimum: 1 },
+    status: { type: 'string', enum: ['all', 'completed', 'pending'] },
+    tags: {
+      type: 'array',
+      items: { type: 'string', pattern: '^[a-z]+$' },
+      maxItems: 3,
+    },
+    owner: {
+      type: 'object',
+      properties: {
+        email: { type: 'string' },
+      },
+      required: ['email'],
+      additionalProperties: false,
+    },
+  },
+  required: ['title'],
+};
+
+describe('schemaValidation', () => {
+  test('should accept valid arguments', () => {
+    const result = validateSchema(todoSchema, {
+      title: 'Buy milk',
+      id: 3,
+      status: 'pending',
+      tags: ['home'],
+      owner: { email: 'me@example.com' },
+    });
+
+    assert.strictEqual(result.isValid, true);
+    assert.deepStrictEqual(result.errors, []);
+  });
+
+  test('should report missing required properties', () => {
+    const result = validateSchema(todoSchema, {});
+
+    assert.strictEqual(result.isValid, false);
+    assert.strictEqual(result.errors[0].field, 'title');
+    assert.ok(result.errors[0].message.includes('Required'));
+  });
+
+  test('should not count inherited properties as present', () => {
+    const schema = {
+      type: 'object',
+      properties: { constructor: { type: 'string' } },
+      required: ['constructor', 'toString', 'hasOwnProperty']
+    };
+
+    const missing = validateSchema(schema, {});
+    assert.strictEqual(missing.isValid, false);
+    assert.deepStrictEqual(
+      missing.errors.map((error) => [error.field, error.suggestion]),
+      [
+        ['constructor', 'Provide a string value'],
+        ['toString', undefined],
+        ['hasOwnProperty', undefined]
+      ]
+    );
+
+    const present = validateSchema(schema, {
+      constructor: 'Widget',
+      toString: 'x',
+      hasOwnProperty: 1
+    });
+    assert.strictEqual(present.isValid, true);
+    assert.deepStrictEqual(present.errors, []);
+  });
+
+  test('should report type mismatches', () => {
+    const result = validateSchema(todoSchema, { title: 'x', id: '5' });
+
+    assert.strictEqual(result.isValid, false);
+    assert.strictEqual(result.errors[0].field, 'id');
+    assert.strictEqual(result.errors[0].message, 'Expected integer, got string');
+  });
+
+  test('should check enum, range, length and pattern constraints', () => {
+    const result = validateSchema(todoSchema, {
+      title: '',
+      id: 0,
+      status: 'done',
+      tags: ['ok', 'NOT_OK'],
+    });
+
+    const fields = result.errors.map((e) => e.field);
+    assert.deepStrictEqual(fields, ['title', 'id', 'status', 'tags[1]']);
+  });
+
+  test('should validate nested objects and additionalProperties', () => {
+    const result = validateSchema(todoSchema, {
+      title: 'x',
+      owner: { name: 'Me' },
+    });
+
+    const fields = result.errors.map((e) => e.field);
+    assert.ok(fields.includes('owner.email'));
+    assert.ok(fields.includes('owner.name'));
+  });
+
+  test('should support union types', () => {
+    const schema = { type: ['string', 'null'] };
+
+    assert.strictEqual(validateSchema(schema, null).isValid, true);
+    assert.strictEqual(validateSchema(schema, 'x').isValid, true);
+    assert.strictEqual(validateSchema(schema, 1).isValid, false);
+  });
+
+  test('should format errors one per line', () => {
+    const { errors } = validateSchema(todoSchema, { id: 'x' });
+    const formatted = formatSchemaErrors(errors);
+
+    assert.ok(formatted.includes('- title: Required property is missing'));
+    assert.ok(formatted.includes('- id: Expected integer, got string'));
+  });
+});
+
+describe('validateToolArguments', () => {
+  test('should default missing arguments to an empty object', () => {
+    assert.deepStrictEqual(validateToolArguments(undefined), {});
+  });
+
+  test('should reject arguments that do not match the schema', () => {
+    assert.throws(
+      () => validateToolArguments({ id: 1 }, todoSchema),
+      (error) => {
+        assert.ok(error.message.startsWith('Invalid arguments:'));
+        assert.strictEqual(error.validationErrors[0].field, 'title');
+        return true;
+      }
+    );
+  });
+
+  test('should accept anything with the default permissive schema', () => {
+    const args = { anything: true };
+    const schema = { type: 'object', properties: {}, additionalProperties: true };
+
+    assert.strictEqual(validateToolArguments(args, schema), args);
+  });
+
+  test('should not run tools whose prototype-named required arguments are missing', async () => {
+    let called = false;
+    const server = new MCPConnectServer(
+      defineMCP({
+        name: 'Test Server',
+        version: '1.0.0',
+        tools: [
+          {
+            name: 'c',
+            schema: { type: 'object', required: ['constructor'] },
+            handler: async () => {
+              called = true;
+              return 'ran';
+            }
+          }
+        ]
+      })
+    );
+
+    const result = await server.callTool('c', {});
+    assert.strictEqual(result.isError, true);
+    assert.match(result.content[0].text, /constructor: Required property is missing/);
+    assert.strictEqual(called, false);
+    await server.stop();
+  });
+});
@@ -0,0 +1,129 @@
+import assert from 'node:assert';
+import { describe, test } from 'node:test';
+import { z } from 'zod';
+import { defineMCP } from '../../src/defineMCP.js';
+import { MCPConnectServer } from '../../src/server/mcpServer.js';
+import { validateConfig } from '../../src/utils/configValidation.js';
+import {
+  isStandardSchema,
+  toJSONSchema,
+  validateStandardSchema
+} from '../../src/utils/standardSchema.js';
+
+// A minimal Standard Schema without JSON Schema support
+const positiveNumber = {
+  '~standard': {
+    version: 1,
+    vendor: 'custom',
+    validate: (value) =>
+      typeof value === 'number' && value > 0
+        ? { value }
+        : { issues: [{ message: 'Expected a positive number', path: [] }] }
+  }
+};
+
+describe('Standard Schema', () => {
+  test('should detect Standard Schema validators', () => {
+    assert.strictEqual(isStandardSchema(z.object({})), true);
+    assert.strictEqual(isStandardSchema(positiveNumber), true);
+    assert.strictEqual(isStandardSchema({ type: 'object', properties: {} }), false);
+    assert.strictEqual(isStandardSchema(undefined), false);
+  });
+
+  test('should convert Zod schemas to JSON Schema', () => {
+    const schema = z.object({
+      title: z.string().describe('Todo title'),
+      priority: z.enum(['low', 'high']).default('low')
+    });
+
+    assert.deepStrictEqual(toJSONSchema(schema), {
+      type: 'object',
+      properties: {
+        title: { type: 'string', description: 'Todo title' },
+        priority: { type: 'string', enum: ['low', 'high'], default: 'low' }
+      },
+      required: ['title']
+    });
+  });
+
+  test('should throw for schemas that cannot be converted', () => {
+    assert.throws(() => toJSONSchema(positiveNumber), /Cannot convert custom schema to JSON Schema/);
+  });
+
+  test('should report issues with their paths', async () => {
+    const schema = z.object({ owner: z.object({ tags: z.array(z.string()) }) });
+    const result = await validateStandardSchema(schema, { owner: { tags: ['a', 2] } });
+
+    assert.strictEqual(result.isValid, false);
+    assert.strictEqual(result.errors.length, 1);
+    assert.strictEqual(result.errors[0].field, 'owner.tags[1]');
+    assert.strictEqual(result.errors[0].value, 2);
+  });
+
+  test('should reject schemas that cannot be used for tool arguments', () => {
+    const result = validateConfig({
+      name: 'test',
+      version: '1.0.0',
+      tools: [
+        { name: 'custom', handler: async () => 'ok', schema: positiveNumber },
+        { name: 'string', handler: async () => 'ok', schema: z.string() }
+      ]
+    });
+
+    assert.strictEqual(result.isValid, false);
+    assert.deepStrictEqual(
+      result.errors.map((error) => error.field),
+      ['tools[0].schema', 'tools[1].schema']
+    );
+    assert.match(result.errors[1].message, /must describe an object/);
+  });
+
+  test('should list the converted schema and pass parsed arguments to the handler', async () => {
+    let received;
+    const config = defineMCP({
+      name: 'test',
+      version: '1.0.0',
+      tools: [
+        {
+          name: 'add',
+          description: 'Add two numbers',
+          schema: z.object({ a: z.coerce.number(), b: z.number().default(1) }),
+          handler: async (args) => {
+            received = args;
+            return args.a + args.b;
+          }
+        }
+      ]
+    });
+    const server = new MCPConnectServer(config);
+
+    assert.deepStrictEqual(server.listTools()[0].inputSchema.required, ['a']);
+
+    const result = await server.callTool('add', { a: '2' });
+    assert.deepStrictEqual(received, { a: 2, b: 1 });
+    assert.strictEqual(result.content[0].text, '3');
+  });
+
+  test('should reject invalid arguments before the handler runs', async () => {
+    let called = false;
+    const config = defineMCP({
+      name: 'test',
+      version: '1.0.0',
+      tools: [
+        {
+          name: 'add',
+          schema: z.object({ a: z.number() }),
+          handler: async () => {
+            called = true;
+          }
+        }
+      ]
+    });
+    const server = new MCPConnectServer(config);
+
+    const result = await server.callTool('add', { a: 'two' });
+    assert.strictEqual(result.isError, true);
+    assert.match(result.content[0].text, /Invalid arguments:\n- a: /);
+    assert.strictEqual(called, false);
+  });
+});
@@ -0,0 +1,33 @@
+import assert from 'node:assert';
+import { describe, test } from 'node:test';
+import { getTemplateVariables, matchUriTemplate } from '../../src/utils/uriTemplate.js';
+
+describe('uriTemplate', () => {
+  test('should list template variables', () => {
+    assert.deepStrictEqual(getTemplateVariables('users://{userId}/posts/{postId}'), [
+      'userId',
+      'postId'
+    ]);
+  });
+
+  test('should match simple expressions within one path segment', () => {
+    assert.deepStrictEqual(matchUriTemplate('todos://{id}', 'todos://42'), { id: '42' });
+    assert.strictEqual(matchUriTemplate('todos://{id}', 'todos://42/extra'), null);
+  });
+
+  test('should match reserved expressions across segments', () => {
+    assert.deepStrictEqual(matchUriTemplate('file:///{+path}', 'file:///docs/a/b.md'), {
+      path: 'docs/a/b.md'
+    });
+  });
+
+  test('should decode percent-encoded values', () => {
+    assert.deepStrictEqual(matchUriTemplate('search://{query}', 'search://hello%20world'), {
+      query: 'hello world'
+    });
+  });
+
+  test('should treat literal characters literally', () => {
+    assert.strictEqual(matchUriTemplate('docs://a.b/{id}', 'docs://aXb/1'), null);
+  });
+});